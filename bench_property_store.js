@@ -0,0 +1,107 @@
+/**
+ *  Benchmark of the storage of the Unicode properties used by the line breaking checker:
+ *  compares the two-stage property tables (src/propertytable.mjs) with the arrays of
+ *  one object per code point used by the previous versions, in startup time,
+ *  memory and lookup time.
+ *
+ *  Usage:
+ *    node --expose-gc bench_property_store.js [<Unicode Version>]
+ */
+
+import { PropertyTable, lineBreakTableFromJSON } from './src/propertytable.mjs'
+
+const args = process.argv.slice(2)
+const unicodeVersion = args[0] && !isNaN(parseInt(args[0])) ? parseInt(args[0]) : '17'
+
+// the data of the version as a property table (the data of version 16 is in the previous format)
+const { lineBreak } = (await import(`./src/data/unicode${unicodeVersion}.mjs`)).default
+const json = JSON.stringify(lineBreakTableFromJSON(lineBreak))
+
+// rebuild the data in the previous format (lists of code point ranges for every
+// line breaking class and general category) from the property table
+function toCompactClasses(table) {
+    const compactClasses = {}
+    let start = 0
+    for (let i = 1; i <= 0x110000; i++) {
+        if (i === 0x110000 || table.get(i) !== table.get(start)) {
+            const value = table.get(start)
+            if (value) {
+                const [cls, gc] = value
+                compactClasses[cls] ??= {}
+                compactClasses[cls][gc] ??= []
+                compactClasses[cls][gc].push(i === start + 1 ? [start] : [start, i])
+            }
+            start = i
+        }
+    }
+    return compactClasses
+}
+const rangesJson = JSON.stringify(toCompactClasses(PropertyTable.fromJSON(JSON.parse(json))))
+
+function loadObjects() {
+    const compactClasses = JSON.parse(rangesJson)
+    const classes = []
+    for (const cls in compactClasses) {
+        for (const gc in compactClasses[cls]) {
+            for (let [b, e] of compactClasses[cls][gc]) {
+                if (e === undefined) { e = b + 1 }
+                for (let i = b; i < e; i++) {
+                    classes[i] = { line_breaking_class: cls, general_category: gc }
+                }
+            }
+        }
+    }
+    return cp => classes[cp]?.line_breaking_class
+}
+
+function loadTable() {
+    const table = PropertyTable.fromJSON(JSON.parse(json))
+    return cp => table.get(cp)?.[0]
+}
+
+function collectGarbage() {
+    if (globalThis.gc) {
+        globalThis.gc()
+    }
+}
+
+// a sample of code points from the most used blocks
+const sample = []
+for (let i = 0; i < 1_000_000; i++) {
+    sample.push([0x20 + i % 0x5f, 0x400 + i % 0x100, 0x4e00 + i % 0x5000, 0x1f300 + i % 0x300][i % 4])
+}
+
+// the typed arrays are allocated outside of the heap
+function usedMemory() {
+    const { heapUsed, arrayBuffers } = process.memoryUsage()
+    return heapUsed + arrayBuffers
+}
+
+function bench(name, load) {
+    collectGarbage()
+    const memoryBefore = usedMemory()
+    const startLoad = performance.now()
+    const lookup = load()
+    const loadTime = performance.now() - startLoad
+    collectGarbage()
+    const memory = usedMemory() - memoryBefore
+    const startLookup = performance.now()
+    for (const cp of sample) {
+        lookup(cp)
+    }
+    const lookupTime = performance.now() - startLookup
+    console.log(
+        name.padEnd(16),
+        `load: ${loadTime.toFixed(1).padStart(8)} ms`,
+        `memory: ${(memory / 1024 / 1024).toFixed(2).padStart(8)} MB`,
+        `${sample.length} lookups: ${lookupTime.toFixed(1).padStart(7)} ms`
+    )
+}
+
+if (!globalThis.gc) {
+    console.log('Run with node --expose-gc for accurate memory measures')
+}
+console.log(`Unicode ${unicodeVersion}.0.0, data files: ${(rangesJson.length / 1024).toFixed(1)} KB (ranges), `
+            + `${(json.length / 1024).toFixed(1)} KB (property table)`)
+bench('object arrays', loadObjects)
+bench('property table', loadTable)
@@ -0,0 +1,100 @@
+/**
+ *  Benchmark of the compiled rules (src/rulecompiler.mjs) against the interpreter
+ *  of the line breaking checker, on the test cases of the LineBreakTest Unicode data file:
+ *  it checks every position of every test case (counting the failed test cases) and then
+ *  iterates over the break opportunities of a long text made of all the test cases.
+ *
+ *  Usage:
+ *    node bench_rule_compiler.js [<Unicode Version>] [<Repetitions>]
+ */
+
+import fs from 'node:fs/promises'
+
+import { BreakType, makeLBC } from './src/linebreakingchecker.mjs'
+
+const args = process.argv.slice(2)
+const unicodeVersion = args[0] && !isNaN(parseInt(args[0])) ? String(parseInt(args[0])) : '17'
+const repetitions = args[1] && !isNaN(parseInt(args[1])) ? parseInt(args[1]) : 3
+
+const data = await fs.readFile(`./resources/LineBreakTest-${unicodeVersion}.0.0.txt`, { encoding: 'utf8' })
+
+const testCases = []
+for (const line of data.split(/(?:\r\n|\r|\n)/)) {
+    if (!line || line.startsWith('#')) { continue }
+    const payload = line.split(/\s+#/)[0].split(' ')
+    const expected = []
+    let text = ''
+    payload.forEach((el, i) => {
+        if (i % 2 === 0) {
+            expected.push(el)
+        }
+        else {
+            text += String.fromCodePoint(Number('0x' + el))
+        }
+    })
+    testCases.push({ text, expected: expected.join(' ') })
+}
+const longText = testCases.map(t => t.text).join(' ')
+
+function isSurrogatePair(lead, trail) {
+    return lead >= 0xd800 && lead <= 0xdbff && trail >= 0xdc00 && trail <= 0xdfff
+}
+
+function runTestCases(lbc) {
+    let failed = 0
+    for (const { text, expected } of testCases) {
+        lbc.setText(text)
+        const results = []
+        for (let i = 0; i <= text.length; i++) {
+            const breakType = lbc.isPosLineBreaking(i)
+            if (i === 0 || i === text.length || !isSurrogatePair(text.charCodeAt(i - 1), text.charCodeAt(i))) {
+                results.push(breakType === BreakType.FORBIDDEN ? '×' : '÷')
+            }
+        }
+        if (results.join(' ') !== expected) {
+            failed++
+        }
+    }
+    return failed
+}
+
+function iterateLongText(lbc) {
+    lbc.setText(longText)
+    let segments = 0
+    for (const segment of lbc) {
+        segments++
+    }
+    return segments
+}
+
+function time(fn) {
+    let best = Infinity
+    let result
+    for (let r = 0; r < repetitions; r++) {
+        const start = performance.now()
+        result = fn()
+        best = Math.min(best, performance.now() - start)
+    }
+    return [best, result]
+}
+
+console.log(`Unicode ${unicodeVersion}.0.0: ${testCases.length} test cases, long text of ${longText.length} code units `
+            + `(best of ${repetitions} runs)`)
+const timings = {}
+for (const compiled of [false, true]) {
+    const name = compiled ? 'compiled' : 'interpreter'
+    const lbc = await makeLBC({ version: unicodeVersion, compiled })
+    const [testTime, failed] = time(() => runTestCases(lbc))
+    const [longTime, segments] = time(() => iterateLongText(lbc))
+    timings[name] = [testTime, longTime]
+    console.log(
+        name.padEnd(12),
+        `test cases: ${testTime.toFixed(0).padStart(6)} ms (${failed} failed)`,
+        `long text: ${longTime.toFixed(0).padStart(6)} ms (${segments} segments)`
+    )
+}
+console.log(
+    'speedup'.padEnd(12),
+    `test cases: ${(timings.interpreter[0] / timings.compiled[0]).toFixed(1)}x`,
+    `long text: ${(timings.interpreter[1] / timings.compiled[1]).toFixed(1)}x`
+)
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ *  CLI script to find the line breaking opportunities of text files (or of the
+ *  standard input) according to the Unicode Line Breaking Algorithm, and to
+ *  wrap them to a given width, or to compare the break opportunities found by
+ *  two versions of the Unicode rules and data (subcommand diff).
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+
+import {
+    BreakType, cssLineBreakValues, cssWordBreakValues, diffCheckers, indexUnits, loadHyphenator, makeLBC,
+    registeredLocales
+} from '../src/linebreakingchecker.mjs'
+
+const unicodeVersions = ['16', '17']
+
+function showUsage(scriptName='<script_name>') {
+    console.log('\nScript usage:')
+    console.log(`  ${scriptName} [<Options>] [<File> ...]`)
+    console.log(`  ${scriptName} diff [--from <Version>] [--to <Version>] [<Options>] [<File> ...]`)
+    console.log('\nReads the files (or the standard input, if no file is given or the file is -) and prints:')
+    console.log('  --breaks              the break opportunities of every file, in the notation of the')
+    console.log('                        LineBreakTest Unicode data files, e.g. × 0061 × 0062 ÷ 0020 × 0063 ÷ (default)')
+    console.log('  --json                the segments between break opportunities, as a JSON array')
+    console.log('  --wrap <Width>        the text wrapped in lines no wider than <Width> columns')
+    console.log('\nWith diff, it prints the positions of every file whose break type changes between the versions')
+    console.log('--from (default: 16) and --to (default: 17), with the rules that decide them in each version,')
+    console.log('e.g. notes.txt:12 2010 0061 16: ÷ LB31 17: × LB20a (or a JSON array with --json)')
+    console.log('\nOptions:')
+    console.log(`  --unicode <Version>   the version of the Unicode rules and data to use: ${unicodeVersions.join(', ')} (default: 17)`)
+    console.log('  --rules <Module>      an ES module whose default export is a custom set of rules, and')
+    console.log('                        whose optional export criteria is a custom function to assign classes')
+    console.log('  --locale <Tag>        the language of the text, whose tailoring is applied if available:')
+    console.log(`                        ${registeredLocales().join(', ')}`)
+    console.log(`  --line-break <Value>  the tailoring of the CSS property line-break: ${cssLineBreakValues.join(', ')} (default: auto)`)
+    console.log(`  --word-break <Value>  the tailoring of the CSS property word-break: ${cssWordBreakValues.join(', ')} (default: normal)`)
+    console.log('  --complex-context     break between the words of Thai, Lao, Khmer and Myanmar text (with')
+    console.log('                        Intl.Segmenter, or a small bundled dictionary where unavailable)')
+    console.log('  --hyphens <Value>     manual: hyphenate the words after their soft hyphens only; auto: also')
+    console.log('                        at the hyphenation points found with --patterns (default: none)')
+    console.log('  --patterns <File>     a file of TeX hyphenation patterns, e.g. hyph-en-us.tex of hyph-utf8')
+    console.log('  --strategy <Name>     the wrapping strategy: greedy or optimal (default: greedy)')
+    console.log('  --units               measure the width of the lines in UTF-16 code units instead of columns')
+    console.log('  --ambiguous-wide      count the characters with ambiguous East Asian Width as two columns')
+    console.log(`  --index-unit <Unit>   the unit of the indices printed by --json and diff: ${indexUnits.join(', ')}`)
+    console.log('                        (default: utf16)')
+    console.log('  -h, --help            show this message')
+    console.log('\nExamples:')
+    console.log(`  ${scriptName} --wrap 72 RELEASE_NOTES.txt`)
+    console.log(`  echo "Hello, breaker" | ${scriptName} --json --unicode 16\n`)
+}
+
+function toBreakNotation(lbc) {
+    const parts = []
+    for (let i = 0; i <= lbc.text.length; i++) {
+        if (i > 0 && i < lbc.text.length && (lbc.text.codePointAt(i - 1) > 0xffff)) {
+            // inside a surrogate pair
+            continue
+        }
+        const breakType = lbc.isPosLineBreaking(lbc.fromUTF16Index(i))
+        parts.push(breakType === BreakType.FORBIDDEN ? '×' : '÷')
+        if (i < lbc.text.length) {
+            parts.push(lbc.text.codePointAt(i).toString(16).toUpperCase().padStart(4, '0'))
+        }
+    }
+    return parts.join(' ')
+}
+
+function toDiffNotation(file, text, { index: unitIndex, from, to }, [fromVersion, toVersion], lbc) {
+    const index = lbc.toUTF16Index(unitIndex)
+    const hex = c => c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')
+    const before = index > 0 ? hex(Array.from(text.slice(Math.max(0, index - 2), index)).at(-1)) : 'sot'
+    const after = index < text.length ? hex(String.fromCodePoint(text.codePointAt(index))) : 'eot'
+    const result = ({ breakType, rule }) => [
+        breakType === BreakType.FORBIDDEN ? '×' : '÷',
+        rule?.label ?? rule?.source ?? '?',
+    ].join(' ')
+    return `${file}:${unitIndex} ${before} ${after} ${fromVersion}: ${result(from)} ${toVersion}: ${result(to)}`
+}
+
+async function readInput(file) {
+    if (file === '-') {
+        const chunks = []
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk)
+        }
+        return Buffer.concat(chunks).toString('utf8')
+    }
+    return fs.readFile(file, { encoding: 'utf8' })
+}
+
+const scriptName = path.parse(process.argv[1]).base
+const diffMode = process.argv[2] === 'diff'
+let options, files
+try {
+    const parsed = parseArgs({
+        allowPositionals: true,
+        options: {
+            breaks: { type: 'boolean' },
+            json: { type: 'boolean' },
+            wrap: { type: 'string' },
+            unicode: { type: 'string', default: '17' },
+            rules: { type: 'string' },
+            locale: { type: 'string' },
+            'line-break': { type: 'string' },
+            'word-break': { type: 'string' },
+            'complex-context': { type: 'boolean' },
+            hyphens: { type: 'string' },
+            patterns: { type: 'string' },
+            strategy: { type: 'string', default: 'greedy' },
+            units: { type: 'boolean' },
+            'ambiguous-wide': { type: 'boolean' },
+            'index-unit': { type: 'string', default: 'utf16' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+        args: process.argv.slice(diffMode ? 3 : 2),
+    })
+    options = parsed.values
+    files = parsed.positionals.length ? parsed.positionals : ['-']
+}
+catch (e) {
+    console.error(`Error: ${e.message}`)
+    showUsage(scriptName)
+    process.exit(1)
+}
+
+if (options.help) {
+    showUsage(scriptName)
+    process.exit(0)
+}
+if ([options.breaks, options.json, options.wrap !== undefined].filter(Boolean).length > 1) {
+    console.error('Error: --breaks, --json and --wrap can\'t be used together')
+    showUsage(scriptName)
+    process.exit(1)
+}
+if (diffMode && (options.breaks || options.wrap !== undefined)) {
+    console.error('Error: --breaks and --wrap can\'t be used with diff')
+    showUsage(scriptName)
+    process.exit(1)
+}
+if (!diffMode && (options.from !== undefined || options.to !== undefined)) {
+    console.error('Error: --from and --to can be used only with diff')
+    showUsage(scriptName)
+    process.exit(1)
+}
+const versions = diffMode
+    ? [options.from ?? '16', options.to ?? '17'].map(v => v.replace(/^v/i, ''))
+    : [options.unicode]
+for (const version of versions) {
+    if (!unicodeVersions.includes(version)) {
+        console.error(`Error: Unsupported Unicode version: ${version}`)
+        showUsage(scriptName)
+        process.exit(1)
+    }
+}
+const width = Number(options.wrap)
+if (options.wrap !== undefined && !(Number.isInteger(width) && width > 0)) {
+    console.error(`Error: The width must be a positive integer, received: ${options.wrap}`)
+    showUsage(scriptName)
+    process.exit(1)
+}
+
+let rules = null
+let criteria = null
+if (options.rules) {
+    try {
+        const rulesModule = await import(pathToFileURL(path.resolve(options.rules)).href)
+        rules = rulesModule.default
+        criteria = rulesModule.criteria ?? null
+    }
+    catch (e) {
+        console.error(`Error: Unable to load the rules from "${options.rules}": ${e.message}`)
+        process.exit(1)
+    }
+}
+
+let hyphenator = null
+if (options.patterns) {
+    try {
+        hyphenator = await loadHyphenator(pathToFileURL(path.resolve(options.patterns)))
+    }
+    catch (e) {
+        console.error(`Error: Unable to load the hyphenation patterns from "${options.patterns}": ${e.message}`)
+        process.exit(1)
+    }
+}
+
+let lbc, lbcTo
+try {
+    const lbcOptions = {
+        rules,
+        criteria,
+        locale: options.locale,
+        lineBreak: options['line-break'],
+        wordBreak: options['word-break'],
+        complexContext: options['complex-context'],
+        hyphens: options.hyphens,
+        hyphenator,
+        indexUnit: options['index-unit'],
+        compiled: true,
+    }
+    ;[lbc, lbcTo] = await Promise.all(versions.map(version => makeLBC({ ...lbcOptions, version })))
+}
+catch (e) {
+    console.error(`Error: ${e.message}`)
+    process.exit(1)
+}
+
+for (const file of files) {
+    let text
+    try {
+        text = await readInput(file)
+    }
+    catch (e) {
+        console.error(`Error: Unable to read "${file}": ${e.message}`)
+        process.exit(1)
+    }
+    if (diffMode) {
+        const differences = diffCheckers(text, lbc, lbcTo)
+        if (options.json) {
+            console.log(JSON.stringify(differences))
+        }
+        else {
+            for (const d of differences) {
+                console.log(toDiffNotation(file, text, d, versions, lbc))
+            }
+        }
+    }
+    else if (options.wrap !== undefined) {
+        const measure = options.units
+            ? s => s.length
+            : s => lbc.columnWidth(s, { ambiguousIsWide: options['ambiguous-wide'] })
+        try {
+            const lines = lbc.wrap(text, { width, measure, strategy: options.strategy })
+            console.log(lines.map(l => l.text).join('\n'))
+        }
+        catch (e) {
+            console.error(`Error: ${e.message}`)
+            process.exit(1)
+        }
+    }
+    else if (options.json) {
+        lbc.setText(text)
+        console.log(JSON.stringify([...lbc]))
+    }
+    else {
+        lbc.setText(text)
+        console.log(toBreakNotation(lbc))
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ *  Fuzz testing of the line breaking checker: checks the invariants of the algorithm
+ *  (see LineBreakFuzzer in src/fuzzer.mjs) on random texts biased toward the most
+ *  complex rules, comparing the compiled rules with the interpreter (and the grapheme
+ *  clusters with Intl.Segmenter, given the Grapheme_Cluster_Break data of the version of
+ *  Unicode of the JavaScript engine, generated with lbclassesTxt2Json.js --grapheme-cluster-break),
+ *  and prints the counterexamples found minimized.
+ *
+ *  Usage:
+ *    node fuzz_line_breaking.js [<Unicode Version>] [--seed <Seed>] [--iterations <N>] [--max-length <N>]
+ *                               [--grapheme-data <File>]
+ *
+ *  Exits with status 1 if a counterexample is found.
+ */
+
+import { parseArgs } from 'node:util'
+import { pathToFileURL } from 'node:url'
+
+import { BreakType, makeLBC } from './src/linebreakingchecker.mjs'
+import { makeBoundaryChecker } from './src/boundarychecker.mjs'
+import { LineBreakFuzzer } from './src/fuzzer.mjs'
+
+function toBreakChar(breakType) {
+    return breakType === BreakType.FORBIDDEN ? '×' : breakType & BreakType.MANDATORY ? '!' : '÷'
+}
+
+// the break notation of UAX #14, with ! for the mandatory breaks
+function toNotation(lbc, text) {
+    lbc.setText(text)
+    const parts = []
+    let i = 0
+    for (const c of text) {
+        parts.push(toBreakChar(lbc.isPosLineBreaking(i)), c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+        i += c.length
+    }
+    parts.push(toBreakChar(lbc.isPosLineBreaking(i)))
+    return parts.join(' ')
+}
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        seed: { type: 'string', default: String(Date.now() % 100000) },
+        iterations: { type: 'string', default: '1000' },
+        'max-length': { type: 'string', default: '16' },
+        'grapheme-data': { type: 'string' },
+    },
+})
+const unicodeVersion = positionals[0] && !isNaN(parseInt(positionals[0])) ? String(parseInt(positionals[0])) : '17'
+const seed = parseInt(options.seed)
+const iterations = parseInt(options.iterations)
+const maxLength = parseInt(options['max-length'])
+
+const data = (await import(`./src/data/unicode${unicodeVersion}.mjs`)).default
+const lbc = await makeLBC({ version: unicodeVersion, compiled: true })
+const reference = await makeLBC({ version: unicodeVersion })
+// Intl.Segmenter is compared with the data of the version of Unicode of the engine only
+const graphemes = options['grapheme-data'] !== undefined
+    ? await makeBoundaryChecker({ granularity: 'grapheme', dataUrl: pathToFileURL(options['grapheme-data']).href })
+    : null
+const fuzzer = new LineBreakFuzzer(lbc, data, { seed, maxLength, reference, graphemes })
+
+const counterexamples = fuzzer.run(iterations)
+for (const { invariant, index, message, text } of counterexamples) {
+    const rule = index !== null ? (lbc.setText(text), lbc.explainPosition(index).rule) : null
+    console.error(`COUNTEREXAMPLE! ${invariant}: ${message} at ${index} (rule ${rule?.label ?? rule?.source ?? '-'})`)
+    console.error(`  text:        ${JSON.stringify(text)}`)
+    console.error(`  compiled:    ${toNotation(lbc, text)}`)
+    console.error(`  interpreted: ${toNotation(reference, text)}`)
+}
+console.log(`Unicode ${unicodeVersion}, seed ${seed}: ${iterations} texts checked, ${counterexamples.length} counterexamples.`)
+if (counterexamples.length) {
+    process.exit(1)
+}
@@ -1,17 +1,32 @@
 /**
- *  CLI script to extract line breaking classes and general categories
- *  of Unicode code points from txt Unicode data files.
+ *  CLI script to extract the properties of Unicode code points from the txt files
+ *  of the Unicode Character Database (UCD).
+ *  By default, it extracts the line breaking classes and the general categories
+ *  from LineBreak.txt and UnicodeData.txt.
+ *  With the option --east-asian-width, it extracts instead the East Asian Width
+ *  property of Unicode code points from EastAsianWidth.txt, and with the options
+ *  --grapheme-cluster-break, --word-break and --sentence-break the properties used by
+ *  the text segmentation rules of UAX #29 (see src/segmentationrules.mjs).
+ *  With --property and --binary-property, it extracts any property from its data file
+ *  (e.g. Scripts.txt, or Extended_Pictographic from emoji-data.txt).
+ *  With --bundle, it extracts the properties used by the checkers from the data files
+ *  of a Unicode version that it finds, and saves them in a single data bundle (see src/resourceloader.mjs).
+ *  The data is saved as two-stage property tables (see src/propertytable.mjs),
+ *  or as lists of code point ranges with the option --ranges.
+ *  The default values of the properties declared in the @missing lines of the data files
+ *  are applied to the code points that the files don't list.
  *  Links to these data files can be found in:
  *  - https://www.unicode.org/reports/tr44/tr44-30.html#UCD_Files
  *  - https://www.unicode.org/reports/tr14/#Properties (section Data File)
- */ 
+ *  - https://www.unicode.org/reports/tr29/#Default_Grapheme_Cluster_Table
+ */
 
 import fs from 'node:fs/promises'
 import { existsSync } from 'node:fs'
-import { argv } from 'node:process'
 import path from 'node:path'
 
 import { Range } from './src/range.mjs'
+import { PropertyTable } from './src/propertytable.mjs'
 
 class R extends Range {
     toJSON() {
@@ -19,17 +34,46 @@ class R extends Range {
     }
 }
 
+const maxCodePoint = 0x10ffff
+
 function showUsage(scriptName='<script_name>') {
     console.log('\nScript usage:')
-    console.log(`  node ${scriptName} <LineBreak Unicode Data File> <General Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] <LineBreak Unicode Data File> <General Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --east-asian-width <EastAsianWidth Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --grapheme-cluster-break <GraphemeBreakProperty Unicode Data File> <IndicConjunctBreak Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --word-break <WordBreakProperty Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --sentence-break <SentenceBreakProperty Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --property <Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} [--ranges] --binary-property <Property Name> <Unicode Data File> [<Output File>]`)
+    console.log(`  node ${scriptName} --bundle <Unicode Version> [<Unicode Data Directory>] [<Output File>]`)
     console.log('\nExamples:')
     console.log(`  node ${scriptName} ./resources/LineBreak-17.0.0.txt ./resources/UnicodeData-17.0.0.txt`)
-    console.log(`  node ${scriptName} ./resources/LineBreak-16.0.0.txt ./resources/UnicodeData-16.0.0.txt ./resources/LineBreak-16.0.0.json`)
+    console.log(`  node ${scriptName} ./UCD/LineBreak.txt ./UCD/UnicodeData.txt ./UCD/LineBreak.json`)
+    console.log(`  node ${scriptName} --east-asian-width ./UCD/EastAsianWidth.txt`)
+    console.log(`  node ${scriptName} --grapheme-cluster-break ./UCD/auxiliary/GraphemeBreakProperty.txt ./UCD/DerivedCoreProperties.txt`)
+    console.log(`  node ${scriptName} --property ./UCD/Scripts.txt`)
+    console.log(`  node ${scriptName} --binary-property Extended_Pictographic ./UCD/emoji/emoji-data.txt`)
+    console.log(`  node ${scriptName} --bundle 17.0.0`)
+    console.log(`  node ${scriptName} --bundle 18.0.0 ./UCD ./resources/Unicode-18.0.0.json`)
     console.log('\nThe first two file paths are required and must point to existing Unicode data files. The optional third file path can be provided to specify where to save the output. '
                 + 'The default value for the output file will be the <LineBreak Unicode Data File> with the extension changed to .json (as in the example)')
+    console.log('\nWith --east-asian-width, only the EastAsianWidth file path is required, and the default value for the output file '
+                + 'will be the same path with the extension changed to .json')
+    console.log('\nThe same holds for --word-break, --sentence-break and --property, while --grapheme-cluster-break requires also the file '
+                + 'with the Indic_Conjunct_Break values (the InCB lines of DerivedCoreProperties.txt), that are merged into the classes, '
+                + 'and --binary-property the name of the property to extract (e.g. from emoji-data.txt, PropList.txt or DerivedCoreProperties.txt)')
+    console.log('\nWith --bundle, the data files of the version are searched in the directory (default: ./resources), either with the version '
+                + 'in their name, as in ./resources (e.g. LineBreak-17.0.0.txt), or with the layout of the UCD zip file of unicode.org '
+                + '(e.g. LineBreak.txt, auxiliary/WordBreakProperty.txt and emoji/emoji-data.txt). The files read are: '
+                + Object.values(bundleFiles).map(f => f.names.join(' or ')).join(', ') + ', '
+                + 'of which only LineBreak and UnicodeData are required: the properties of the missing files are left out of the bundle. '
+                + 'The default value for the output file will be ./resources/Unicode-<Unicode Version>.json')
+    console.log('\nWith --ranges, the data is saved as lists of code point ranges (the format of the previous versions) '
+                + 'instead of as a property table (not available with --bundle)')
     console.log('\nCheck these links to know more about Unicode data files:')
     console.log('- https://www.unicode.org/reports/tr44/tr44-30.html#UCD_Files')
-    console.log('- https://www.unicode.org/reports/tr14/#Properties (section Data File)\n')
+    console.log('- https://www.unicode.org/reports/tr14/#Properties (section Data File)')
+    console.log('- https://www.unicode.org/reports/tr29/#Default_Grapheme_Cluster_Table\n')
 }
 
 function validateFilePath(filePath, argPosition) {
@@ -39,7 +83,7 @@ function validateFilePath(filePath, argPosition) {
   }
 
   const resolvedPath = path.resolve(filePath);
-  
+
   if (!existsSync(resolvedPath)) {
     console.error(`Error: File does not exist: "${filePath}"`);
     console.error(`Resolved path: ${resolvedPath}`);
@@ -49,140 +93,351 @@ function validateFilePath(filePath, argPosition) {
   return true;
 }
 
-const scriptName = path.parse(process.argv[1]).base
-const args = process.argv.slice(2)
-if (![2, 3].includes(args.length)) {
-    console.error(`Error: Expected 2 required file paths and an optional third, but received ${args.length}`)
-    showUsage(scriptName)
-    process.exit(1)
+function jsonFilePath(filePath) {
+    const pathObj = path.parse(filePath)
+    pathObj.ext = '.json'
+    pathObj.base = undefined
+    return path.format(pathObj)
 }
 
-if (!validateFilePath(args[0]) || !validateFilePath(args[1])) {
-    showUsage(scriptName)
-    process.exit(1)
+function parseCodePoints(str) {
+    const [b, e] = str.split('..')
+    return new R(Number('0x' + b), Number('0x' + (e ?? b)) + 1)
 }
 
+/**
+ * Reads a property from a data file of the UCD, whose lines have the format
+ * <code point or range> ; <field> [; <field> ...] [# <comment>]
+ * and returns { values, defaultValue }: an array with the value of every code point
+ * (undefined if none), and the default value of all the code points, if any.
+ * Without name, the value is the first field (e.g. in LineBreak.txt or Scripts.txt).
+ * With name, only the lines whose first field is name are read, and the value is the
+ * second field, or true if there is none (e.g. the binary properties of emoji-data.txt,
+ * or Indic_Conjunct_Break in DerivedCoreProperties.txt: 094D ; InCB; Linker).
+ * The @missing lines (e.g. # @missing: 0000..10FFFF; XX) set the default values,
+ * that the following @missing lines and the data lines override.
+ */
+async function readPropertyFile(filePath, name = null) {
+    const data = await fs.readFile(filePath, { encoding: 'utf8' })
+    const values = new Array(maxCodePoint + 1)
+    let defaultValue
+    for (const line of data.split(/(?:\r\n|\r|\n)/)) {
+        const missing = line.match(/^# @missing: (.*)$/)
+        const content = missing ? missing[1] : line.split('#')[0]
+        const fields = content.split(';').map(f => f.trim())
+        if (fields.length < 2 || !/^[0-9A-F]{4,6}(\.\.[0-9A-F]{4,6})?$/.test(fields[0])) {
+            continue
+        }
+        let value
+        if (name === null) {
+            value = fields[1]
+        }
+        else if (fields[1] === name) {
+            value = fields[2] ?? true
+        }
+        else {
+            continue
+        }
+        const r = parseCodePoints(fields[0])
+        values.fill(value, r.start, r.stop)
+        if (missing && r.start === 0 && r.stop === maxCodePoint + 1) {
+            defaultValue = value
+        }
+    }
+    return { values, defaultValue }
+}
 
 /**
- *  Extract general categories from UnicodeData.txt
+ * Reads the general categories from UnicodeData.txt, including the ranges of code points
+ * listed as pairs of <..., First> and <..., Last> lines (e.g. the CJK ideographs).
+ * The code points that are not listed are unassigned (Cn).
  */
-const generalUnicodeDataPath = args[1]
+async function readGeneralCategories(unicodeDataPath) {
+    const data = await fs.readFile(unicodeDataPath, { encoding: 'utf8' })
+    const values = new Array(maxCodePoint + 1).fill('Cn')
+    let rangeStart = null
+    for (const line of data.split(/(?:\r\n|\r|\n)/)) {
+        const fields = line.split(';')
+        if (fields.length < 3) {
+            continue
+        }
+        const codePoint = Number('0x' + fields[0])
+        if (fields[1].endsWith(', First>')) {
+            rangeStart = codePoint
+        }
+        else if (fields[1].endsWith(', Last>')) {
+            values.fill(fields[2], rangeStart, codePoint + 1)
+        }
+        else {
+            values[codePoint] = fields[2]
+        }
+    }
+    return values
+}
 
-const generalData = await fs.readFile(generalUnicodeDataPath, { encoding: 'utf8' })
-const generalDataLines = generalData.split(/(?:\r\n|\r|\n)/)
-const generalCategoriesObj = {}
-for (const line of generalDataLines) {
-    const fields = line.split(';')
-    const codePoint = fields[0]
-    const generalCategory = fields[2]
-    generalCategoriesObj[codePoint] = generalCategory
+// returns the ranges of code points with the same value, [value, start, stop],
+// leaving out the code points without a value and those with the value defaultValue
+function valueRanges(values, defaultValue = undefined, key = v => v) {
+    const ranges = []
+    let start = 0
+    for (let i = 1; i <= maxCodePoint + 1; i++) {
+        if (i === maxCodePoint + 1 || key(values[i]) !== key(values[start])) {
+            if (values[start] !== undefined && values[start] !== defaultValue) {
+                ranges.push([values[start], start, i])
+            }
+            start = i
+        }
+    }
+    return ranges
 }
-// Define a default value for all the undefined or null object properties
-const generalCategoriesHandler = {
-    get(target, prop, receiver) {
-        return target[prop] ?? 'Cn' // Cn: Unassigned code point
+
+// the lists of code point ranges of every value, e.g. { "W": [[4352, 4448], ...], "A": [[161], ...], ... }
+function rangesByValue(ranges) {
+    const output = {}
+    for (const [value, start, stop] of ranges) {
+        if (!output[value]) {
+            output[value] = []
+        }
+        output[value].push(new R(start, stop))
     }
+    return output
 }
-const generalCategories = new Proxy(generalCategoriesObj, generalCategoriesHandler)
 
+function toOutput(ranges, asRanges) {
+    return asRanges ? rangesByValue(ranges) : PropertyTable.fromRanges(ranges)
+}
 
 /**
- * Extract line breaking rules from LineBreak-[version].txt and combine them with
- * the general categories in lists of code point ranges.
+ * Extract the line breaking classes from LineBreak.txt and combine them with the general
+ * categories of UnicodeData.txt, as a property table of [class, general category] pairs,
+ * or as lists of code point ranges for every class and general category,
+ * e.g. { "AL": { "Lu": [[65, 91], ...], ... }, ... }
  */
-const lineBreakingClassesDataFilePath = args[0]
-
-const data = await fs.readFile(lineBreakingClassesDataFilePath, { encoding: 'utf8' })
-const lines = data.split(/(?:\r\n|\r|\n)/)
-
-const default_class = 'XX'
-
-const codepoints = new Map
-const lbclasses = new Map
-let r, cls, gc
-let prevRange, prevClass, prevGC
-for (const line of lines) {
-    if (line.startsWith('#') || !line.trim()) {
-        continue;
-    }
-    let codes = line.match(/^([0-9A-F]{4,6})\.\.([0-9A-F]{4,6})\s+; ([A-Z0-9]{2,3}) *# ([A-Z][a-z&])/)
-    if (codes) {
-        r = new R(Number('0x' + codes[1]), Number('0x' + codes[2]) + 1)
-        cls = codes[3]
-        gc = codes[4]
-    }
-    else {
-        codes = line.match(/^([0-9A-F]{4,6})\s+; ([A-Z0-9]{2,3}) *# ([A-Z][a-z&])/)
-        if (codes) {
-            r = new R(Number('0x' + codes[1]), Number('0x' + codes[1]) + 1)
-            cls = codes[2]
-            gc = codes[3]
-        }
+async function extractLineBreakingClasses(lineBreakDataPath, unicodeDataPath, asRanges) {
+    const { values: classes } = await readPropertyFile(lineBreakDataPath)
+    const generalCategories = await readGeneralCategories(unicodeDataPath)
+    const values = Array.from(classes, (cls, i) => [cls ?? 'XX', generalCategories[i]])
+    const ranges = valueRanges(values, undefined, v => v?.join())
+    if (!asRanges) {
+        return PropertyTable.fromRanges(ranges, { key: v => v.join() })
+    }
+    const output = {}
+    for (const [[cls, gc], start, stop] of ranges) {
+        output[cls] ??= {}
+        output[cls][gc] ??= []
+        output[cls][gc].push(new R(start, stop))
     }
-    if (codes) {
-        if (r.start > prevRange?.stop) {
-            let newRange
-            let newRangeClass = default_class
-            let newRangeGC = generalCategories[prevRange.stop]
-            let newRangeStart = prevRange.stop
-            for (let i = prevRange.stop + 1; i <= r.start; i++) {
-                if (generalCategories[i] !== newRangeGC || i === r.start) {
-                    newRange = new R(newRangeStart, i)
-                    if (!lbclasses.has(newRangeClass)) {
-                        lbclasses.set(newRangeClass, [])
-                    }
-                    codepoints.set(newRange, [newRangeClass, newRangeGC])
-                    lbclasses.get(newRangeClass).push([newRange, newRangeGC])
-                    prevRange = newRange
-                    prevClass = newRangeClass
-                    prevGC = newRangeGC
-                    newRangeGC = generalCategories[i]
-                    newRangeStart = i
-                }
+    return output
+}
+
+/**
+ * Extract East Asian Widths from EastAsianWidth.txt. The default value "N" is left implicit,
+ * while the unassigned code points with a different default value (listed in the @missing lines)
+ * are included.
+ */
+async function extractEastAsianWidths(eastAsianWidthDataPath, asRanges) {
+    const { values } = await readPropertyFile(eastAsianWidthDataPath)
+    return toOutput(valueRanges(values, 'N'), asRanges)
+}
+
+// the code points with the East Asian Widths F, W and H, i.e. $EastAsian in the line breaking rules
+async function extractEastAsianChars(eastAsianWidthDataPath) {
+    const { values: widths } = await readPropertyFile(eastAsianWidthDataPath)
+    return PropertyTable.fromRanges(valueRanges(Array.from(widths, w => ['F', 'W', 'H'].includes(w) || undefined)))
+}
+
+/**
+ * Extract the values of a property of the text segmentation rules of UAX #29 (Grapheme_Cluster_Break,
+ * Word_Break or Sentence_Break) from its data file, e.g. GraphemeBreakProperty.txt.
+ * The default value Other is left implicit.
+ * The Indic_Conjunct_Break values, if incbDataPath is given, are merged into the Grapheme_Cluster_Break
+ * values as the classes InCB_Consonant (of the code points of class Other), InCB_Linker and InCB_Extend
+ * (of the code points of class Extend), that the rule GB9c needs (the ZWJ keeps its own class).
+ */
+async function extractBreakProperty(propertyDataPath, incbDataPath, asRanges) {
+    const { values } = await readPropertyFile(propertyDataPath)
+    if (incbDataPath) {
+        const { values: incbValues } = await readPropertyFile(incbDataPath, 'InCB')
+        for (const [i, incb] of incbValues.entries()) {
+            const cls = values[i] ?? 'Other'
+            if (incb === undefined || incb === 'None' || cls === 'ZWJ') {
+                continue
             }
+            if ((incb === 'Consonant') !== (cls === 'Other') || !['Other', 'Extend'].includes(cls)) {
+                throw Error(`Unexpected Indic_Conjunct_Break value ${incb} of U+${i.toString(16).toUpperCase()} (${cls})`)
+            }
+            values[i] = 'InCB_' + incb
         }
-        if (!lbclasses.has(cls)) {
-            lbclasses.set(cls, [])
-        }
-        if (prevClass === cls && prevGC === gc && r.start === prevRange?.stop) {
-            codepoints.delete(prevRange)
-            lbclasses.get(cls).pop()
-            r = new R(prevRange.start, r.stop)
-        }
-        codepoints.set(r, [cls, gc])
-        lbclasses.get(cls).push([r, gc])
-        prevRange = r
-        prevClass = cls
-        prevGC = gc
     }
+    return toOutput(valueRanges(values, 'Other'), asRanges)
 }
 
+/**
+ * Extract any property from its data file: the values of the first field, or with name,
+ * the property name (see readPropertyFile). The default value of all the code points,
+ * declared in an @missing line, is left implicit.
+ */
+async function extractProperty(dataPath, name, asRanges) {
+    const { values, defaultValue } = await readPropertyFile(dataPath, name)
+    return toOutput(valueRanges(values, defaultValue), asRanges)
+}
+
+// the data files of a bundle, with the alternative names of every file (the first one
+// found is used): LineBreak.txt and UnicodeData.txt are required, while the properties
+// of the other files are left out of the bundle if the files are missing
+const bundleFiles = {
+    lineBreak: { names: ['LineBreak'], required: true },
+    unicodeData: { names: ['UnicodeData'], required: true },
+    eastAsianWidth: { names: ['EastAsianWidth'] },
+    emojiData: { names: ['emoji-data'] },
+    graphemeBreak: { names: ['GraphemeBreakProperty'] },
+    incb: { names: ['IndicConjunctBreak', 'DerivedCoreProperties'] },
+    wordBreak: { names: ['WordBreakProperty'] },
+    sentenceBreak: { names: ['SentenceBreakProperty'] },
+}
+
+// the properties of a complete bundle
+const bundleProperties = [
+    'lineBreak', 'eastAsianChars', 'eastAsianWidth', 'extendedPictographic',
+    'graphemeBreakProperty', 'wordBreakProperty', 'sentenceBreakProperty',
+]
+
+// finds a data file of the version in the directory, e.g. LineBreak-17.0.0.txt,
+// or in the layout of the UCD zip file, e.g. LineBreak.txt or auxiliary/WordBreakProperty.txt,
+// returning null if there is none
+function findDataFile(directory, version, names) {
+    for (const name of names) {
+        for (const candidate of [`${name}-${version}.txt`, `${name}.txt`, `auxiliary/${name}.txt`, `emoji/${name}.txt`]) {
+            const filePath = path.join(directory, candidate)
+            if (existsSync(filePath)) {
+                return filePath
+            }
+        }
+    }
+    return null
+}
 
 /**
- * Compact data and save it as a json string.
+ * Extract the properties used by the line breaking checker and the boundary checker
+ * from the data files of a Unicode version (e.g. 17.0.0) in a single bundle, the object
+ * { version, lineBreak, eastAsianChars, eastAsianWidth, extendedPictographic,
+ *   graphemeBreakProperty, wordBreakProperty, sentenceBreakProperty }
+ * whose version is the Unicode version without the trailing zeros (e.g. '17', '15.1'),
+ * as the keys of the versions bundled with the checkers.
+ * Only version and lineBreak are always there: the properties whose data files are missing
+ * are left out (Grapheme_Cluster_Break needs also the Indic_Conjunct_Break values).
  */
-const lbclassesOpt = new Map
-for (const [cls, vals] of lbclasses.entries()) {
-    let gcs = {}
-    for (const [r, gc] of vals) {
-        if (!gcs[gc]) {
-            gcs[gc] = []
+async function extractBundle(version, directory) {
+    const files = {}
+    for (const [name, { names, required }] of Object.entries(bundleFiles)) {
+        files[name] = findDataFile(directory, version, names)
+        if (!files[name] && required) {
+            throw Error(`No data file ${names.join(' or ')} of the version ${version} in ${directory}`)
         }
-        gcs[gc].push(r)
     }
-    lbclassesOpt.set(cls, gcs)
+    const bundle = {
+        version: version.replace(/(\.0)+$/, ''),
+        lineBreak: await extractLineBreakingClasses(files.lineBreak, files.unicodeData, false),
+    }
+    if (files.eastAsianWidth) {
+        bundle.eastAsianChars = await extractEastAsianChars(files.eastAsianWidth)
+        bundle.eastAsianWidth = await extractEastAsianWidths(files.eastAsianWidth, false)
+    }
+    if (files.emojiData) {
+        bundle.extendedPictographic = await extractProperty(files.emojiData, 'Extended_Pictographic', false)
+    }
+    if (files.graphemeBreak && files.incb) {
+        bundle.graphemeBreakProperty = await extractBreakProperty(files.graphemeBreak, files.incb, false)
+    }
+    if (files.wordBreak) {
+        bundle.wordBreakProperty = await extractBreakProperty(files.wordBreak, null, false)
+    }
+    if (files.sentenceBreak) {
+        bundle.sentenceBreakProperty = await extractBreakProperty(files.sentenceBreak, null, false)
+    }
+    const missing = bundleProperties.filter(p => !Object.hasOwn(bundle, p))
+    if (missing.length) {
+        console.warn(`Left out of the bundle, for lack of their data files: ${missing.join(', ')}`)
+    }
+    return bundle
 }
 
-const jsonData = JSON.stringify(Object.fromEntries(lbclassesOpt))
+const scriptName = path.parse(process.argv[1]).base
+const asRanges = process.argv.includes('--ranges')
+const args = process.argv.slice(2).filter(arg => arg !== '--ranges')
+
+// the modes: the number of required and optional arguments (after the option),
+// the arguments that are file paths, the extraction and the default output file
+const modes = {
+    '--east-asian-width': {
+        required: 1, files: [0],
+        extract: ([eaw]) => extractEastAsianWidths(eaw, asRanges),
+        output: ([eaw]) => jsonFilePath(eaw),
+    },
+    '--grapheme-cluster-break': {
+        required: 2, files: [0, 1],
+        extract: ([gcb, incb]) => extractBreakProperty(gcb, incb, asRanges),
+        output: ([gcb]) => jsonFilePath(gcb),
+    },
+    '--word-break': {
+        required: 1, files: [0],
+        extract: ([wb]) => extractBreakProperty(wb, null, asRanges),
+        output: ([wb]) => jsonFilePath(wb),
+    },
+    '--sentence-break': {
+        required: 1, files: [0],
+        extract: ([sb]) => extractBreakProperty(sb, null, asRanges),
+        output: ([sb]) => jsonFilePath(sb),
+    },
+    '--property': {
+        required: 1, files: [0],
+        extract: ([dataPath]) => extractProperty(dataPath, null, asRanges),
+        output: ([dataPath]) => jsonFilePath(dataPath),
+    },
+    '--binary-property': {
+        required: 2, files: [1],
+        extract: ([name, dataPath]) => extractProperty(dataPath, name, asRanges),
+        output: ([name, dataPath]) => path.join(path.dirname(dataPath), `${name}-${path.parse(dataPath).name}.json`),
+    },
+    '--bundle': {
+        required: 1, optional: 2, files: [],
+        extract: ([version, directory = './resources']) => extractBundle(version, directory),
+        output: ([version]) => `./resources/Unicode-${version}.json`,
+    },
+    // LineBreak.txt and UnicodeData.txt
+    default: {
+        required: 2, files: [0, 1],
+        extract: ([lb, ud]) => extractLineBreakingClasses(lb, ud, asRanges),
+        output: ([lb]) => jsonFilePath(lb),
+    },
+}
 
-const pathObj = path.parse(lineBreakingClassesDataFilePath)
-pathObj.ext = '.json'
-pathObj.base = undefined
-const outputFilePath = path.format(pathObj)  // './resources/LineBreak-17.0.0.json'
+const option = Object.hasOwn(modes, args[0]) ? args[0] : null
+const mode = modes[option ?? 'default']
+const modeArgs = option ? args.slice(1) : args
+const optional = mode.optional ?? 1
+if (modeArgs.length < mode.required || modeArgs.length > mode.required + optional) {
+    console.error(`Error: Expected ${mode.required} required argument(s) and up to ${optional} optional, but received ${modeArgs.length}`)
+    showUsage(scriptName)
+    process.exit(1)
+}
+if (mode.files.some(i => !validateFilePath(modeArgs[i], i + 1))) {
+    showUsage(scriptName)
+    process.exit(1)
+}
+if (option === '--bundle' && asRanges) {
+    console.error('Error: --ranges is not available with --bundle')
+    showUsage(scriptName)
+    process.exit(1)
+}
 
 try {
-    await fs.writeFile(outputFilePath, jsonData)
+    const output = await mode.extract(modeArgs)
+    // the output file is the last optional argument (the bundle takes also the directory)
+    const outputFilePath = modeArgs.length === mode.required + optional ? modeArgs.at(-1) : mode.output(modeArgs)
+    await fs.writeFile(outputFilePath, JSON.stringify(output))
 }
 catch (e) {
     console.error(e)
+    process.exit(1)
 }
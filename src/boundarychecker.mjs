@@ -0,0 +1,320 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { BreakType } from './breaktypes.mjs'
+import { RuleParser, validateRules, formatRuleProblem } from './ruleparser.mjs'
+import { PropertyTable, isPropertyTableJSON, engineExtendedPictographic } from './propertytable.mjs'
+import { compileRules, candidateRules } from './rulecompiler.mjs'
+import { loadJson } from './resourceloader.mjs'
+import {
+    graphemeClusterRules, wordRules, sentenceRules, graphemeClusterClasses, wordClasses, sentenceClasses
+} from './segmentationrules.mjs'
+
+// maps every code point to its value of the property used by the segmentation rules
+// (Grapheme_Cluster_Break, Word_Break or Sentence_Break), undefined for Other
+// ('key' is the url of the source json file, or the data object itself, as in linebreakingchecker.mjs)
+const propertyTables = new Map
+
+// maps every code point with the Extended_Pictographic property to true, with the
+// same key of the property table (see extendedPictographics in linebreakingchecker.mjs),
+// from the data if it has it, and otherwise from the JavaScript engine
+const extendedPictographics = new Map
+
+// the rules of every granularity, the classes they can use and the property
+// of the data objects of src/data (see makeBoundaryCheckerSync)
+const granularities = {
+    grapheme: { rules: graphemeClusterRules, classes: graphemeClusterClasses, property: 'graphemeBreakProperty' },
+    word: { rules: wordRules, classes: wordClasses, property: 'wordBreakProperty' },
+    sentence: { rules: sentenceRules, classes: sentenceClasses, property: 'sentenceBreakProperty' },
+}
+
+function getGranularity(granularity) {
+    if (!Object.hasOwn(granularities, granularity)) {
+        throw RangeError('Invalid granularity: ' + granularity)
+    }
+    return granularities[granularity]
+}
+
+// the data files can contain either the property tables generated by lbclassesTxt2Json.js
+// or the lists of code point ranges of every value (with the option --ranges)
+function setPropertyTable(key, data) {
+    if (isPropertyTableJSON(data)) {
+        propertyTables.set(key, PropertyTable.fromJSON(data))
+        return
+    }
+    const ranges = []
+    for (const value in data) {
+        for (const [b, e] of data[value]) {
+            ranges.push([value, b, e])
+        }
+    }
+    propertyTables.set(key, PropertyTable.fromRanges(ranges))
+}
+
+function setExtendedPictographics(key, data) {
+    if (!data) {
+        extendedPictographics.set(key, engineExtendedPictographic)
+        return
+    }
+    if (isPropertyTableJSON(data)) {
+        extendedPictographics.set(key, PropertyTable.fromJSON(data))
+        return
+    }
+    extendedPictographics.set(key, PropertyTable.fromRanges(data.map(([s, e]) => [true, s, e])))
+}
+
+/**
+ * Makes a BoundaryChecker, that finds the boundaries of the grapheme clusters, words or
+ * sentences of a text with the rules of UAX #29 (see segmentationrules.mjs), loading the Unicode data it needs.
+ * No data of the properties of UAX #29 is bundled with the checker: it must be generated from
+ * the data files of the UCD with lbclassesTxt2Json.js, and passed with dataUrl or data.
+ * Options:
+ * - granularity: 'grapheme' (default), 'word' or 'sentence'
+ * - rules: a custom set of rules (default: the rules of the granularity), that can use
+ *      the classes of the granularity (see segmentationrules.mjs)
+ * - dataUrl: the url of a data file of the property of the granularity, generated by lbclassesTxt2Json.js
+ *      (e.g. with --word-break); the Extended_Pictographic property is taken from the JavaScript engine
+ * - data: the data already loaded (see makeBoundaryCheckerSync), in place of the url
+ */
+export async function makeBoundaryChecker({ granularity = 'grapheme', rules, dataUrl, data } = {}) {
+    if (data) {
+        return makeBoundaryCheckerSync({ granularity, data, rules })
+    }
+    const { rules: defaultRules, classes } = getGranularity(granularity)
+    if (!dataUrl) {
+        throw TypeError('The boundary checker needs the data of the property of the granularity, with dataUrl or data')
+    }
+    if (!propertyTables.has(dataUrl)) {
+        setPropertyTable(dataUrl, await loadJson(dataUrl))
+    }
+    if (!extendedPictographics.has(dataUrl)) {
+        setExtendedPictographics(dataUrl, null)
+    }
+    return new BoundaryChecker(rules ?? defaultRules, dataUrl, { classes })
+}
+
+/**
+ * Makes a BoundaryChecker synchronously, from Unicode data already loaded.
+ * Options:
+ * - granularity: 'grapheme' (default), 'word' or 'sentence'
+ * - data: required, an object with the data of the granularity, like the data bundles
+ *      generated by lbclassesTxt2Json.js: { graphemeBreakProperty, wordBreakProperty, sentenceBreakProperty,
+ *      extendedPictographic }, where only the property of the granularity is required
+ *      (without extendedPictographic, the property of the JavaScript engine is used)
+ * - rules: a custom set of rules (default: the rules of the granularity)
+ */
+export function makeBoundaryCheckerSync({ granularity = 'grapheme', data, rules } = {}) {
+    const { rules: defaultRules, classes, property } = getGranularity(granularity)
+    if (!data?.[property]) {
+        throw TypeError(`The data must contain the ${property} property`)
+    }
+    if (!propertyTables.has(data[property])) {
+        setPropertyTable(data[property], data[property])
+    }
+    if (!extendedPictographics.has(data[property])) {
+        setExtendedPictographics(data[property], data.extendedPictographic)
+    }
+    return new BoundaryChecker(rules ?? defaultRules, data[property], { classes })
+}
+
+
+// the types of the tokens used by a parsed rule
+function tokenTypes(token, types = new Set) {
+    types.add(token.type)
+    if (Array.isArray(token.content)) {
+        for (const t of token.content) {
+            tokenTypes(t, types)
+        }
+    }
+    return types
+}
+
+
+/**
+ * Finds the boundaries of the text segments defined by a set of rules, like
+ * LineBreakingChecker finds the line breaks: a position is a boundary if the first
+ * matching rule has the symbol ÷, and it's not one if the rule has the symbol ×.
+ * The positions are the indices of the code units of the text, from 0 to text.length
+ * (the positions inside the surrogate pairs are never boundaries).
+ */
+class BoundaryChecker {
+    #text = ''
+    #codePoints = []
+    // the index of the code point of every code unit of the text (and of its end)
+    #codePointIndices = [0]
+    #classes = []
+    #propertyKey
+    #stages
+    // the classes and code points without the characters ignored by the side effect
+    // of WB4 and SB5 (computed the first time it is needed), and the number of
+    // characters ignored up to every code point
+    #ignored = null
+    #origClasses
+    #origCodePoints
+    #applyOffset = false
+    #sideEffectArguments
+
+    constructor(rules, propertyKey, { classes = null } = {}) {
+        const problems = validateRules(rules, { classes })
+        if (problems.length) {
+            throw Error('Invalid rules:\n' + problems.map(formatRuleProblem).join('\n'))
+        }
+        const p = new RuleParser()
+        const parsedRules = rules.map(r => p.parseRule(r))
+        for (const rule of parsedRules) {
+            const types = tokenTypes(rule.before, tokenTypes(rule.after))
+            if (types.has('gc') || types.has('eastasian')) {
+                throw Error('The segmentation rules can\'t use general categories or East Asian widths: ' + rule.source)
+            }
+        }
+        this.#propertyKey = propertyKey
+        const extPict = extendedPictographics.get(propertyKey)
+        this.#stages = compileRules(parsedRules, {
+            base: (base, i) => base === 'any' || (base === 'sot' ? i < 0 : i === this.#codePoints.length),
+            class: (cls, i) => cls === this.#classes[i],
+            gc: () => false,
+            codepoint: (cp, i) => cp === this.#codePoints[i],
+            extpict: i => i >= 0 && i < this.#codePoints.length && extPict.get(this.#codePoints[i]) === true,
+            eastasian: () => false,
+            length: () => this.#codePoints.length,
+        })
+        this.#sideEffectArguments = { ignore_sequences: [this.boundIgnoreSequences] }
+    }
+
+    registerSideEffectArguments(args) {
+        for (const name in args) {
+            this.#sideEffectArguments[name] = args[name]
+        }
+        return this.#sideEffectArguments
+    }
+
+    get text() {
+        return this.#text
+    }
+
+    setText(text) {
+        this.#text = text
+        this.#codePoints = []
+        this.#codePointIndices = []
+        for (let i = 0; i < text.length; i++) {
+            const codePoint = text.codePointAt(i)
+            this.#codePointIndices.push(this.#codePoints.length)
+            if (codePoint > 65535) {
+                // the trail surrogate
+                this.#codePointIndices.push(this.#codePoints.length)
+                i++
+            }
+            this.#codePoints.push(codePoint)
+        }
+        this.#codePointIndices.push(this.#codePoints.length)
+        const table = propertyTables.get(this.#propertyKey)
+        this.#classes = this.#codePoints.map(c => table.get(c) ?? 'Other')
+        this.#origClasses = this.#classes
+        this.#origCodePoints = this.#codePoints
+        this.#ignored = null
+    }
+
+    /**
+     * Returns true if the position i of the text is a boundary.
+     */
+    isBoundary(i) {
+        return this.#evaluatePosition(i) === BreakType.ALLOWED
+    }
+
+    /**
+     * Returns the index of the first boundary after the position i, or null
+     * if i is the end of the text.
+     */
+    nextBoundary(i) {
+        for (let j = i + 1; j <= this.#text.length; j++) {
+            if (this.isBoundary(j)) {
+                return j
+            }
+        }
+        return null
+    }
+
+    // yields the segments between the boundaries, { index, text }, where
+    // index is the boundary at the end of the segment
+    *[Symbol.iterator]() {
+        let prev = 0
+        for (let i = this.nextBoundary(0); i !== null; i = this.nextBoundary(i)) {
+            yield { index: i, text: this.#text.slice(prev, i) }
+            prev = i
+        }
+    }
+
+    #evaluatePosition(i) {
+        if (i > 0 && i < this.#text.length && this.#codePointIndices[i] === this.#codePointIndices[i - 1]) {
+            // inside a surrogate pair
+            return BreakType.FORBIDDEN
+        }
+        let result = BreakType.UNKNOWN
+        const cp = this.#codePointIndices[i]
+        stages: for (const stage of this.#stages) {
+            const j = this.#applyOffset ? cp - this.#ignored.offsets[cp] : cp
+            const before = j > 0 ? this.#classes[j - 1] : 'sot'
+            const after = j < this.#classes.length ? this.#classes[j] : 'eot'
+            for (const rule of candidateRules(stage, before, after)) {
+                if (rule.before(j - 1).result && rule.after(j).result) {
+                    result = rule.rule.result
+                    break stages
+                }
+            }
+            const sideEffectRule = stage.sideEffectRule
+            if (sideEffectRule) {
+                sideEffectRule.side_effect(...(this.#sideEffectArguments[sideEffectRule.name] ?? []))
+            }
+        }
+        // cleanup
+        if (this.#applyOffset) {
+            this.#classes = this.#origClasses
+            this.#codePoints = this.#origCodePoints
+            this.#applyOffset = false
+        }
+        return result
+    }
+
+    // the side effect of WB4 and SB5: the characters of the classes ignoredClasses are
+    // treated as part of the previous character, unless they are at the start of the text
+    // or they follow a character of the classes exceptClasses
+    #ignoreSequences(ignoredClasses, exceptClasses) {
+        if (!this.#ignored) {
+            const classes = []
+            const codePoints = []
+            const offsets = []
+            let offset = 0
+            for (const [i, cls] of this.#origClasses.entries()) {
+                if (i > 0 && ignoredClasses.includes(cls) && !exceptClasses.includes(this.#origClasses[i - 1])) {
+                    offset++
+                }
+                else {
+                    classes.push(cls)
+                    codePoints.push(this.#origCodePoints[i])
+                }
+                offsets.push(offset)
+            }
+            offsets.push(offset)
+            this.#ignored = { classes, codePoints, offsets }
+        }
+        this.#classes = this.#ignored.classes
+        this.#codePoints = this.#ignored.codePoints
+        this.#applyOffset = true
+    }
+    boundIgnoreSequences = this.#ignoreSequences.bind(this)
+}
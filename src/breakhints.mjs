@@ -0,0 +1,315 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+
+import { BreakType } from './breaktypes.mjs'
+import { isSurrogate } from './surrogates.mjs'
+
+export const breakHints = Object.freeze(['wbr', 'zwsp', 'nowrap'])
+
+const textNode = 3
+const elementNode = 1
+
+// the elements whose content is part of the same run of text of their parent, e.g. foo<em>bar</em>
+const inlineElements = new Set([
+    'a', 'abbr', 'acronym', 'b', 'bdi', 'bdo', 'big', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font',
+    'i', 'ins', 'kbd', 'label', 'mark', 'nobr', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span',
+    'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u', 'var', 'wbr',
+])
+// the elements whose content is not text to annotate
+const rawTextElements = new Set([
+    'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext', 'template',
+])
+// the elements whose line breaks and tabs are preserved, instead of being collapsed to spaces
+const preformattedElements = new Set(['pre', 'listing'])
+
+// the named character references decoded in the text of the HTML strings (the others are
+// analyzed as they are written, which doesn't change the break opportunities around them)
+const namedReferences = {
+    amp: 0x26, lt: 0x3C, gt: 0x3E, quot: 0x22, apos: 0x27, nbsp: 0xA0, shy: 0xAD, iexcl: 0xA1, iquest: 0xBF,
+    laquo: 0xAB, raquo: 0xBB, copy: 0xA9, reg: 0xAE, deg: 0xB0, sect: 0xA7, para: 0xB6, middot: 0xB7,
+    times: 0xD7, ensp: 0x2002, emsp: 0x2003, thinsp: 0x2009, hairsp: 0x200A, ZeroWidthSpace: 0x200B,
+    zwnj: 0x200C, zwj: 0x200D, hyphen: 0x2010, dash: 0x2010, ndash: 0x2013, mdash: 0x2014, lsquo: 0x2018,
+    rsquo: 0x2019, ldquo: 0x201C, rdquo: 0x201D, bull: 0x2022, hellip: 0x2026, NoBreak: 0x2060,
+    euro: 0x20AC, trade: 0x2122,
+}
+
+const softHyphen = '\u00AD'
+const zeroWidthSpace = '\u200B'
+const nowrapStyle = 'white-space:nowrap'
+// the characters after which a break opportunity doesn't need a hint
+const noHintBefore = /[\s\u00AD\u200B]/
+
+// the comments, the doctype, the processing instructions and the tags (with the > in their quoted attributes)
+const markupRegex = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?|<\/?[a-zA-Z](?:"[^"]*"|'[^']*'|[^"'>])*>?/y
+const referenceRegex = /&(?:#[xX]([0-9a-fA-F]+);?|#([0-9]+);?|([a-zA-Z][a-zA-Z0-9]*);)/y
+
+const htmlHints = {
+    wbr: '<wbr>',
+    zwsp: '&#x200B;',
+    hyphen: '&shy;',
+    open: `<span style="${nowrapStyle}">`,
+    close: '</span>',
+}
+
+/**
+ * Inserts break hints in the markup html, returning the new markup. The text of the elements
+ * is analyzed with the LineBreakingChecker lbc (whose text is replaced) in runs that continue
+ * across the inline elements, e.g. <em>foo</em>bar is analyzed as foobar, and end at the other
+ * elements (p, div, br, img, ...). The content of script, style, textarea and the other raw
+ * text elements is not analyzed, and the markup and the text are copied unchanged, except
+ * for the hints, so nothing in html is ever decoded and written back.
+ * Options:
+ * - hint: 'wbr' inserts <wbr> at the allowed breaks, 'zwsp' a zero width space (&#x200B;), and
+ *      'nowrap' wraps the text between the break opportunities in <span style="white-space:nowrap">,
+ *      so that the browser breaks the lines only there (default: 'wbr').
+ *      No hint is inserted after the white space, the soft hyphens and the zero width spaces,
+ *      where the browser already breaks the lines, and with all the hints a soft hyphen (&shy;)
+ *      is inserted at the HYPHENATED breaks found by the hyphenator.
+ */
+export function annotateHTML(lbc, html, { hint = 'wbr' } = {}) {
+    checkHint(hint)
+    // [offset in html, order at the same offset, markup]
+    const insertions = []
+    let pieces = []
+    const endRun = () => {
+        if (pieces.length) {
+            const { points, ranges } = findHints(lbc, pieces.map(p => p.text), hint === 'nowrap')
+            for (const { piece, index, hyphen } of points) {
+                insertions.push([pieces[piece].offsets[index], 1, htmlHints[hyphen ? 'hyphen' : hint]])
+            }
+            for (const { piece, start, end } of ranges) {
+                insertions.push([pieces[piece].offsets[start], 2, htmlHints.open])
+                insertions.push([pieces[piece].offsets[end], 0, htmlHints.close])
+            }
+            pieces = []
+        }
+    }
+    let preformatted = 0
+    let i = 0
+    while (i < html.length) {
+        const markup = matchMarkup(html, i)
+        if (!markup) {
+            // the text until the next markup
+            let end = i + 1
+            while (end < html.length && !(html[end] === '<' && matchMarkup(html, end))) {
+                end++
+            }
+            pieces.push(decodeText(html, i, end, preformatted > 0))
+            i = end
+            continue
+        }
+        i += markup.length
+        const tag = /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(markup)
+        if (!tag) {
+            // comments, doctype and processing instructions don't end the runs
+            continue
+        }
+        const endTag = tag[1] === '/'
+        const name = tag[2].toLowerCase()
+        if (!inlineElements.has(name)) {
+            endRun()
+        }
+        if (preformattedElements.has(name)) {
+            preformatted = Math.max(0, preformatted + (endTag ? -1 : 1))
+        }
+        if (!endTag && rawTextElements.has(name)) {
+            // the raw text is copied until the end tag of the element
+            const endTagRegex = new RegExp(`</${name}[\\s/>]`, 'ig')
+            endTagRegex.lastIndex = i
+            i = endTagRegex.exec(html)?.index ?? html.length
+        }
+    }
+    endRun()
+    insertions.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    const parts = []
+    let prev = 0
+    for (const [offset, , markup] of insertions) {
+        parts.push(html.slice(prev, offset), markup)
+        prev = offset
+    }
+    parts.push(html.slice(prev))
+    return parts.join('')
+}
+
+/**
+ * Inserts break hints in the DOM subtree root (an element or a document fragment), as
+ * annotateHTML does in the markup (see it for the options): <wbr> elements, zero width spaces
+ * and soft hyphens in the text nodes, or the text nodes split and wrapped in
+ * <span style="white-space:nowrap"> elements. Returns root.
+ */
+export function annotateDOM(lbc, root, { hint = 'wbr' } = {}) {
+    checkHint(hint)
+    const ownerDocument = root.ownerDocument ?? root
+    // the runs of text nodes, all collected before changing them
+    const runs = []
+    let run = []
+    const endRun = () => {
+        if (run.length) {
+            runs.push(run)
+            run = []
+        }
+    }
+    const visit = (node, preformatted) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === textNode) {
+                run.push({ node: child, text: preformatted ? child.data : collapseWhitespace(child.data) })
+            }
+            else if (child.nodeType === elementNode) {
+                const name = child.localName.toLowerCase()
+                const inline = inlineElements.has(name)
+                if (!inline) {
+                    endRun()
+                }
+                if (!rawTextElements.has(name)) {
+                    visit(child, preformatted || preformattedElements.has(name))
+                }
+                if (!inline) {
+                    endRun()
+                }
+            }
+        }
+    }
+    visit(root, preformattedElements.has(root.localName?.toLowerCase()))
+    endRun()
+    for (const run of runs) {
+        const { points, ranges } = findHints(lbc, run.map(p => p.text), hint === 'nowrap')
+        // the changes of every text node, from its end, so that the offsets before them stay valid
+        // (at the same offset, the range that starts there goes before the soft hyphen that ends the previous one)
+        const changes = [
+            ...ranges.map(r => ({ ...r, offset: r.start, order: 0 })),
+            ...points.map(p => ({ ...p, offset: p.index, order: 1 })),
+        ].sort((a, b) => a.piece - b.piece || b.offset - a.offset || a.order - b.order)
+        for (const change of changes) {
+            const node = run[change.piece].node
+            if (change.order === 0) {
+                if (change.end < node.length) {
+                    node.splitText(change.end)
+                }
+                const text = change.start > 0 ? node.splitText(change.start) : node
+                const span = ownerDocument.createElement('span')
+                span.setAttribute('style', nowrapStyle)
+                text.parentNode.insertBefore(span, text)
+                span.appendChild(text)
+            }
+            else if (change.hyphen || hint === 'zwsp') {
+                node.insertData(change.index, change.hyphen ? softHyphen : zeroWidthSpace)
+            }
+            else {
+                const next = change.index < node.length ? node.splitText(change.index) : node.nextSibling
+                node.parentNode.insertBefore(ownerDocument.createElement('wbr'), next)
+            }
+        }
+    }
+    return root
+}
+
+function checkHint(hint) {
+    if (!breakHints.includes(hint)) {
+        throw RangeError('Invalid break hint: ' + hint)
+    }
+}
+
+// finds the hints of a run of text pieces (the text nodes across the inline elements), as
+// points { piece, index, hyphen } where a hint or a soft hyphen (if hyphen is true) is inserted,
+// and for nowrap the ranges { piece, start, end } of the text between the break opportunities.
+// A break opportunity between two pieces belongs to the first one
+function findHints(lbc, texts, nowrap) {
+    const text = texts.join('')
+    const starts = []
+    for (let start = 0, i = 0; i < texts.length; start += texts[i++].length) {
+        starts.push(start)
+    }
+    lbc.setText(text)
+    const points = []
+    const ranges = []
+    let piece = 0
+    let prev = 0
+    let prevPiece = 0
+    for (const { index, breakType } of lbc) {
+        const i = lbc.toUTF16Index(index)
+        while (i > starts[piece] + texts[piece].length) {
+            piece++
+        }
+        const before = text[i - 1]
+        const hyphen = (breakType & BreakType.HYPHENATED) !== 0 && before !== softHyphen
+        if (i < text.length && (hyphen || (!nowrap && breakType === BreakType.ALLOWED && !noHintBefore.test(before)))) {
+            points.push({ piece, index: i - starts[piece], hyphen })
+        }
+        if (nowrap) {
+            for (let p = prevPiece; p <= piece; p++) {
+                const start = Math.max(prev, starts[p])
+                const end = Math.min(i, starts[p] + texts[p].length)
+                // a single character or white space can't be broken anyway
+                if (end > start && /\S/.test(text.slice(start, end)) && Array.from(text.slice(start, end)).length > 1) {
+                    ranges.push({ piece: p, start: start - starts[p], end: end - starts[p] })
+                }
+            }
+        }
+        prev = i
+        prevPiece = piece
+    }
+    return { points, ranges }
+}
+
+// the markup (tag, comment, doctype, ...) at the index i of html, or null if there is text
+function matchMarkup(html, i) {
+    markupRegex.lastIndex = i
+    return markupRegex.exec(html)?.[0] ?? null
+}
+
+// decodes the character references of the text of html from start to end, returning
+// the text with the offset in html of every code unit and of the end
+function decodeText(html, start, end, preformatted) {
+    const codeUnits = []
+    const offsets = []
+    for (let i = start; i < end; ) {
+        referenceRegex.lastIndex = i
+        const match = html[i] === '&' ? referenceRegex.exec(html) : null
+        const codePoint = match ? referenceCodePoint(match) : undefined
+        if (codePoint !== undefined && referenceRegex.lastIndex <= end) {
+            // both the code units of the characters out of the BMP have the offset of the reference
+            const decoded = String.fromCodePoint(codePoint)
+            for (let k = 0; k < decoded.length; k++) {
+                codeUnits.push(decoded[k])
+                offsets.push(i)
+            }
+            i = referenceRegex.lastIndex
+        }
+        else {
+            codeUnits.push(html[i])
+            offsets.push(i++)
+        }
+    }
+    offsets.push(end)
+    const text = codeUnits.join('')
+    return { text: preformatted ? text : collapseWhitespace(text), offsets }
+}
+
+function referenceCodePoint([, hex, decimal, name]) {
+    if (name !== undefined) {
+        return Object.hasOwn(namedReferences, name) ? namedReferences[name] : undefined
+    }
+    const codePoint = parseInt(hex ?? decimal, hex !== undefined ? 16 : 10)
+    return codePoint > 0 && codePoint <= 0x10FFFF && !isSurrogate(codePoint) ? codePoint : 0xFFFD
+}
+
+// the line breaks and tabs of the text are rendered as spaces (with the same length, to keep the offsets)
+function collapseWhitespace(text) {
+    return text.replace(/[\t\n\f\r]/g, ' ')
+}
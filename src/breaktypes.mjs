@@ -16,9 +16,12 @@
  */
 
 
+// HYPHENATED is combined with ALLOWED, at the breaks where a hyphen
+// must be rendered (after a soft hyphen or at a hyphenation point)
 export const BreakType = Object.freeze({
     UNKNOWN: 0,
     FORBIDDEN: 1,
     MANDATORY: 2,
     ALLOWED: 4,
+    HYPHENATED: 8,
 })
@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import saWords from './data/sawords.mjs'
+
+/**
+ * Segmenters of the runs of characters of class SA (complex context dependent:
+ * Thai, Lao, Khmer, Myanmar and other scripts written without spaces between words),
+ * whose break opportunities can only be found with the knowledge of the language (LB1).
+ * A segmenter is an object with a method findBreaks(text), that receives the text
+ * of a run and returns the indices (in code units) of the breaks between its words.
+ * The indices 0 and text.length are ignored, as well as the ones before a combining mark.
+ */
+
+/**
+ * Finds the breaks between the words with Intl.Segmenter (word granularity), that
+ * uses the dictionaries of the JavaScript engine.
+ */
+export class IntlWordSegmenter {
+    #segmenter
+
+    constructor(locales) {
+        this.#segmenter = new Intl.Segmenter(locales, { granularity: 'word' })
+    }
+
+    findBreaks(text) {
+        const breaks = []
+        for (const { index } of this.#segmenter.segment(text)) {
+            if (index > 0) {
+                breaks.push(index)
+            }
+        }
+        return breaks
+    }
+}
+
+/**
+ * Finds the breaks between the words of a dictionary (an iterable of strings),
+ * choosing at every position the longest word that starts there.
+ * The characters that don't start any word are kept together, up to the next word.
+ */
+export class DictionarySegmenter {
+    #words
+    #maxLength = 0
+
+    constructor(words = saWords) {
+        this.#words = new Set(words)
+        for (const word of this.#words) {
+            this.#maxLength = Math.max(this.#maxLength, word.length)
+        }
+    }
+
+    findBreaks(text) {
+        const breaks = []
+        let unknown = false
+        let i = 0
+        while (i < text.length) {
+            const length = this.#longestWord(text, i)
+            if (length) {
+                if (i > 0) {
+                    breaks.push(i)
+                }
+                i += length
+                unknown = false
+            }
+            else {
+                if (i > 0 && !unknown) {
+                    breaks.push(i)
+                }
+                i += text.codePointAt(i) > 65535 ? 2 : 1
+                unknown = true
+            }
+        }
+        return breaks
+    }
+
+    #longestWord(text, i) {
+        for (let length = Math.min(this.#maxLength, text.length - i); length > 0; length--) {
+            if (this.#words.has(text.slice(i, i + length))) {
+                return length
+            }
+        }
+        return 0
+    }
+}
+
+/**
+ * Returns the default segmenter: an IntlWordSegmenter, if Intl.Segmenter is available,
+ * or a DictionarySegmenter with the bundled dictionary (see data/sawords.mjs).
+ */
+export function makeComplexContextSegmenter(locales) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        return new IntlWordSegmenter(locales)
+    }
+    return new DictionarySegmenter()
+}
@@ -0,0 +1,216 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { BreakType } from './breaktypes.mjs'
+
+/**
+ * Runs the conformance tests of the Unicode data files LineBreakTest-<version>.txt
+ * (see test_line_breaking_algorithm.js) and of the test files of UAX #29
+ * (GraphemeBreakTest.txt, WordBreakTest.txt and SentenceBreakTest.txt), and reports their results.
+ */
+
+/**
+ * Parses the content of a LineBreakTest file, returning its test cases as objects
+ * { line, source, text, expected }, where line is the number of the line in the file
+ * (from 1), source the line itself and expected the break notation of the test,
+ * e.g. '× 0061 × 0062 ÷ 0020 × 0063 ÷'.
+ */
+export function parseLineBreakTests(data) {
+    const tests = []
+    for (const [i, source] of data.split(/\r\n|\r|\n/).entries()) {
+        const payload = source.split('#')[0].trim()
+        if (!payload) {
+            continue
+        }
+        const parts = payload.split(/\s+/)
+        const codePoints = parts.filter((_, j) => j % 2 === 1).map(h => Number('0x' + h))
+        tests.push({
+            line: i + 1,
+            source: source,
+            text: String.fromCodePoint(...codePoints),
+            expected: parts.join(' '),
+        })
+    }
+    return tests
+}
+
+/**
+ * Returns the tests selected by the filters:
+ * - lines: an array of line numbers or of ranges [first, last] of line numbers of the file
+ * - pattern: a RegExp (or a string with its source) that the line of the test must match
+ */
+export function filterTests(tests, { lines = null, pattern = null } = {}) {
+    const regex = typeof pattern === 'string' ? new RegExp(pattern) : pattern
+    return tests.filter(test => (
+        (!lines || lines.some(l => Array.isArray(l) ? test.line >= l[0] && test.line <= l[1] : test.line === l))
+        && (!regex || regex.test(test.source))
+    ))
+}
+
+/**
+ * Runs the tests with the LineBreakingChecker lbc (whose text is replaced), returning
+ * their results as objects { line, source, expected, actual, passed, mismatches },
+ * where actual is the break notation found by lbc, and mismatches lists the positions
+ * whose break differs: { position (the index of the code point before which the break is),
+ * expected, actual, rule (the label, or the source, of the rule that decided it) }.
+ */
+export function runLineBreakTests(lbc, tests) {
+    return runTests(lbc, tests, i => lbc.isPosLineBreaking(i) !== BreakType.FORBIDDEN, i => {
+        const { rule } = lbc.explainPosition(i)
+        return rule?.label ?? rule?.source ?? null
+    })
+}
+
+/**
+ * Runs the tests of the files GraphemeBreakTest, WordBreakTest and SentenceBreakTest
+ * (parsed with parseLineBreakTests, that have the same format) with the BoundaryChecker bc
+ * of the same granularity, returning their results as runLineBreakTests (the rules
+ * of the mismatches are null).
+ */
+export function runBoundaryTests(bc, tests) {
+    return runTests(bc, tests, i => bc.isBoundary(i), () => null)
+}
+
+function runTests(checker, tests, isBreak, ruleAt) {
+    return tests.map(test => {
+        checker.setText(test.text)
+        const actual = breakNotation(test.text, isBreak)
+        const result = {
+            line: test.line,
+            source: test.source,
+            expected: test.expected,
+            actual: actual,
+            passed: actual === test.expected,
+            mismatches: [],
+        }
+        if (!result.passed) {
+            const expectedBreaks = test.expected.split(' ').filter((_, j) => j % 2 === 0)
+            const actualBreaks = actual.split(' ').filter((_, j) => j % 2 === 0)
+            let index = 0
+            for (const [position, c] of [...Array.from(test.text), ''].entries()) {
+                if (expectedBreaks[position] !== actualBreaks[position]) {
+                    result.mismatches.push({
+                        position: position,
+                        expected: expectedBreaks[position],
+                        actual: actualBreaks[position],
+                        rule: ruleAt(index),
+                    })
+                }
+                index += c.length
+            }
+        }
+        return result
+    })
+}
+
+/**
+ * Describes a failed test in a few lines of text, e.g. for the console.
+ */
+export function describeFailure(result) {
+    const rules = result.mismatches.map(m => `${m.expected} → ${m.actual} at ${m.position} (${m.rule})`)
+    return [
+        `line ${result.line}: ${result.source.split('#')[1]?.trim() ?? ''}`,
+        `  expected: ${result.expected}`,
+        `  actual:   ${result.actual}`,
+        `  rules:    ${rules.join(', ')}`,
+    ].join('\n')
+}
+
+/**
+ * Returns a report in the JUnit XML format of the results of the suites, an array
+ * of { name, results }, with the results returned by runLineBreakTests.
+ */
+export function toJUnit(suites) {
+    const count = suites.reduce((n, s) => n + s.results.length, 0)
+    const failures = suites.reduce((n, s) => n + s.results.filter(r => !r.passed).length, 0)
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="LineBreakTest" tests="${count}" failures="${failures}">`,
+    ]
+    for (const { name, results } of suites) {
+        const suiteFailures = results.filter(r => !r.passed).length
+        lines.push(`  <testsuite name="${escapeXml(name)}" tests="${results.length}" failures="${suiteFailures}">`)
+        for (const result of results) {
+            const testcase = `<testcase classname="${escapeXml(name)}" name="line ${result.line}"`
+            if (result.passed) {
+                lines.push(`    ${testcase}/>`)
+                continue
+            }
+            lines.push(
+                `    ${testcase}>`,
+                `      <failure message="expected ${escapeXml(result.expected)}">${escapeXml(describeFailure(result))}</failure>`,
+                '    </testcase>',
+            )
+        }
+        lines.push('  </testsuite>')
+    }
+    lines.push('</testsuites>', '')
+    return lines.join('\n')
+}
+
+/**
+ * Returns a report in the TAP format (version 13) of the results of the suites
+ * (see toJUnit).
+ */
+export function toTAP(suites) {
+    const count = suites.reduce((n, s) => n + s.results.length, 0)
+    const lines = ['TAP version 13', `1..${count}`]
+    let n = 0
+    for (const { name, results } of suites) {
+        for (const result of results) {
+            n++
+            lines.push(`${result.passed ? 'ok' : 'not ok'} ${n} - ${name} line ${result.line}`)
+            if (!result.passed) {
+                lines.push(
+                    '  ---',
+                    `  expected: '${result.expected}'`,
+                    `  actual: '${result.actual}'`,
+                    '  mismatches:',
+                    ...result.mismatches.map(m => (
+                        `    - { position: ${m.position}, expected: '${m.expected}', actual: '${m.actual}', `
+                        + `rule: '${String(m.rule).replaceAll("'", "''")}' }`
+                    )),
+                    '  ...',
+                )
+            }
+        }
+    }
+    lines.push('')
+    return lines.join('\n')
+}
+
+// the break notation of the text, in the format of the LineBreakTest files, where
+// isBreak(i) tells if there is a break at the index i of the text
+function breakNotation(text, isBreak) {
+    const parts = []
+    let i = 0
+    for (const c of text) {
+        parts.push(toBreakChar(isBreak(i)), c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+        i += c.length
+    }
+    parts.push(toBreakChar(isBreak(i)))
+    return parts.join(' ')
+}
+
+function toBreakChar(isBreak) {
+    return isBreak ? '÷' : '×'
+}
+
+function escapeXml(str) {
+    return str.replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`)
+}
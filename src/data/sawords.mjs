@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A small dictionary of common Thai, Lao, Khmer and Myanmar (Burmese) words, used by
+ * DictionarySegmenter (see complexcontext.mjs) where Intl.Segmenter is unavailable.
+ * It's only a demo, that finds the breaks between the most frequent words: for real texts,
+ * pass a fuller word list to DictionarySegmenter.
+ */
+
+export default [
+    // Thai
+    'ภาษา', 'ไทย', 'เป็น', 'ที่', 'สวยงาม', 'การ', 'ของ', 'และ', 'ใน', 'มี', 'ได้', 'ไม่', 'ให้',
+    'คน', 'จะ', 'ว่า', 'กับ', 'แต่', 'ก็', 'นี้', 'มา', 'ไป', 'อยู่', 'เรา', 'เขา', 'ผม', 'ฉัน',
+    'คุณ', 'เมือง', 'ประเทศ', 'ประชาชน', 'รัฐบาล', 'วัน', 'เวลา', 'ปี', 'เดือน', 'สัปดาห์',
+    'ชั่วโมง', 'นาที', 'ทำ', 'งาน', 'บ้าน', 'โรงเรียน', 'โรงพยาบาล', 'นักเรียน', 'ครู', 'หนังสือ',
+    'อ่าน', 'เขียน', 'พูด', 'ฟัง', 'ดู', 'เห็น', 'รู้', 'เข้าใจ', 'คิด', 'ต้อง', 'ควร', 'อยาก',
+    'ชอบ', 'รัก', 'กิน', 'ข้าว', 'น้ำ', 'อาหาร', 'ร้าน', 'ตลาด', 'ถนน', 'รถ', 'เรือ', 'เครื่องบิน',
+    'สนามบิน', 'สถานี', 'ใหญ่', 'เล็ก', 'ดี', 'สวย', 'ใหม่', 'เก่า', 'มาก', 'น้อย', 'หนึ่ง', 'สอง',
+    'สาม', 'สี่', 'ห้า', 'หก', 'เจ็ด', 'แปด', 'เก้า', 'สิบ', 'ร้อย', 'พัน', 'หมื่น', 'แสน', 'ล้าน',
+    'ขอบคุณ', 'สวัสดี', 'ครับ', 'ค่ะ', 'ขอ', 'โทษ', 'ช่วย', 'เพื่อน', 'พ่อ', 'แม่', 'ลูก', 'พี่',
+    'น้อง', 'ครอบครัว', 'ชีวิต', 'โลก', 'ธรรมชาติ', 'ป่า', 'ภูเขา', 'ทะเล', 'แม่น้ำ', 'ฝน', 'ลม',
+    'ร้อน', 'หนาว', 'อากาศ', 'สี', 'แดง', 'เขียว', 'ขาว', 'ดำ', 'ทอง', 'ราคา', 'เงิน', 'ซื้อ',
+    'ขาย', 'จ่าย', 'ธนาคาร', 'บริษัท', 'ธุรกิจ', 'เศรษฐกิจ', 'การเมือง', 'สังคม', 'วัฒนธรรม',
+    'ประวัติศาสตร์', 'วิทยาศาสตร์', 'คณิตศาสตร์', 'คอมพิวเตอร์', 'โทรศัพท์', 'ข้อความ', 'ข่าว',
+    'วันนี้', 'พรุ่งนี้', 'เมื่อวาน', 'ตอนนี้', 'เช้า', 'เย็น', 'กลางคืน', 'ทุก', 'บาง', 'อื่น',
+    'เดียว', 'กัน', 'แล้ว', 'ยัง', 'เคย', 'กำลัง', 'จาก', 'ถึง', 'เพื่อ', 'เพราะ', 'ถ้า', 'หรือ',
+    'อย่าง', 'เช่น', 'ความ', 'ส่วน', 'ระหว่าง', 'ตาม', 'โดย', 'ซึ่ง', 'อะไร', 'ใคร', 'ที่ไหน',
+    'เมื่อไร', 'ทำไม', 'อย่างไร',
+    // Lao
+    'ພາສາ', 'ລາວ', 'ປະເທດ', 'ຄົນ', 'ເມືອງ', 'ແລະ', 'ໃນ', 'ມີ', 'ບໍ່', 'ໄດ້', 'ຂອບໃຈ', 'ສະບາຍດີ',
+    // Khmer
+    'ភាសា', 'ខ្មែរ', 'គឺ', 'ជា', 'ប្រទេស', 'កម្ពុជា', 'ខ្ញុំ', 'អ្នក', 'គាត់', 'យើង', 'ពួកគេ', 'និង',
+    'នៅ', 'ក្នុង', 'មាន', 'ទៅ', 'មក', 'ធ្វើ', 'ការ', 'ដែល', 'នេះ', 'នោះ', 'មិន', 'បាន', 'ថា', 'ពី',
+    'ដើម្បី', 'ផ្ទះ', 'សាលា', 'សៀវភៅ', 'ទឹក', 'បាយ', 'ថ្ងៃ', 'ឆ្នាំ', 'ខែ', 'ល្អ', 'ធំ', 'តូច',
+    'ច្រើន', 'អរគុណ', 'សួស្តី', 'ក្រុង', 'ភ្នំពេញ', 'រដ្ឋាភិបាល', 'ប្រជាជន', 'មនុស្ស', 'ពេល',
+    'រៀន', 'សរសេរ', 'អាន', 'និយាយ', 'ស្តាប់', 'មើល', 'ដឹង', 'ចង់', 'ត្រូវ', 'ប៉ុន្តែ', 'ឬ', 'ព្រោះ',
+    'បើ', 'មួយ', 'ពីរ', 'បី', 'បួន', 'ប្រាំ', 'ដប់', 'ម្តាយ', 'ឪពុក', 'កូន', 'មិត្ត', 'គ្រួសារ',
+    'ពិភពលោក', 'សេដ្ឋកិច្ច', 'វប្បធម៌', 'ប្រវត្តិសាស្ត្រ',
+    // Myanmar
+    'မြန်မာ', 'ဘာသာ', 'စကား', 'နိုင်ငံ', 'ကျွန်တော်', 'ကျွန်မ', 'သူ', 'တို့', 'နှင့်', 'မှာ', 'ရှိ',
+    'သည်', 'ပါ', 'တယ်', 'ကို', 'အိမ်', 'ကျောင်း', 'စာအုပ်', 'ရေ', 'ထမင်း', 'စား', 'နေ့', 'နှစ်',
+    'ကောင်း', 'ကြီး', 'များ', 'ကျေးဇူး', 'တင်', 'မင်္ဂလာ', 'ရန်ကုန်', 'မြို့', 'အစိုးရ', 'လူ',
+    'ပြည်သူ', 'အချိန်', 'ယနေ့', 'ချစ်', 'ရေး', 'ဖတ်', 'ပြော', 'နားထောင်', 'ကြည့်', 'သိ', 'ချင်',
+    'တစ်', 'သုံး', 'ငါး', 'ဆယ်', 'အမေ', 'အဖေ', 'သား', 'သမီး', 'သူငယ်ချင်း', 'မိသားစု', 'ကမ္ဘာ',
+    'စီးပွားရေး', 'ယဉ်ကျေးမှု', 'သမိုင်း', 'ဖြစ်',
+]
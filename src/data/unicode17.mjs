@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Unicode v17.0 data for makeLBCSync, e.g.
+ * import unicode17 from './data/unicode17.mjs'
+ * const lbc = makeLBCSync({ data: unicode17 })
+ * The data bundle of the version has only the line breaking classes: the set $EastAsian
+ * is taken from EastAsianChars.json (see makeLBC).
+ */
+
+import bundle from '../../resources/Unicode-17.0.0.json' with { type: 'json' }
+import eastAsianChars from '../../resources/EastAsianChars.json' with { type: 'json' }
+
+const unicode17 = { ...bundle, eastAsianChars }
+
+export default unicode17
@@ -0,0 +1,312 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { BreakType } from './breaktypes.mjs'
+import { PropertyTable, lineBreakTableFromJSON, engineExtendedPictographic } from './propertytable.mjs'
+import { isHighSurrogate, isLowSurrogate, isSurrogatePair } from './surrogates.mjs'
+
+const lineBreak = BreakType.MANDATORY|BreakType.ALLOWED
+
+// the classes after which a combining mark starts a new combining sequence (LB9)
+const noBaseClasses = ['BK', 'CR', 'LF', 'NL', 'SP', 'ZW']
+// the classes that are generated more often, because they are involved in the most complex rules
+const trickyClasses = [
+    'CM', 'ZWJ', 'RI', 'QU', 'SP', 'BK', 'CR', 'LF', 'NL', 'ZW', 'WJ', 'GL', 'HY', 'HH', 'BA', 'B2', 'EB', 'EM',
+    'ID', 'AK', 'AS', 'VF', 'VI', 'AP', 'IS', 'NU', 'PR', 'PO', 'OP', 'CL', 'CP', 'EX', 'IN', 'NS', 'CJ', 'SA',
+    'H2', 'H3', 'JL', 'JV', 'JT', 'HL', 'SY',
+]
+
+/**
+ * Returns a pseudorandom number generator (mulberry32) that returns numbers in [0, 1),
+ * always the same for the same seed.
+ */
+export function makeRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Returns the smallest text, obtained removing code points (or lone surrogates) from text,
+ * for which fails still returns true.
+ */
+export function minimize(text, fails) {
+    let chars = Array.from(text)
+    let size = Math.max(1, chars.length >> 1)
+    while (size >= 1) {
+        let removed = false
+        for (let start = 0; start < chars.length; ) {
+            const candidate = [...chars.slice(0, start), ...chars.slice(start + size)]
+            if (candidate.length < chars.length && fails(candidate.join(''))) {
+                chars = candidate
+                removed = true
+            }
+            else {
+                start += size
+            }
+        }
+        if (!removed) {
+            size >>= 1
+        }
+    }
+    return chars.join('')
+}
+
+/**
+ * Generates random texts biased toward the characters and the sequences involved in the
+ * most complex line breaking rules, and checks that a LineBreakingChecker respects
+ * the invariants of the algorithm on them (see check), reporting the counterexamples
+ * found minimized.
+ * data is the Unicode data of the checker, with at least the table lineBreak (e.g. the data
+ * of src/data); without the table extendedPictographic, the property of the JavaScript engine is used.
+ * Options:
+ * - seed: the seed of the random texts (default: 1)
+ * - maxLength: the maximum number of atoms (characters or sequences) of a text (default: 16)
+ * - reference: another LineBreakingChecker, e.g. the same rules not compiled, that must
+ *      find the same break types
+ * - graphemes: a BoundaryChecker of extended grapheme clusters, whose boundaries in the
+ *      texts must be the ones of Intl.Segmenter (a differential check of the data and the
+ *      rules of UAX #29 with the implementation of the JavaScript engine: the version of
+ *      the data must be the version of Unicode of the engine, e.g. process.versions.unicode)
+ */
+export class LineBreakFuzzer {
+    #lbc
+    #reference
+    #graphemes
+    #segmenter
+    #random
+    #maxLength
+    #classes
+    // the assigned code points of every line breaking class
+    #pools = new Map
+    #extPict = []
+    #supplementary = []
+    #atoms
+
+    constructor(lbc, data, { seed = 1, maxLength = 16, reference = null, graphemes = null } = {}) {
+        if (!data?.lineBreak) {
+            throw TypeError('The data must contain the lineBreak property')
+        }
+        this.#lbc = lbc
+        this.#reference = reference
+        if (graphemes) {
+            this.#graphemes = graphemes
+            this.#segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+        }
+        this.#random = makeRandom(seed)
+        this.#maxLength = maxLength
+        this.#classes = lineBreakTableFromJSON(data.lineBreak)
+        const extPict = data.extendedPictographic
+            ? PropertyTable.fromJSON(data.extendedPictographic)
+            : engineExtendedPictographic
+        for (let c = 0; c <= 0x10FFFF; c++) {
+            const [cls, gc] = this.#classes.get(c) ?? []
+            if (!cls || gc === 'Cn' || gc === 'Co' || gc === 'Cs') {
+                continue
+            }
+            if (!this.#pools.has(cls)) {
+                this.#pools.set(cls, [])
+            }
+            this.#pools.get(cls).push(c)
+            if (extPict.get(c) === true) {
+                this.#extPict.push(c)
+            }
+            if (c > 0xFFFF) {
+                this.#supplementary.push(c)
+            }
+        }
+        const tricky = trickyClasses.filter(cls => this.#pools.has(cls))
+        const all = [...this.#pools.keys()]
+        // [weight, function returning the code points of the atom]
+        this.#atoms = [
+            [4, () => [this.#charOf(this.#pick(all))]],
+            [6, () => [this.#charOf(this.#pick(tricky))]],
+            // regional indicators
+            [1, () => Array.from({ length: 1 + this.#int(5) }, () => this.#charOf('RI'))],
+            // combining sequences, also after spaces and line breaks
+            [2, () => [
+                this.#charOf(this.#pick(['AL', 'ID', 'SP', 'BK', 'LF', 'ZW', 'QU', 'NU'])),
+                ...Array.from({ length: 1 + this.#int(3) }, () => this.#charOf(this.#pick(['CM', 'CM', 'ZWJ']))),
+            ]],
+            // emoji sequences
+            [2, () => this.#pick([
+                () => [this.#pick(this.#extPict), 0x200D, this.#pick(this.#extPict)],
+                () => [this.#charOf('EB'), this.#charOf('EM')],
+                () => [this.#pick(this.#extPict), 0xFE0F],
+            ])()],
+            // quotation marks with East Asian neighbors
+            [2, () => [this.#charOf('ID'), this.#charOf('QU'), this.#charOf(this.#pick(['ID', 'AL', 'SP']))]],
+            // Brahmic orthographic syllables
+            [2, () => [
+                this.#pick([this.#charOf('AK'), this.#charOf('AS'), 0x25CC]),
+                ...(this.#int(2) ? [this.#charOf('VI'), this.#charOf('AK')] : []),
+                ...(this.#int(2) ? [this.#charOf('VF')] : []),
+            ]],
+            // numbers
+            [1, () => [this.#charOf('PR'), this.#charOf('NU'), this.#charOf('IS'), this.#charOf('NU'), this.#charOf('PO')]],
+            // surrogate pairs and lone surrogates
+            [2, () => [this.#pick(this.#supplementary)]],
+            [1, () => [0xD800 + this.#int(0x800)]],
+        ].filter(([, atom]) => {
+            try {
+                atom()
+                return true
+            }
+            catch {
+                // a class missing in the data
+                return false
+            }
+        })
+    }
+
+    /**
+     * Returns a new random text.
+     */
+    generate() {
+        const total = this.#atoms.reduce((sum, [weight]) => sum + weight, 0)
+        const codePoints = []
+        for (let n = 1 + this.#int(this.#maxLength); n > 0; n--) {
+            let r = this.#random() * total
+            const [, atom] = this.#atoms.find(([weight]) => (r -= weight) < 0) ?? this.#atoms.at(-1)
+            codePoints.push(...atom())
+        }
+        return String.fromCharCode(...codePoints.flatMap(c => c > 0xFFFF
+            ? [0xD7C0 + (c >> 10), 0xDC00 + (c & 0x3FF)]
+            : [c]
+        ))
+    }
+
+    /**
+     * Checks the invariants of the line breaking algorithm on text, returning the
+     * violations found as objects { invariant, index, message }. The invariants are:
+     * - surrogate-pair: no break inside the surrogate pairs
+     * - combining-mark: no break before the combining marks (CM and ZWJ), unless they
+     *      follow BK, CR, LF, NL, SP or ZW (LB9)
+     * - mandatory: a mandatory break after BK, LF, NL and CR not followed by LF (LB4, LB5)
+     * - iterator-text: the segments of the iterator concatenate to the text
+     * - iterator-breaks: the iterator returns the breaks found by isPosLineBreaking
+     * - reference: the reference checker finds the same break types
+     * - segmenter: the BoundaryChecker graphemes finds the boundaries of Intl.Segmenter
+     */
+    check(text) {
+        const lbc = this.#lbc
+        lbc.setText(text)
+        const violations = []
+        const breakTypes = []
+        for (let i = 0; i <= text.length; i++) {
+            breakTypes.push(lbc.isPosLineBreaking(i))
+        }
+        const violation = (invariant, index, message) => violations.push({ invariant, index, message })
+        for (let i = 1; i < text.length; i++) {
+            if (isSurrogatePair(text.charCodeAt(i - 1), text.charCodeAt(i))) {
+                if (breakTypes[i] !== BreakType.FORBIDDEN) {
+                    violation('surrogate-pair', i, 'break inside a surrogate pair')
+                }
+                continue
+            }
+            const prev = i > 1 && isLowSurrogate(text.charCodeAt(i - 1)) && isHighSurrogate(text.charCodeAt(i - 2))
+                ? text.codePointAt(i - 2)
+                : text.charCodeAt(i - 1)
+            const prevClass = this.#classOf(prev)
+            const cls = this.#classOf(text.codePointAt(i))
+            if (['CM', 'ZWJ'].includes(cls) && !noBaseClasses.includes(prevClass) && breakTypes[i] !== BreakType.FORBIDDEN) {
+                violation('combining-mark', i, `break before ${cls} after ${prevClass}`)
+            }
+            const mandatory = ['BK', 'LF', 'NL'].includes(prevClass) || (prevClass === 'CR' && cls !== 'LF')
+            if (mandatory && breakTypes[i] !== BreakType.MANDATORY) {
+                violation('mandatory', i, `no mandatory break after ${prevClass}`)
+            }
+        }
+        const segments = [...lbc]
+        if (segments.map(s => s.text).join('') !== text) {
+            violation('iterator-text', null, 'the segments of the iterator don\'t make the text')
+        }
+        const iteratorBreaks = new Map(segments.map(s => [s.index, s.breakType]))
+        for (let i = 0; i <= text.length; i++) {
+            const expected = (breakTypes[i] & lineBreak) !== 0 ? breakTypes[i] : undefined
+            if (iteratorBreaks.get(i) !== expected) {
+                violation('iterator-breaks', i, `isPosLineBreaking returns ${breakTypes[i]}, the iterator ${iteratorBreaks.get(i)}`)
+            }
+        }
+        if (this.#reference) {
+            this.#reference.setText(text)
+            for (let i = 0; i <= text.length; i++) {
+                const expected = this.#reference.isPosLineBreaking(i)
+                if (expected !== breakTypes[i]) {
+                    violation('reference', i, `break type ${breakTypes[i]} instead of ${expected}`)
+                }
+            }
+        }
+        if (this.#graphemes) {
+            this.#graphemes.setText(text)
+            const boundaries = new Set(Array.from(this.#segmenter.segment(text), s => s.index))
+            for (let i = 1; i < text.length; i++) {
+                if (this.#graphemes.isBoundary(i) !== boundaries.has(i)) {
+                    violation('segmenter', i, `${boundaries.has(i) ? 'no boundary' : 'boundary'} instead of the one of Intl.Segmenter`)
+                }
+            }
+        }
+        return violations
+    }
+
+    /**
+     * Checks the invariants on iterations random texts, returning the first
+     * counterexample found for every invariant, as objects
+     * { invariant, index, message, text (minimized), original (the generated text) }.
+     */
+    run(iterations) {
+        const counterexamples = new Map
+        for (let n = 0; n < iterations; n++) {
+            const text = this.generate()
+            for (const { invariant } of this.check(text)) {
+                if (counterexamples.has(invariant)) {
+                    continue
+                }
+                const minimized = minimize(text, t => this.check(t).some(v => v.invariant === invariant))
+                const violation = this.check(minimized).find(v => v.invariant === invariant)
+                counterexamples.set(invariant, { ...violation, text: minimized, original: text })
+            }
+        }
+        return [...counterexamples.values()]
+    }
+
+    #classOf(codePoint) {
+        return this.#classes.get(codePoint)?.[0]
+    }
+
+    #charOf(cls) {
+        const pool = this.#pools.get(cls)
+        if (!pool) {
+            throw RangeError('No characters of class ' + cls)
+        }
+        return this.#pick(pool)
+    }
+
+    #pick(array) {
+        return array[this.#int(array.length)]
+    }
+
+    #int(n) {
+        return Math.floor(this.#random() * n)
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * An array with a gap at the position of the last edit, so that replacing a range of its items
+ * costs as much as the items replaced and the distance of the range from the previous edit,
+ * rather than the length of the array: the edits of a text are usually close to each other.
+ * The items of a cumulative array are the offsets (e.g. the counts of some code points before
+ * every index of a text) that all change by the same delta after an edit: the items after
+ * the gap are stored relative to it, so that they're updated at once.
+ */
+export class GapArray {
+    // the items before the gap, the gap, and the items after it
+    #items
+    #gapStart
+    #gapEnd
+    #cumulative
+    // the delta to add to the items after the gap, in a cumulative array
+    #shift = 0
+
+    constructor(items = [], { cumulative = false } = {}) {
+        this.#items = Array.from(items)
+        this.#gapStart = this.#gapEnd = this.#items.length
+        this.#cumulative = cumulative
+    }
+
+    get length() {
+        return this.#items.length - this.#gapEnd + this.#gapStart
+    }
+
+    // the item at the index i, or undefined out of the array
+    get(i) {
+        if (i < this.#gapStart) {
+            return this.#items[i]
+        }
+        if (!(i < this.length)) {
+            return undefined
+        }
+        const item = this.#items[i + this.#gapEnd - this.#gapStart]
+        return this.#cumulative ? item + this.#shift : item
+    }
+
+    set(i, item) {
+        if (!(Number.isInteger(i) && i >= 0 && i < this.length)) {
+            throw RangeError('Invalid index: ' + i)
+        }
+        if (i < this.#gapStart) {
+            this.#items[i] = item
+        }
+        else {
+            this.#items[i + this.#gapEnd - this.#gapStart] = this.#cumulative ? item - this.#shift : item
+        }
+    }
+
+    /**
+     * Replaces the items from the index start to end (excluded) with items, and adds delta
+     * to the items that follow them, in a cumulative array.
+     */
+    replace(start, end, items, delta = 0) {
+        this.#moveGap(end)
+        this.#gapStart = start
+        if (items.length > this.#gapEnd - this.#gapStart) {
+            this.#grow(items.length)
+        }
+        for (const item of items) {
+            this.#items[this.#gapStart++] = item
+        }
+        if (this.#cumulative) {
+            this.#shift += delta
+        }
+    }
+
+    toArray() {
+        return Array.from(this)
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.get(i)
+        }
+    }
+
+    #moveGap(position) {
+        const items = this.#items
+        while (this.#gapStart > position) {
+            const item = items[--this.#gapStart]
+            items[--this.#gapEnd] = this.#cumulative ? item - this.#shift : item
+        }
+        while (this.#gapStart < position) {
+            const item = items[this.#gapEnd++]
+            items[this.#gapStart++] = this.#cumulative ? item + this.#shift : item
+        }
+    }
+
+    // makes room for n items in the gap, and for as many edits as half the length of the array
+    #grow(n) {
+        const gap = new Array(n + Math.max(16, this.length >> 1)).fill(undefined)
+        const items = this.#items
+        this.#items = items.slice(0, this.#gapStart).concat(gap, items.slice(this.#gapEnd))
+        this.#gapEnd = this.#gapStart + gap.length
+    }
+}
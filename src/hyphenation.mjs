@@ -0,0 +1,160 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Hyphenation of the words with Liang's algorithm, used by TeX, and the hyphenation
+ * patterns in its format, e.g. the ones of the hyph-utf8 project
+ * (https://github.com/hyphenation/tex-hyphen), one file for every language.
+ */
+
+// the hyphenators loaded from the urls of the pattern files, by url and options
+const hyphenators = new Map
+
+export class Hyphenator {
+    // the values of the patterns, by their letters
+    #patterns = new Map
+    #maxLength = 0
+    // the hyphenation points of the exceptions, by their lowercase words
+    #exceptions = new Map
+
+    /**
+     * patterns: the patterns, as a string separated by white space or an iterable
+     * (e.g. 'hy3ph he2n 1na'); exceptions: the words with explicit hyphenation points
+     * (e.g. 'as-so-ciate'); leftMin and rightMin: the minimum number of characters
+     * before and after a hyphenation point; language: the language of the patterns.
+     */
+    constructor({ patterns = [], exceptions = [], leftMin = 2, rightMin = 3, language = null } = {}) {
+        this.leftMin = leftMin
+        this.rightMin = rightMin
+        this.language = language
+        for (const pattern of splitWords(patterns)) {
+            const letters = []
+            const values = [0]
+            for (const c of pattern) {
+                if (c >= '0' && c <= '9') {
+                    values[values.length - 1] = Number(c)
+                }
+                else {
+                    letters.push(c)
+                    values.push(0)
+                }
+            }
+            this.#patterns.set(letters.join(''), values)
+            this.#maxLength = Math.max(this.#maxLength, letters.length)
+        }
+        for (const exception of splitWords(exceptions)) {
+            const points = []
+            let length = 0
+            for (const c of exception) {
+                if (c === '-') {
+                    points.push(length)
+                }
+                else {
+                    length++
+                }
+            }
+            this.#exceptions.set(exception.replaceAll('-', '').toLowerCase(), points)
+        }
+    }
+
+    /**
+     * Makes a Hyphenator from the content of a pattern file: the patterns are in
+     * the \patterns{...} group and the exceptions in the \hyphenation{...} group (if the
+     * file has no \patterns group, its whole content is read as patterns), and the
+     * comments start with %.
+     */
+    static fromTeX(source, options = {}) {
+        source = source.replace(/%.*$/gm, '')
+        const group = name => source.match(new RegExp('\\\\' + name + '\\s*\\{([^}]*)\\}'))?.[1]
+        const patterns = group('patterns') ?? source
+        const exceptions = group('hyphenation') ?? ''
+        return new Hyphenator({
+            ...options,
+            patterns: patterns,
+            exceptions: [...splitWords(exceptions), ...splitWords(options.exceptions ?? [])],
+        })
+    }
+
+    /**
+     * Returns the indices (in code units) of the hyphenation points of word.
+     */
+    hyphenate(word) {
+        const chars = Array.from(word)
+        let points = this.#exceptions.get(word.toLowerCase())
+        if (!points) {
+            points = []
+            const letters = ['.', ...chars.map(c => c.toLowerCase()), '.']
+            const values = new Array(letters.length + 1).fill(0)
+            for (let i = 0; i < letters.length; i++) {
+                for (let j = i + 1; j <= Math.min(i + this.#maxLength, letters.length); j++) {
+                    const pattern = this.#patterns.get(letters.slice(i, j).join(''))
+                    if (pattern) {
+                        pattern.forEach((v, k) => values[i + k] = Math.max(values[i + k], v))
+                    }
+                }
+            }
+            // the value between the characters p - 1 and p is after the dot
+            for (let p = 1; p < chars.length; p++) {
+                if (values[p + 1] % 2 === 1) {
+                    points.push(p)
+                }
+            }
+        }
+        const indices = []
+        let index = 0
+        for (let p = 0; p < chars.length; p++) {
+            if (p >= this.leftMin && p <= chars.length - this.rightMin && points.includes(p)) {
+                indices.push(index)
+            }
+            index += chars[p].length
+        }
+        return indices
+    }
+}
+
+function splitWords(words) {
+    return typeof words === 'string' ? words.split(/\s+/).filter(Boolean) : words
+}
+
+/**
+ * Loads a pattern file (see Hyphenator.fromTeX) from url, caching the Hyphenator
+ * for the same url and options. The options are the ones of the Hyphenator constructor.
+ */
+export async function loadHyphenator(url, options = {}) {
+    url = String(url)
+    const { leftMin, rightMin, language, exceptions = [] } = options
+    const key = JSON.stringify([url, leftMin, rightMin, language, [...splitWords(exceptions)]])
+    if (!hyphenators.has(key)) {
+        hyphenators.set(key, Hyphenator.fromTeX(await loadText(url), options))
+    }
+    return hyphenators.get(key)
+}
+
+async function loadText(url) {
+    if (url.startsWith('file:')) {
+        // NodeJS does not support fetch of local files
+        const fsModule = 'node:fs/promises'
+        const fs = await import(/* @vite-ignore */fsModule)
+        return fs.readFile(new URL(url), { encoding: 'utf8' })
+    }
+    const res = await fetch(url)
+    if (!res.ok) {
+        throw Error(`Unable to load the hyphenation patterns from ${url}: ${res.status} ${res.statusText}`)
+    }
+    return res.text()
+}
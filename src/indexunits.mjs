@@ -0,0 +1,174 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { GapArray } from './gaparray.mjs'
+import { isSurrogatePair } from './surrogates.mjs'
+
+/**
+ * The units of the indices of a text: the UTF-16 code units of JavaScript strings,
+ * the code points (e.g. the indices of Python strings) or the bytes of the UTF-8
+ * encoding (e.g. the indices of Rust strings, where the lone surrogates are encoded
+ * as U+FFFD, as TextEncoder does).
+ */
+export const indexUnits = Object.freeze(['utf16', 'codepoint', 'utf8'])
+
+export function checkIndexUnit(unit) {
+    if (!indexUnits.includes(unit)) {
+        throw RangeError('Invalid index unit: ' + unit)
+    }
+}
+
+/**
+ * Converts the indices of a text between its UTF-16 code units and another unit.
+ * The indices out of the text are shifted by the difference of the lengths, so that
+ * e.g. -1 and the length + 1 keep their meaning.
+ * offsets, if given, are the indices in the unit of every UTF-16 index of the text and of
+ * its end, used instead of those of its encoding (e.g. the byte offsets of a text decoded
+ * from UTF-8 bytes with invalid sequences, replaced with U+FFFD).
+ * The converter can follow the edits of the text (see applyEdit).
+ */
+export class IndexConverter {
+    #unit
+    #length
+    #unitLength
+    // the index in the unit of every UTF-16 index and of the end of the text (those inside
+    // a surrogate pair get the index of the pair), or null if the unit is UTF-16
+    #fromUTF16 = null
+
+    constructor(text, unit = 'utf16', offsets = null) {
+        checkIndexUnit(unit)
+        this.#unit = unit
+        this.#length = text.length
+        this.#unitLength = text.length
+        if (offsets) {
+            if (offsets.length !== text.length + 1) {
+                throw RangeError('The offsets must be as many as the UTF-16 indices of the text')
+            }
+            this.#fromUTF16 = new GapArray(offsets, { cumulative: true })
+            this.#unitLength = offsets[text.length]
+            return
+        }
+        if (unit === 'utf16') {
+            return
+        }
+        const { offsets: unitOffsets, length } = unitIndices(text, unit)
+        unitOffsets.push(length)
+        this.#fromUTF16 = new GapArray(unitOffsets, { cumulative: true })
+        this.#unitLength = length
+    }
+
+    get unit() {
+        return this.#unit
+    }
+
+    // the length of the text in the unit
+    get length() {
+        return this.#unitLength
+    }
+
+    /**
+     * Returns the UTF-16 index of the index i in the unit, throwing a RangeError
+     * if it isn't an integer or it's inside a character (e.g. between the bytes of a UTF-8 sequence).
+     */
+    toUTF16(i) {
+        if (!Number.isInteger(i)) {
+            throw RangeError(`The ${this.#unit} index ${i} isn't an integer`)
+        }
+        if (!this.#fromUTF16 || i < 0) {
+            return i
+        }
+        if (i > this.#unitLength) {
+            return this.#length + i - this.#unitLength
+        }
+        // the first UTF-16 index whose index in the unit isn't less than i
+        let low = 0
+        let high = this.#length
+        while (low < high) {
+            const middle = (low + high) >> 1
+            if (this.#fromUTF16.get(middle) < i) {
+                low = middle + 1
+            }
+            else {
+                high = middle
+            }
+        }
+        if (this.#fromUTF16.get(low) !== i) {
+            throw RangeError(`The ${this.#unit} index ${i} is inside a character`)
+        }
+        return low
+    }
+
+    /**
+     * Returns the index in the unit of the UTF-16 index i.
+     */
+    fromUTF16(i) {
+        if (!this.#fromUTF16 || i < 0) {
+            return i
+        }
+        if (i > this.#length) {
+            return this.#unitLength + i - this.#length
+        }
+        return this.#fromUTF16.get(i)
+    }
+
+    /**
+     * Follows an edit of the text, that replaced the UTF-16 code units from start to end
+     * (at the boundaries of the characters) with insertText, whose indices in the unit are
+     * those of its encoding (also with custom offsets), updating only the indices of the
+     * inserted text.
+     */
+    applyEdit(start, end, insertText) {
+        const delta = insertText.length - (end - start)
+        this.#length += delta
+        if (!this.#fromUTF16) {
+            this.#unitLength += delta
+            return
+        }
+        const { offsets, length } = unitIndices(insertText, this.#unit)
+        const unitStart = this.#fromUTF16.get(start)
+        const unitDelta = unitStart + length - this.#fromUTF16.get(end)
+        this.#fromUTF16.replace(start, end, offsets.map(offset => unitStart + offset), unitDelta)
+        this.#unitLength += unitDelta
+    }
+}
+
+// the index in the unit of every UTF-16 index of text (those inside a surrogate pair get
+// the index of the pair), and the length of text in the unit
+function unitIndices(text, unit) {
+    const offsets = new Array(text.length)
+    let index = 0
+    for (let i = 0; i < text.length; i++) {
+        offsets[i] = index
+        const c = text.charCodeAt(i)
+        const pair = isSurrogatePair(c, text.charCodeAt(i + 1))
+        if (pair) {
+            i++
+            offsets[i] = index
+        }
+        index += unit === 'utf16' ? (pair ? 2 : 1) : unit === 'codepoint' ? 1 : pair ? 4 : c < 0x80 ? 1 : c < 0x800 ? 2 : 3
+    }
+    return { offsets, length: index }
+}
+
+/**
+ * Converts the index of text from the unit `from` to the unit `to`, e.g.
+ * convertIndex('😀a', 1, 'codepoint', 'utf8') returns 4.
+ */
+export function convertIndex(text, index, from, to) {
+    return new IndexConverter(text, to).fromUTF16(new IndexConverter(text, from).toUTF16(index))
+}
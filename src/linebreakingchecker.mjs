@@ -16,10 +16,36 @@
  */
 
 import { BreakType } from './breaktypes.mjs'
-import { RuleParser } from './ruleparser.mjs'
+import { RuleParser, ruleContext, validateRules, formatRuleProblem } from './ruleparser.mjs'
+import { PropertyTable, isPropertyTableJSON, lineBreakTableFromJSON, engineExtendedPictographic } from './propertytable.mjs'
+import { resolveResourceUrl, loadJson, loadDataBundle } from './resourceloader.mjs'
+import { compileRules, candidateRules } from './rulecompiler.mjs'
+import { GapArray } from './gaparray.mjs'
+import { IndexConverter, checkIndexUnit } from './indexunits.mjs'
+import { isSurrogate, isSurrogatePair } from './surrogates.mjs'
+import { wrap } from './linewrapper.mjs'
+import { resolveClass, makeCssCriteria, tailorRules } from './tailorings.mjs'
+import { makeComplexContextSegmenter } from './complexcontext.mjs'
+import { RunBreaks } from './runbreaks.mjs'
+import { applyLocaleTailoring } from './localetailorings.mjs'
+import lineBreakingRulesV17, { lineBreakingRulesV16, lineBreakingClasses } from './linebreakingrules.mjs'
 
 export { BreakType } from './breaktypes.mjs'
-export { default as lineBreakingRulesV17, lineBreakingRulesV16 } from './linebreakingrules.mjs'
+export { wrap, measureCodeUnits } from './linewrapper.mjs'
+export { StreamingSegmenter, segmentChunks, makeSegmentsTransformStream, makeSegmentsNodeTransform } from './linebreakstream.mjs'
+export { default as lineBreakingRulesV17, lineBreakingRulesV16, lineBreakingClasses } from './linebreakingrules.mjs'
+export { validateRules, formatRuleProblem } from './ruleparser.mjs'
+export { cssLineBreakValues, cssWordBreakValues, resolveClass, makeCssCriteria, tailorRules } from './tailorings.mjs'
+export { IntlWordSegmenter, DictionarySegmenter, makeComplexContextSegmenter } from './complexcontext.mjs'
+export { Hyphenator, loadHyphenator } from './hyphenation.mjs'
+export { registerLocaleTailoring, getLocaleTailoring, registeredLocales } from './localetailorings.mjs'
+export { makeBoundaryChecker, makeBoundaryCheckerSync } from './boundarychecker.mjs'
+export { diffVersions, diffCheckers } from './versiondiff.mjs'
+export { indexUnits, IndexConverter, convertIndex } from './indexunits.mjs'
+export { breakHints, annotateHTML, annotateDOM } from './breakhints.mjs'
+export {
+    graphemeClusterRules, wordRules, sentenceRules, graphemeClusterClasses, wordClasses, sentenceClasses
+} from './segmentationrules.mjs'
 
 
 // definition of $EastAsian used in the Unicode line breaking algorithm, from
@@ -27,81 +53,387 @@ export { default as lineBreakingRulesV17, lineBreakingRulesV16 } from './linebre
 // The symbol $EastAsian stands for the set [\p{ea=F}\p{ea=W}\p{ea=H}] of characters
 // with Fullwidth, Wide, or Halfwidth East Asian Width.
 //
-// To find the code points with these characteristics I used the Python stdlib
-// unicodedata.east_asian_width function (Python 3.12)
+// The code points with these characteristics are taken from the East_Asian_Width
+// values of the data (EastAsianWidth.txt of the UCD), or if the data has none,
+// from resources/EastAsianChars.json
+// e.g. eastAsianCodePoints.get(key).get(0x4E00) will be true
 const eastAsianCodePoints = new Map
 
 // maps every code point to its line breaking class and its general category
-// e.g. codePointsBLClasses.get(key)[65] ('A') will be
-// { line_breaking_class: 'AL', general_category: 'Lu' }
-// ('key' is the url of the source json file of the Unicode data, used to
-// handle more than one version of the line breaking checker at a time)
+// e.g. codePointsBLClasses.get(key).get(65) ('A') will be [ 'AL', 'Lu' ]
+// ('key' is the url of the source json file of the Unicode data, or the data
+// object itself when it's passed already loaded, used to handle more than one
+// version of the line breaking checker at a time)
 const codePointsBLClasses = new Map
 
-export async function makeLBC(rules, criteria, compactClassesUrl, eastAsianCharRangesUrl) {
-    if (!rules) {
-        rules = (await import('./linebreakingrules.mjs')).default
+// maps every code point to its East Asian Width (F, W, H, Na or A), used to
+// measure text in columns; the code points with the default width N are left undefined
+// (the bundled data has no East Asian Widths: they must be loaded from a custom data file)
+// e.g. eastAsianWidths.get(key).get(0x4E00) will be 'W'
+const eastAsianWidths = new Map
+
+// maps every code point with the Extended_Pictographic property (from emoji-data.txt)
+// to true, with the same key of the line breaking classes, so that it comes from the
+// same Unicode version of the data, if the data has it, and otherwise from the one
+// of the JavaScript engine (as the bundled data)
+// e.g. extendedPictographics.get(key).get(0x1F600) will be true
+const extendedPictographics = new Map
+
+// versions of the Unicode rules and data bundled with the checker: the data bundle
+// of the version (see resourceloader.mjs), or the json file of its line breaking classes
+// if there is none; the paths are relative to this module
+const unicodeVersions = {
+    '16': {
+        rules: lineBreakingRulesV16,
+        lineBreak: '../resources/LineBreak-16.0.0.json',
+    },
+    '17': {
+        rules: lineBreakingRulesV17,
+        data: '../resources/Unicode-17.0.0.json',
+    },
+}
+const defaultVersion = '17'
+// the set $EastAsian of the versions whose data has no East_Asian_Width values
+const defaultEastAsianChars = '../resources/EastAsianChars.json'
+
+function getUnicodeVersion(version) {
+    const unicodeVersion = unicodeVersions[version ?? defaultVersion]
+    if (!unicodeVersion) {
+        throw RangeError('Unsupported Unicode version: ' + version)
     }
-    if (!compactClassesUrl) {
-        compactClassesUrl = '../resources/LineBreak-17.0.0.json'
+    return unicodeVersion
+}
+
+// the data files can contain either the property tables generated by lbclassesTxt2Json.js
+// or the lists of code point ranges of the previous format
+function setClasses(key, compactClasses) {
+    codePointsBLClasses.set(key, lineBreakTableFromJSON(compactClasses))
+}
+
+function setEastAsianCodePoints(key, eastAsianCharRanges) {
+    if (isPropertyTableJSON(eastAsianCharRanges)) {
+        eastAsianCodePoints.set(key, PropertyTable.fromJSON(eastAsianCharRanges))
+        return
     }
-    if (!codePointsBLClasses.has(compactClassesUrl)) {
-        let CompactClasses
-        try {
-            const res = await fetch(compactClassesUrl)
-            CompactClasses = await res.json()
-        }
-        catch (e) {
-            // NodeJS does not support fetch of local files
-            CompactClasses = (await import(/* @vite-ignore */compactClassesUrl, { with: { type: 'json' }})).default
-        }
-        const classes = []
-        for (const cls in CompactClasses) {
-            for (const gc in CompactClasses[cls]) {
-                for (let [b, e] of CompactClasses[cls][gc]) {
-                    if (e === undefined) { e = b + 1 }
-                    for (let i = b; i < e; i++) {
-                        classes[i] = { line_breaking_class: cls, general_category: gc }
-                    }
-                }
-            }
-        }
-        codePointsBLClasses.set(compactClassesUrl, classes)
+    const ranges = eastAsianCharRanges.map(([s, e]) => [true, s, e])
+    eastAsianCodePoints.set(key, PropertyTable.fromRanges(ranges))
+}
+
+function setExtendedPictographics(key, extendedPictographicRanges) {
+    if (!extendedPictographicRanges) {
+        extendedPictographics.set(key, engineExtendedPictographic)
+        return
+    }
+    if (isPropertyTableJSON(extendedPictographicRanges)) {
+        extendedPictographics.set(key, PropertyTable.fromJSON(extendedPictographicRanges))
+        return
     }
-    if (!eastAsianCharRangesUrl) {
-        eastAsianCharRangesUrl = '../resources/EastAsianChars.json'
+    const ranges = extendedPictographicRanges.map(([s, e]) => [true, s, e])
+    extendedPictographics.set(key, PropertyTable.fromRanges(ranges))
+}
+
+function setEastAsianWidths(key, eastAsianWidthRanges) {
+    if (isPropertyTableJSON(eastAsianWidthRanges)) {
+        eastAsianWidths.set(key, PropertyTable.fromJSON(eastAsianWidthRanges))
+        return
     }
-    if (!eastAsianCodePoints.has(eastAsianCharRangesUrl)) {
-        let EastAsianCharRanges
-        try {
-            const res = await fetch(eastAsianCharRangesUrl)
-            EastAsianCharRanges = await res.json()
+    const ranges = []
+    for (const width in eastAsianWidthRanges) {
+        for (const [b, e] of eastAsianWidthRanges[width]) {
+            ranges.push([width, b, e])
         }
-        catch(e) {
-            // NodeJS does not support fetch of local files
-            EastAsianCharRanges = (await import(/* @vite-ignore */eastAsianCharRangesUrl, { with: { type: 'json' }})).default
+    }
+    eastAsianWidths.set(key, PropertyTable.fromRanges(ranges))
+}
+
+// tailors the rules and the criteria for the locale (see localetailorings.mjs) and
+// the values of the CSS properties line-break and word-break (see tailorings.mjs), if any
+function applyTailorings(rules, criteria, { locale, lineBreak, wordBreak }) {
+    if (locale !== undefined) {
+        ({ rules, criteria, lineBreak, wordBreak } = applyLocaleTailoring(locale, { rules, criteria, lineBreak, wordBreak }))
+    }
+    if (lineBreak === undefined && wordBreak === undefined) {
+        return [rules, criteria]
+    }
+    return [
+        tailorRules(rules, { lineBreak, wordBreak }),
+        makeCssCriteria({ lineBreak, wordBreak, criteria }),
+    ]
+}
+
+// loads the data from url, or if there is no url the default data, and returns its key
+// in the map of the data (the url, or the default data itself, or null if there is none)
+async function loadData(map, setData, url, defaultData) {
+    if (url) {
+        if (!map.has(url)) {
+            setData(url, await loadJson(url))
         }
-        const eaCodePoints = new Set
-        for (const [s, e] of EastAsianCharRanges) {
-            for (let i = s; i < e; i++) eaCodePoints.add(i)
+        return url
+    }
+    const data = await defaultData()
+    if (!data) {
+        return null
+    }
+    if (!map.has(data)) {
+        setData(data, data)
+    }
+    return data
+}
+
+// loads the data of a bundled version, completed with the set $EastAsian of
+// EastAsianChars.json if it has none
+async function loadVersionData(unicodeVersion) {
+    const data = unicodeVersion.data
+        ? await loadDataBundle(resolveResourceUrl(unicodeVersion.data))
+        : { lineBreak: await loadDataBundle(resolveResourceUrl(unicodeVersion.lineBreak)) }
+    return {
+        ...data,
+        eastAsianChars: data.eastAsianChars ?? await loadDataBundle(resolveResourceUrl(defaultEastAsianChars)),
+    }
+}
+
+function isOptionsObject(arg) {
+    return arg !== null && typeof arg === 'object' && !Array.isArray(arg)
+}
+
+/**
+ * Makes a LineBreakingChecker, loading the Unicode data it needs.
+ * It accepts either the positional arguments (rules, criteria, compactClassesUrl,
+ * eastAsianCharRangesUrl, eastAsianWidthUrl) or an object with the options:
+ * - version: the version of the bundled Unicode rules and data to use, '16' or '17' (default)
+ * - rules: a custom set of rules (default: the rules of the selected version), that can use
+ *      classes other than the standard ones only with custom criteria
+ * - criteria: a custom function to assign the line breaking classes, called with the class,
+ *      the general category, the code point, the East Asian Width (undefined without the data
+ *      of the East Asian Widths) of every character, and true if it's in the set $EastAsian
+ * - locale: the language of the text, whose tailoring is applied if registered (see localetailorings.mjs)
+ * - lineBreak, wordBreak: the values of the CSS properties line-break ('auto', 'loose', 'normal',
+ *      'strict' or 'anywhere') and word-break ('normal', 'break-all' or 'keep-all') to reproduce
+ *      (without lineBreak, the classes are resolved as by default, while 'auto' is the same as 'normal')
+ * - lineBreakUrl, eastAsianCharsUrl, eastAsianWidthUrl: the urls of custom data files
+ *      (default: the data of the version, see unicodeVersions, that has no East Asian Widths:
+ *      without them, see columnWidth); the Extended_Pictographic property is taken from
+ *      the data bundle of the version, if it has it, and otherwise from the JavaScript engine
+ * - data: the data already loaded (see makeLBCSync), in place of the urls
+ * - compiled: if true, the rules are compiled to find the break types faster (see rulecompiler.mjs)
+ * - complexContext: a segmenter that finds the breaks between the words inside the runs of
+ *      characters of class SA, e.g. Thai (see complexcontext.mjs), or true for the default one
+ * - hyphens: 'manual' to report the breaks after the soft hyphens (U+00AD) as HYPHENATED,
+ *      'auto' to add also the hyphenation points found by the hyphenator in the words
+ *      without soft hyphens (default: 'auto' if a hyphenator is given, otherwise none)
+ * - hyphenator: the Hyphenator of the language of the text (see hyphenation.mjs)
+ * - hyphenChar: the character to render at the HYPHENATED breaks (default: '-')
+ * - indexUnit: the unit of the indices taken and returned by the checker: 'utf16' (default, the
+ *      code units of JavaScript strings), 'codepoint' or 'utf8' (the bytes of the UTF-8 encoding)
+ */
+export async function makeLBC(rules, criteria, compactClassesUrl, eastAsianCharRangesUrl, eastAsianWidthUrl) {
+    let version, compiled, complexContext, hyphens, hyphenator, hyphenChar, locale, lineBreak, wordBreak, indexUnit
+    if (isOptionsObject(rules)) {
+        if (rules.data) {
+            return makeLBCSync(rules)
         }
-        eastAsianCodePoints.set(eastAsianCharRangesUrl, eaCodePoints)
+        ({
+            version,
+            compiled,
+            complexContext,
+            hyphens,
+            hyphenator,
+            hyphenChar,
+            indexUnit,
+            locale,
+            lineBreak,
+            wordBreak,
+            criteria,
+            lineBreakUrl: compactClassesUrl,
+            eastAsianCharsUrl: eastAsianCharRangesUrl,
+            eastAsianWidthUrl,
+            rules,
+        } = rules)
+    }
+    const unicodeVersion = getUnicodeVersion(version)
+    if (!rules) {
+        rules = unicodeVersion.rules
+    }
+    // the data not given by url is taken from the data of the version
+    const versionData = () => loadVersionData(unicodeVersion)
+    compactClassesUrl = await loadData(
+        codePointsBLClasses, setClasses, compactClassesUrl, async () => (await versionData()).lineBreak
+    )
+    eastAsianCharRangesUrl = await loadData(
+        eastAsianCodePoints, setEastAsianCodePoints, eastAsianCharRangesUrl, async () => (await versionData()).eastAsianChars
+    )
+    eastAsianWidthUrl = await loadData(
+        eastAsianWidths, setEastAsianWidths, eastAsianWidthUrl, async () => (await versionData()).eastAsianWidth
+    )
+    if (!extendedPictographics.has(compactClassesUrl)) {
+        setExtendedPictographics(compactClassesUrl, (await versionData()).extendedPictographic)
+    }
+    // the rules can use custom classes only with custom criteria
+    const customClasses = Boolean(criteria)
+    ;[rules, criteria] = applyTailorings(rules, criteria, { locale, lineBreak, wordBreak })
+    return new LineBreakingChecker(criteria, rules, compactClassesUrl, eastAsianCharRangesUrl, eastAsianWidthUrl, {
+        compiled, complexContext, hyphens, hyphenator, hyphenChar, indexUnit, customClasses
+    })
+}
+
+/**
+ * Makes a LineBreakingChecker synchronously, from Unicode data already loaded.
+ * Options:
+ * - data: required, an object with the data, like the data bundles generated by lbclassesTxt2Json.js:
+ *      { version, lineBreak, eastAsianChars, eastAsianWidth, extendedPictographic }
+ *      where only lineBreak and eastAsianChars are required (see makeLBC for the data without
+ *      eastAsianWidth and extendedPictographic).
+ *      The data of the bundled Unicode versions can be imported from the modules in src/data,
+ *      e.g. import unicode17 from './data/unicode17.mjs'
+ * - rules: a custom set of rules (default: the rules of data.version)
+ * - criteria: a custom function to assign the line breaking classes (see makeLBC)
+ * - locale, lineBreak, wordBreak: the tailorings for the language and the CSS properties (see makeLBC)
+ * - compiled: if true, the rules are compiled to find the break types faster (see rulecompiler.mjs)
+ * - complexContext: a segmenter of the runs of SA characters, or true for the default one (see makeLBC)
+ * - hyphens, hyphenator, hyphenChar: the hyphenation of the text (see makeLBC)
+ * - indexUnit: the unit of the indices taken and returned by the checker (see makeLBC)
+ */
+export function makeLBCSync({
+    data, rules, criteria, compiled, complexContext, hyphens, hyphenator, hyphenChar, indexUnit, locale, lineBreak, wordBreak
+} = {}) {
+    if (!data?.lineBreak || !data?.eastAsianChars) {
+        throw TypeError('The data must contain the lineBreak and eastAsianChars properties')
+    }
+    if (!rules) {
+        rules = getUnicodeVersion(data.version).rules
+    }
+    if (!codePointsBLClasses.has(data.lineBreak)) {
+        setClasses(data.lineBreak, data.lineBreak)
+    }
+    if (!eastAsianCodePoints.has(data.eastAsianChars)) {
+        setEastAsianCodePoints(data.eastAsianChars, data.eastAsianChars)
+    }
+    if (data.eastAsianWidth && !eastAsianWidths.has(data.eastAsianWidth)) {
+        setEastAsianWidths(data.eastAsianWidth, data.eastAsianWidth)
     }
-    return new LineBreakingChecker(criteria, rules, compactClassesUrl, eastAsianCharRangesUrl)
+    if (!extendedPictographics.has(data.lineBreak)) {
+        setExtendedPictographics(data.lineBreak, data.extendedPictographic)
+    }
+    const customClasses = Boolean(criteria)
+    ;[rules, criteria] = applyTailorings(rules, criteria, { locale, lineBreak, wordBreak })
+    return new LineBreakingChecker(criteria, rules, data.lineBreak, data.eastAsianChars, data.eastAsianWidth ?? null, {
+        compiled, complexContext, hyphens, hyphenator, hyphenChar, indexUnit, customClasses
+    })
 }
 
 
+const noClassAndGC = Object.freeze([undefined, ''])
+
 function getClass(codePoint, key) {
-    return codePointsBLClasses.get(key)[codePoint]?.line_breaking_class
+    return codePointsBLClasses.get(key).get(codePoint)?.[0]
 }
 
 function getGeneralCategory(codePoint, key) {
-    return codePointsBLClasses.get(key)[codePoint]?.general_category
+    return codePointsBLClasses.get(key).get(codePoint)?.[1]
 }
 
 function getClsAndGC(codePoint, key) {
-    const { line_breaking_class, general_category } = codePointsBLClasses.get(key)[codePoint] ?? { line_breaking_class: undefined, general_category: '' }
-    return [line_breaking_class, general_category]
+    return codePointsBLClasses.get(key).get(codePoint) ?? noClassAndGC
+}
+
+// the characters with the East Asian Width H (the halfwidth forms of the fullwidth ones)
+function isHalfwidth(codePoint) {
+    return codePoint === 0x20A9 || (codePoint >= 0xFF61 && codePoint <= 0xFFEE && !(codePoint >= 0xFFE0 && codePoint <= 0xFFE6))
+}
+
+// the number of code points of text from start to end (the lone surrogates count as one)
+function countCodePoints(text, start, end) {
+    let count = end - start
+    for (let i = start + 1; i < end; i++) {
+        if (LineBreakingChecker.isSurrogatePair(text.charCodeAt(i - 1), text.charCodeAt(i))) {
+            count--
+        }
+    }
+    return count
+}
+
+// splits the code units of text from start to end in code points, returning them
+// together with the offset of every code unit (i.e. the number of code points
+// outside the BMP before it, starting from offset)
+function splitCodePoints(text, start, end, offset = 0) {
+    const codePoints = []
+    const offsets = []
+    let highSurrogate
+    for (let i = start; i < end; i++) {
+        offsets.push(offset)
+        const codePoint = text.codePointAt(i)
+        if (!highSurrogate) {
+            codePoints.push(codePoint)
+        }
+        if (codePoint > 65535) {
+            highSurrogate = true
+            offset++
+        }
+        else {
+            highSurrogate = false
+        }
+    }
+    return { codePoints, offsets, offset }
+}
+
+// decodes the UTF-8 bytes in a single pass, returning the text together with its code points,
+// the offsets of its code units as splitCodePoints (with the end of the text), and their byte offsets.
+// Every maximal subpart of an invalid sequence is replaced with U+FFFD, as TextDecoder does
+function decodeUTF8(bytes) {
+    // a code unit at most for every byte
+    const codeUnits = new Uint16Array(bytes.length)
+    let length = 0
+    const codePoints = []
+    const offsets = []
+    const byteOffsets = []
+    let offset = 0
+    for (let i = 0; i < bytes.length; ) {
+        const start = i
+        const byte = bytes[i++]
+        let codePoint = 0xFFFD
+        // the number of continuation bytes of the sequence
+        const size = byte < 0x80 ? 0 : byte >= 0xC2 && byte <= 0xDF ? 1 : byte >= 0xE0 && byte <= 0xEF ? 2
+            : byte >= 0xF0 && byte <= 0xF4 ? 3 : -1
+        if (size === 0) {
+            codePoint = byte
+        }
+        else if (size > 0) {
+            let value = byte & (0x3F >> size)
+            // the second byte excludes the overlong encodings, the surrogates and the code points after U+10FFFF
+            let lower = byte === 0xE0 ? 0xA0 : byte === 0xF0 ? 0x90 : 0x80
+            let upper = byte === 0xED ? 0x9F : byte === 0xF4 ? 0x8F : 0xBF
+            let n = 0
+            for (; n < size && i < bytes.length && bytes[i] >= lower && bytes[i] <= upper; n++) {
+                value = (value << 6) | (bytes[i++] & 0x3F)
+                lower = 0x80
+                upper = 0xBF
+            }
+            if (n === size) {
+                codePoint = value
+            }
+        }
+        codePoints.push(codePoint)
+        if (codePoint > 65535) {
+            codeUnits[length++] = 0xD7C0 + (codePoint >> 10)
+            codeUnits[length++] = 0xDC00 + (codePoint & 0x3FF)
+            offsets.push(offset, offset + 1)
+            byteOffsets.push(start, start)
+            offset++
+        }
+        else {
+            codeUnits[length++] = codePoint
+            offsets.push(offset)
+            byteOffsets.push(start)
+        }
+    }
+    offsets.push(offset)
+    byteOffsets.push(bytes.length)
+    let text = ''
+    // fromCharCode takes the code units as arguments, that can be too many
+    for (let i = 0; i < length; i += 0x1000) {
+        text += String.fromCharCode(...codeUnits.subarray(i, Math.min(i + 0x1000, length)))
+    }
+    return { text, codePoints, offsets, byteOffsets }
 }
 
 function computeCodePointFromSurrogatePair(high, low) {
@@ -117,6 +449,7 @@ class LineBreakingChecker {
     #assignLineBreakingClsCriteria
     #classesKey
     #eastAsianKey
+    #eastAsianWidthKey
     #classes
     #rules
     #sideEffectArguments
@@ -126,18 +459,85 @@ class LineBreakingChecker {
     #codePointsWithoutCS
     #offsetsCombiningSeqs
     #applyOffset
+    #ruleContext
+    #compiledRules = null
+    // the breaks inside the runs of SA characters and the hyphenation points of the words
+    #complexBreaks = null
+    #hyphenationPoints = null
+    #hyphens = null
+    #hyphenChar
+    // the unit of the indices of the public methods, and the converter of the indices
+    // of the text from UTF-16 (made the first time it is needed)
+    #indexUnit
+    #indexConverter = null
+    // the converter of the byte offsets of the text set with setBytes, and the
+    // index unit to restore at the next setText
+    #bytesConverter = null
+    #unitBeforeBytes = null
 
-    constructor(criteria, rules, classesKey, eastAsianKey) {
+    constructor(criteria, rules, classesKey, eastAsianKey, eastAsianWidthKey, {
+        compiled = false, complexContext = null, hyphens, hyphenator = null, hyphenChar = '-', indexUnit = 'utf16',
+        customClasses = false
+    } = {}) {
+        checkIndexUnit(indexUnit)
+        this.#indexUnit = indexUnit
         this.#assignLineBreakingClsCriteria = criteria
-        this.#rules = this.#parseRules(rules)
+        const isMark = c => ['Mn', 'Mc'].includes(getGeneralCategory(c, this.#classesKey))
+        if (complexContext) {
+            const segmenter = complexContext === true ? makeComplexContextSegmenter() : complexContext
+            this.#complexBreaks = new RunBreaks(
+                c => getClass(c, this.#classesKey) === 'SA',
+                run => segmenter.findBreaks(run),
+                isMark
+            )
+        }
+        this.#hyphens = hyphens ?? (hyphenator ? 'auto' : null)
+        if (![null, 'manual', 'auto'].includes(this.#hyphens)) {
+            throw RangeError('Invalid hyphens value: ' + hyphens)
+        }
+        if (this.#hyphens === 'auto') {
+            if (!hyphenator) {
+                throw TypeError('The hyphens value auto needs a hyphenator')
+            }
+            // the words (with their combining marks and soft hyphens) that contain soft hyphens
+            // are hyphenated only there
+            this.#hyphenationPoints = new RunBreaks(
+                c => c === 0xAD || /^[LM]/.test(getGeneralCategory(c, this.#classesKey) ?? ''),
+                word => word.includes('\u00AD') ? [] : hyphenator.hyphenate(word),
+                isMark
+            )
+        }
+        this.#hyphenChar = hyphenChar
+        this.#rules = this.#parseRules(rules, customClasses)
+        this.#ruleContext = ruleContext(this.#rules)
+        if (compiled) {
+            this.#compiledRules = compileRules(this.#rules, {
+                base: (base, i) => this.#checkBase(base, i),
+                class: (cls, i) => this.#checkClass(cls, i),
+                gc: (gc, i) => this.#checkGeneralCategory(gc, i),
+                codepoint: (cp, i) => this.#checkCodePoint(cp, i),
+                extpict: i => this.#checkExtPict(i),
+                eastasian: i => this.#checkEastAsian(i),
+                length: () => this.#codePoints.length,
+            })
+        }
         this.registerSideEffectArguments(
             { std_remove_cm_sequences: [this.boundRemoveCombiningSequences] }
         )
         this.#classesKey = classesKey
         this.#eastAsianKey = eastAsianKey
+        this.#eastAsianWidthKey = eastAsianWidthKey
     }
 
-    #parseRules(rules) {
+    #parseRules(rules, customClasses) {
+        // with custom criteria, the rules can use custom classes (the criteria of the
+        // tailorings assign only the standard ones)
+        const problems = validateRules(rules, {
+            classes: customClasses ? null : lineBreakingClasses
+        })
+        if (problems.length) {
+            throw Error('Invalid rules:\n' + problems.map(formatRuleProblem).join('\n'))
+        }
         const p = new RuleParser()
         const parsedRules = rules.map(r => p.parseRule(r))
         return parsedRules
@@ -158,140 +558,678 @@ class LineBreakingChecker {
     }
 
     get codePoints() {
-        return this.#codePoints
+        return this.#codePoints.toArray()
+    }
+
+    // the character to render at the HYPHENATED breaks
+    get hyphenChar() {
+        return this.#hyphenChar
+    }
+
+    // the unit of the indices taken and returned by the checker: 'utf16', 'codepoint' or 'utf8'
+    get indexUnit() {
+        return this.#indexUnit
+    }
+
+    set indexUnit(unit) {
+        checkIndexUnit(unit)
+        this.#indexUnit = unit
+        this.#unitBeforeBytes = null
+        this.#indexConverter = null
+    }
+
+    /**
+     * Converts the index i of the text from the unit of the checker to UTF-16.
+     */
+    toUTF16Index(i) {
+        return this.#toUTF16(i)
+    }
+
+    /**
+     * Converts the UTF-16 index i of the text to the unit of the checker.
+     */
+    fromUTF16Index(i) {
+        return this.#fromUTF16(i)
+    }
+
+    // throws a RangeError if i isn't an integer or it's inside a character (other than
+    // a surrogate pair), or if it's outside the text and inText is true
+    #toUTF16(i, inText = false) {
+        if (!Number.isInteger(i)) {
+            throw RangeError('The index isn\'t an integer: ' + i)
+        }
+        const i16 = this.#indexUnit === 'utf16' ? i : this.#converter().toUTF16(i)
+        if (inText && !(i16 >= 0 && i16 <= this.#text.length)) {
+            throw RangeError('The index is outside the text: ' + i)
+        }
+        return i16
+    }
+
+    #fromUTF16(i) {
+        return this.#indexUnit === 'utf16' ? i : this.#converter().fromUTF16(i)
+    }
+
+    #converter() {
+        if (this.#indexUnit === 'utf8' && this.#bytesConverter) {
+            return this.#bytesConverter
+        }
+        this.#indexConverter ??= new IndexConverter(this.#text, this.#indexUnit)
+        return this.#indexConverter
     }
 
     setText(text) {
+        const { codePoints, offsets, offset } = splitCodePoints(text, 0, text.length)
+        offsets.push(offset)
+        this.#setText(text, codePoints, offsets)
+        if (this.#unitBeforeBytes) {
+            this.#indexUnit = this.#unitBeforeBytes
+            this.#unitBeforeBytes = null
+        }
+    }
+
+    /**
+     * Sets the text from its UTF-8 encoding, a Uint8Array (e.g. a Node Buffer), decoding its code
+     * points in a single pass, without decoding it to a string first. The invalid sequences are
+     * replaced with U+FFFD, as TextDecoder does (and their class AI is resolved to AL, as the
+     * algorithm requires).
+     * The index unit of the checker becomes 'utf8', with the byte offsets of bytes, that remain
+     * right where the invalid sequences are longer or shorter than the encoding of U+FFFD.
+     * The next setText restores the previous index unit, unless indexUnit is set in the meantime.
+     */
+    setBytes(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw TypeError('The bytes must be a Uint8Array')
+        }
+        const { text, codePoints, offsets, byteOffsets } = decodeUTF8(bytes)
+        this.#setText(text, codePoints, offsets)
+        this.#unitBeforeBytes ??= this.#indexUnit
+        this.#indexUnit = 'utf8'
+        this.#bytesConverter = new IndexConverter(text, 'utf8', byteOffsets)
+    }
+
+    #setText(text, codePoints, offsetsSurrogates) {
         this.#text = text
-        this.#setCodePoints()
-        this.#classes = this.#assignLineBreakingClasses(this.#assignLineBreakingClsCriteria)
+        this.#indexConverter = null
+        this.#bytesConverter = null
+        this.#codePoints = new GapArray(codePoints)
+        this.#offsetsSurrogates = new GapArray(offsetsSurrogates, { cumulative: true })
+        this.#classes = new GapArray(this.#assignLineBreakingClasses(this.#assignLineBreakingClsCriteria, codePoints))
         this.#setCombiningSequencesMaps()
         this.#origClasses = this.#classes
         this.#origCodePoints = this.#codePoints
+        this.#complexBreaks?.setText(this.#text)
+        this.#hyphenationPoints?.setText(this.#text)
     }
 
-    #setCodePoints() {
-        this.#codePoints = []
-        this.#offsetsSurrogates = []
-        let offset = 0
-        let highSurrogate
-        for (let i = 0; i < this.#text.length; i++) {
-            this.#offsetsSurrogates.push(offset)
-            const codePoint = this.#text.codePointAt(i)
-            if (!highSurrogate) {
-                this.#codePoints.push(codePoint)
+    /**
+     * Replaces deleteCount units (see indexUnit) of the text from the index start with insertText,
+     * updating only the data of the code points around the edit instead of the whole text
+     * as setText does: its cost depends on the length of the edit and of the context of the rules
+     * around it, and on the distance from the previous edit (see GapArray), not on the length
+     * of the text (except for the copy of the string made by the JavaScript engine).
+     * Returns the range of the positions whose break type may have changed, as an object
+     * { start, end } (end excluded), in the indices of the new text: it includes the
+     * positions within the longest context read by the rules (extended over the runs of
+     * the classes that the rules can repeat, e.g. the spaces after an opening punctuation
+     * or the pairs of regional indicators).
+     * The indices are in the unit of the checker.
+     */
+    applyEdit(start, deleteCount, insertText = '') {
+        const start16 = this.#toUTF16(start)
+        const end16 = this.#toUTF16(start + deleteCount)
+        const { range, edited } = this.#applyEdit(start16, end16 - start16, insertText)
+        // the converters follow the edit extended to whole code points (the bytes of the
+        // inserted text are those of its encoding)
+        for (const converter of [this.#indexConverter, this.#bytesConverter]) {
+            converter?.applyEdit(edited.start, edited.end, this.#text.slice(edited.start, edited.newEnd))
+        }
+        return { start: this.#fromUTF16(range.start), end: this.#fromUTF16(range.end) }
+    }
+
+    #applyEdit(start, deleteCount, insertText) {
+        const text = this.#text
+        if (!(Number.isInteger(start) && start >= 0 && start <= text.length)) {
+            throw RangeError('Invalid start index of the edit: ' + start)
+        }
+        if (!(Number.isInteger(deleteCount) && deleteCount >= 0 && start + deleteCount <= text.length)) {
+            throw RangeError('Invalid number of code units to delete: ' + deleteCount)
+        }
+        // extend the edit to whole code points, so that no surrogate pair is split
+        // (or formed with the inserted text) at its edges
+        let a = start
+        let b = start + deleteCount
+        if (a > 0 && text.charCodeAt(a - 1) >= 0xd800 && text.charCodeAt(a - 1) <= 0xdbff) {
+            a--
+        }
+        if (b < text.length && text.charCodeAt(b) >= 0xdc00 && text.charCodeAt(b) <= 0xdfff) {
+            b++
+        }
+        this.#text = text.slice(0, start) + insertText + text.slice(start + deleteCount)
+        const newB = b + insertText.length - deleteCount
+
+        // code points and offsets of the surrogates
+        const cpStart = a - this.#offsetsSurrogates.get(a)
+        const cpEnd = b - this.#offsetsSurrogates.get(b)
+        const inserted = splitCodePoints(this.#text, a, newB, this.#offsetsSurrogates.get(a))
+        this.#offsetsSurrogates.replace(a, b, inserted.offsets, inserted.offset - this.#offsetsSurrogates.get(b))
+        const oldLength = this.#codePoints.length
+        this.#codePoints.replace(cpStart, cpEnd, inserted.codePoints)
+        const insertedClasses = this.#assignLineBreakingClasses(this.#assignLineBreakingClsCriteria, inserted.codePoints)
+        this.#classes.replace(cpStart, cpEnd, insertedClasses)
+
+        // combining sequences: besides the inserted code points, the one following
+        // them can be absorbed or not by the previous one
+        const newEnd = Math.min(cpStart + inserted.codePoints.length + 1, this.#codePoints.length)
+        const oldEnd = Math.min(cpEnd + 1, oldLength)
+        const absorbedBefore = cpStart > 0 ? this.#offsetsCombiningSeqs.get(cpStart - 1) : 0
+        const oldAbsorbed = (oldEnd > 0 ? this.#offsetsCombiningSeqs.get(oldEnd - 1) : 0) - absorbedBefore
+        const seqs = this.#combiningSequencesMaps(cpStart, newEnd, absorbedBefore)
+        const startWithoutCS = cpStart - absorbedBefore
+        const endWithoutCS = startWithoutCS + (oldEnd - cpStart) - oldAbsorbed
+        this.#classesWithoutCS.replace(startWithoutCS, endWithoutCS, seqs.classes)
+        this.#codePointsWithoutCS.replace(startWithoutCS, endWithoutCS, seqs.codePoints)
+        this.#offsetsCombiningSeqs.replace(cpStart, oldEnd, seqs.offsets, seqs.offset - absorbedBefore - oldAbsorbed)
+
+        const range = this.#changedRange(a, cpStart, newB, cpStart + inserted.codePoints.length)
+        for (const runBreaks of [this.#complexBreaks, this.#hyphenationPoints]) {
+            if (runBreaks) {
+                const runRange = runBreaks.applyEdit(this.#text, a, newB, insertText.length - deleteCount)
+                range.start = Math.min(range.start, runRange.start)
+                range.end = Math.max(range.end, runRange.end)
             }
-            if (codePoint > 65535) {
-                highSurrogate = true
-                offset++
+        }
+        // the range of the positions that may have changed, and the edit extended to whole code points
+        return { range, edited: { start: a, end: b, newEnd: newB } }
+    }
+
+    #changedRange(start, cpStart, end, cpEnd) {
+        // the positions before the edit whose following context can reach it
+        start = this.#walkBack(cpStart, start, this.#ruleContext.after)[1]
+        // the positions after the edit whose preceding context can reach it,
+        // including the code point after the edit, whose combining sequence can be changed
+        end = this.#walkForward(cpEnd, end, this.#ruleContext.before + 1)[1]
+        return { start, end: end + 1 }
+    }
+
+    /**
+     * Returns the index of the first code unit of the text that the rules can read
+     * to find the break type at the position i, i.e. the start of its preceding context
+     * (together with the combining marks, the spaces and the other classes that the rules
+     * can repeat, and the base character of the combining sequence where it starts).
+     * The indices are in the unit of the checker.
+     */
+    contextStart(i) {
+        return this.#fromUTF16(this.#contextStart(this.#toUTF16(i, true)))
+    }
+
+    #contextStart(i) {
+        let [cp, cu] = this.#walkBack(...this.#codePointPosition(i), this.#ruleContext.before)
+        while (cp > 0 && ['CM', 'ZWJ'].includes(this.#classes.get(cp))) {
+            cp--
+            cu -= this.#codePoints.get(cp) > 65535 ? 2 : 1
+        }
+        // the segmenter and the hyphenator read the whole runs of SA characters and words
+        for (const runBreaks of [this.#complexBreaks, this.#hyphenationPoints]) {
+            if (runBreaks) {
+                cu = Math.min(cu, runBreaks.runStart(this.#text, this.#codePointPosition(i)[1]))
             }
-            else {
-                highSurrogate = false
+        }
+        return cu
+    }
+
+    /**
+     * Returns the index after the last code unit of the text that the rules can read
+     * to find the break type at the position i, i.e. the end of its following context.
+     * The indices are in the unit of the checker.
+     */
+    contextEnd(i) {
+        return this.#fromUTF16(this.#contextEnd(this.#toUTF16(i, true)))
+    }
+
+    #contextEnd(i) {
+        let cu = this.#walkForward(...this.#codePointPosition(i), this.#ruleContext.after)[1]
+        for (const runBreaks of [this.#complexBreaks, this.#hyphenationPoints]) {
+            if (runBreaks) {
+                cu = Math.max(cu, runBreaks.runEnd(this.#text, this.#codePointPosition(i)[1]))
             }
+        }
+        return cu
+    }
 
+    // returns the index of the code point at the position i of the text, and the index
+    // of its first code unit (i.e. i, unless it's inside a surrogate pair)
+    #codePointPosition(i) {
+        if (i > 0 && i < this.#text.length && LineBreakingChecker.isSurrogatePair(this.#text.charCodeAt(i - 1), this.#text.charCodeAt(i))) {
+            i--
         }
-        this.#offsetsSurrogates.push(offset)
+        return [i - this.#offsetsSurrogates.get(i), i]
+    }
+
+    // the combining marks are skipped by the rules (LB9), and the classes repeated
+    // by the * modifier can make the context of a rule arbitrarily long
+    #isRepeated(cp) {
+        const cls = this.#classes.get(cp)
+        const repeatedClasses = this.#ruleContext.repeatedClasses
+        return repeatedClasses === null || ['CM', 'ZWJ'].includes(cls) || repeatedClasses.has(cls)
+    }
+
+    // walk the code points from cp, up to `length` code points of classes that aren't repeated
+    // (cu is the index of the first code unit of cp)
+    #walkBack(cp, cu, length) {
+        while (cp > 0 && (length > 0 || this.#isRepeated(cp - 1))) {
+            if (!this.#isRepeated(cp - 1)) {
+                length--
+            }
+            cp--
+            cu -= this.#codePoints.get(cp) > 65535 ? 2 : 1
+        }
+        return [cp, cu]
+    }
+
+    #walkForward(cp, cu, length) {
+        while (cp < this.#codePoints.length && (length > 0 || this.#isRepeated(cp))) {
+            if (!this.#isRepeated(cp)) {
+                length--
+            }
+            cu += this.#codePoints.get(cp) > 65535 ? 2 : 1
+            cp++
+        }
+        return [cp, cu]
     }
 
     static isSurrogate(n) {
-        return n >= 0xd800 && n <= 0xdfff
+        return isSurrogate(n)
     }
 
     static isSurrogatePair(lead, trail) {
-        return lead >= 0xd800 && lead <= 0xdbff && trail >= 0xdc00 && trail <= 0xdfff
+        return isSurrogatePair(lead, trail)
     }
 
     #setCombiningSequencesMaps() {
-        this.#classesWithoutCS = []
-        this.#offsetsCombiningSeqs = []
-        this.#codePointsWithoutCS = []
-        let prevCls = undefined
-        let totOffset = 0
-        for (const [i, el] of this.#classes.entries()) {
+        const { classes, codePoints, offsets, offset } = this.#combiningSequencesMaps(0, this.#classes.length, 0)
+        this.#classesWithoutCS = new GapArray(classes)
+        this.#codePointsWithoutCS = new GapArray(codePoints)
+        offsets.push(offset)
+        this.#offsetsCombiningSeqs = new GapArray(offsets, { cumulative: true })
+        this.#applyOffset = false
+    }
+
+    #combiningSequencesMaps(start, end, totOffset) {
+        const classesWithoutCS = []
+        const codePointsWithoutCS = []
+        const offsetsCombiningSeqs = []
+        let prevCls = this.#classes.get(start - 1)
+        for (let i = start; i < end; i++) {
+            const el = this.#classes.get(i)
             if (['CM', 'ZWJ'].includes(el)) {
                 if (!prevCls || ['SP', 'BK', 'CR', 'LF', 'NL', 'ZW'].includes(prevCls)) {
-                    this.#classesWithoutCS.push('AL')
-                    this.#codePointsWithoutCS.push(0x41)  // 'A'
+                    classesWithoutCS.push('AL')
+                    codePointsWithoutCS.push(0x41)  // 'A'
                 }
                 else {
                     totOffset++
                 }
             }
             else {
-                this.#classesWithoutCS.push(el)
-                this.#codePointsWithoutCS.push(this.#codePoints[i])
+                classesWithoutCS.push(el)
+                codePointsWithoutCS.push(this.#codePoints.get(i))
             }
-            this.#offsetsCombiningSeqs.push(totOffset)
+            offsetsCombiningSeqs.push(totOffset)
             prevCls = el
         }
-        this.#offsetsCombiningSeqs.push(totOffset)
-        this.#applyOffset = false
+        return {
+            classes: classesWithoutCS,
+            codePoints: codePointsWithoutCS,
+            offsets: offsetsCombiningSeqs,
+            offset: totOffset,
+        }
     }
 
-    #assignLineBreakingClasses(criteria) {
+    #assignLineBreakingClasses(criteria, codePoints) {
         const classes = []
-        for (const c of this.#codePoints) {
+        for (const c of codePoints) {
             const [cls, gc] = getClsAndGC(c, this.#classesKey)
             if (!criteria) {
-                switch (cls) {
-                    case 'AI':
-                    case 'SG':
-                    case 'XX':
-                        classes.push('AL')
-                        break
-                    case 'SA':
-                        if (gc === 'Mn' || gc === 'Mc') {
-                            classes.push('CM')
-                        }
-                        else {
-                            classes.push('AL')
-                        }
+                classes.push(resolveClass(cls, gc))
+            }
+            else {
+                classes.push(criteria(cls, gc, c, this.eastAsianWidth(c), this.#isEastAsian(c)))
+            }
+        }
+        return classes
+    }
+
+    /**
+     * Returns the East Asian Width of the code point (F, W, H, Na, A or N), or undefined
+     * if the checker has no data of the East Asian Widths (see makeLBC).
+     */
+    eastAsianWidth(codePoint) {
+        const widths = eastAsianWidths.get(this.#eastAsianWidthKey)
+        return widths ? widths.get(codePoint) ?? 'N' : undefined
+    }
+
+    /**
+     * Returns the number of columns that str occupies in a monospace font (e.g. in a terminal):
+     * wide and fullwidth characters take two columns, ambiguous characters take two columns
+     * if options.ambiguousIsWide is true and one otherwise, control characters, combining marks
+     * and format characters take no columns, as do the emoji joined to the previous one
+     * by a ZWJ and the emoji modifiers following an emoji.
+     * An emoji followed by the variation selector U+FE0F takes two columns.
+     * A tab moves to the next multiple of options.tabSize columns (default: 8) from the start
+     * of str, or takes no columns, like the other control characters, if options.tabSize is 0.
+     * Without the data of the East Asian Widths (see makeLBC), the characters of the set
+     * $EastAsian take two columns, except the halfwidth forms, and none is ambiguous.
+     */
+    columnWidth(str, { ambiguousIsWide = false, tabSize = 8 } = {}) {
+        let width = 0
+        let prev
+        let prevWidth = 0
+        for (const c of str) {
+            const codePoint = c.codePointAt(0)
+            const gc = getGeneralCategory(codePoint, this.#classesKey)
+            let w
+            if (codePoint === 0x9 && tabSize > 0) {
+                w = tabSize - width % tabSize
+            }
+            else if (prev === 0x200D && this.#isExtPict(codePoint)) {
+                // emoji ZWJ sequence
+                w = 0
+            }
+            else if (codePoint >= 0x1F3FB && codePoint <= 0x1F3FF && prev !== undefined && this.#isExtPict(prev)) {
+                // emoji modifier
+                w = 0
+            }
+            else if (codePoint === 0xFE0F) {
+                w = prevWidth === 1 && this.#isExtPict(prev) ? 1 : 0
+            }
+            else if (['Cc', 'Mn', 'Me', 'Cf'].includes(gc) || (codePoint >= 0x1160 && codePoint <= 0x11FF)) {
+                // the Hangul medial vowels and final consonants combine with the initial consonant
+                w = 0
+            }
+            else if (!eastAsianWidths.has(this.#eastAsianWidthKey)) {
+                w = this.#isEastAsian(codePoint) && !isHalfwidth(codePoint) ? 2 : 1
+            }
+            else {
+                switch (this.eastAsianWidth(codePoint)) {
+                    case 'F':
+                    case 'W':
+                        w = 2
                         break
-                    case 'CJ':
-                        classes.push('NS')
+                    case 'A':
+                        w = ambiguousIsWide ? 2 : 1
                         break
                     default:
-                        classes.push(cls)
+                        w = 1
                 }
             }
+            width += w
+            if (codePoint === 0xFE0F) {
+                prevWidth += w
+            }
             else {
-                classes.push(criteria(cls, gc))
+                prev = codePoint
+                prevWidth = w
             }
         }
-        return classes
+        return width
     }
 
-    [Symbol.iterator]() {
+    *[Symbol.iterator]() {
         let prev = 0
-        let current = -1
-        let lineBreak = BreakType.MANDATORY|BreakType.ALLOWED
-        return {
-            next: () => {
-                let result = BreakType.UNKNOWN
-                while ((result & lineBreak) === 0) {
-                    current++
-                    if (current > this.#text.length) {
-                        return { done: true }
-                    }
-                    result = this.isPosLineBreaking(current)
-                }
-                const part = this.text.slice(prev, current)
-                prev = current
-                return { done: false, value: { index: current, breakType: result, text: part }}
+        for (let next = this.#following(0); next; next = this.#following(next.index)) {
+            yield this.#segment(prev, next)
+            prev = next.index
+        }
+    }
+
+    /**
+     * Yields the segments of the text between the break opportunities, as objects
+     * { start, end, breakType, text, content, whitespace, terminator, paragraphEnd }
+     * (and hyphen, at the HYPHENATED breaks), where start and end are the offsets of the segment (see indexUnit),
+     * breakType the type of the break at its end, content its text without the trailing spaces
+     * and the line terminator (BK, CR LF, CR, LF or NL), whitespace the trailing spaces, terminator the line
+     * terminator, and paragraphEnd is true if the segment ends with a line terminator or the text.
+     * Options:
+     * - types: the break types that end the segments, e.g. BreakType.MANDATORY for the paragraphs
+     *      (default: BreakType.MANDATORY|BreakType.ALLOWED, all the break opportunities)
+     * - includeTrailingWhitespace: if false, text is the content only (default: true, as in the iterator)
+     * - codePointIndices: if true, the segments have also the offsets in code points
+     *      codePointStart and codePointEnd
+     */
+    *segments({
+        types = BreakType.MANDATORY|BreakType.ALLOWED, includeTrailingWhitespace = true, codePointIndices = false
+    } = {}) {
+        if (!Number.isInteger(types) || (types & (BreakType.MANDATORY|BreakType.ALLOWED|BreakType.HYPHENATED)) === 0) {
+            throw RangeError('Invalid break types: ' + types)
+        }
+        let start = 0
+        let codePointStart = 0
+        for (let next = this.#following(0); next; next = this.#following(next.index)) {
+            if ((next.breakType & types) === 0) {
+                continue
+            }
+            const segment = this.#lineSegment(start, next, includeTrailingWhitespace)
+            if (codePointIndices) {
+                segment.codePointStart = codePointStart
+                segment.codePointEnd = codePointStart + countCodePoints(this.#text, start, next.index)
+                codePointStart = segment.codePointEnd
+            }
+            start = next.index
+            yield segment
+        }
+    }
+
+    /**
+     * Yields the same segments of the iterator, from the end of the text to its start.
+     */
+    *reverse() {
+        for (let next = this.#preceding(this.#text.length + 1); next; ) {
+            const prev = this.#preceding(next.index)
+            yield this.#segment(prev?.index ?? 0, next)
+            next = prev
+        }
+    }
+
+    /**
+     * Returns the first break opportunity (allowed or mandatory) after the position i,
+     * as an object { index, breakType }, or null if there are none.
+     * Only the positions between i and the break are evaluated.
+     */
+    following(i) {
+        return this.#toUnit(this.#following(this.#toUTF16(i)))
+    }
+
+    #following(i) {
+        for (let j = Math.max(i + 1, 1); j <= this.#text.length; j++) {
+            const breakType = this.#breakOpportunity(j)
+            if (breakType) {
+                return { index: j, breakType: breakType }
+            }
+        }
+        return null
+    }
+
+    /**
+     * Returns the last break opportunity before the position i, as an object
+     * { index, breakType }, or null if there are none (the start of the text is never one).
+     */
+    preceding(i) {
+        return this.#toUnit(this.#preceding(this.#toUTF16(i)))
+    }
+
+    #preceding(i) {
+        for (let j = Math.min(i - 1, this.#text.length); j > 0; j--) {
+            const breakType = this.#breakOpportunity(j)
+            if (breakType) {
+                return { index: j, breakType: breakType }
             }
         }
+        return null
+    }
+
+    /**
+     * Returns the first break opportunity of the text (see following), or null if the text is empty.
+     */
+    first() {
+        return this.following(0)
+    }
+
+    /**
+     * Returns the last break opportunity of the text, i.e. its end (see preceding),
+     * or null if the text is empty.
+     */
+    last() {
+        return this.#toUnit(this.#preceding(this.#text.length + 1))
+    }
+
+    /**
+     * Returns true if the position i is a break opportunity, allowed or mandatory.
+     */
+    isBoundary(i) {
+        i = this.#toUTF16(i)
+        return i > 0 && i <= this.#text.length && this.#breakOpportunity(i) !== 0
+    }
+
+    // the break opportunity { index, breakType } with the index converted to the unit of the checker
+    #toUnit(opportunity) {
+        return opportunity && { index: this.#fromUTF16(opportunity.index), breakType: opportunity.breakType }
+    }
+
+    // the break type at the position i if it's a break opportunity, otherwise 0
+    // (the positions inside the surrogate pairs are skipped without evaluating the rules)
+    #breakOpportunity(i) {
+        if (i < this.#text.length && LineBreakingChecker.isSurrogatePair(this.#text.charCodeAt(i - 1), this.#text.charCodeAt(i))) {
+            return 0
+        }
+        const breakType = this.#evaluatePosition(i)
+        return (breakType & (BreakType.MANDATORY|BreakType.ALLOWED)) !== 0 ? breakType : 0
+    }
+
+    #lineSegment(start, { index, breakType }, includeTrailingWhitespace) {
+        // the classes assigned to the characters (by the criteria, if any), not those of the data
+        const classOf = j => this.#origClasses.get(this.#codePointPosition(j)[0])
+        let contentEnd = index
+        if (contentEnd > start && ['BK', 'CR', 'LF', 'NL'].includes(classOf(contentEnd - 1))) {
+            contentEnd--
+            if (contentEnd > start && classOf(contentEnd) === 'LF' && classOf(contentEnd - 1) === 'CR') {
+                contentEnd--
+            }
+        }
+        const terminatorStart = contentEnd
+        while (contentEnd > start && classOf(contentEnd - 1) === 'SP') {
+            contentEnd--
+        }
+        const content = this.#text.slice(start, contentEnd)
+        const segment = {
+            start: this.#fromUTF16(start),
+            end: this.#fromUTF16(index),
+            breakType: breakType,
+            text: includeTrailingWhitespace ? this.#text.slice(start, index) : content,
+            content: content,
+            whitespace: this.#text.slice(contentEnd, terminatorStart),
+            terminator: this.#text.slice(terminatorStart, index),
+            paragraphEnd: terminatorStart < index || index === this.#text.length,
+        }
+        if (breakType & BreakType.HYPHENATED) {
+            segment.hyphen = this.#hyphenChar
+        }
+        return segment
+    }
+
+    #segment(start, { index, breakType }) {
+        const segment = { index: this.#fromUTF16(index), breakType: breakType, text: this.#text.slice(start, index) }
+        if (breakType & BreakType.HYPHENATED) {
+            segment.hyphen = this.#hyphenChar
+        }
+        return segment
     }
 
     isPosLineBreaking(i) {
+        return this.#evaluatePosition(this.#toUTF16(i, true))
+    }
+
+    /**
+     * Sets the text and splits it in lines: see wrap in linewrapper.mjs
+     * for the options and the returned value.
+     */
+    wrap(text, options) {
+        return wrap(this, text, options)
+    }
+
+    /**
+     * Explains the result of isPosLineBreaking(i): returns the break type
+     * together with the rule that decided it, the rules that were tried
+     * and rejected before it, the side effects that were applied and the
+     * line breaking classes around the position as seen by the deciding rule
+     * (i.e. after the combining sequences have been removed, if the LB9/LB10
+     * side effect was triggered).
+     * The `rule` property is null when the position is inside a surrogate pair.
+     */
+    explainPosition(i) {
+        const trace = {
+            index: i,
+            breakType: BreakType.UNKNOWN,
+            rule: null,
+            rejected: [],
+            sideEffects: [],
+            classes: { before: undefined, after: undefined },
+        }
+        trace.breakType = this.#evaluatePosition(this.#toUTF16(i, true), trace)
+        return trace
+    }
+
+    #evaluatePosition(i, trace) {
+        if (this.#complexBreaks?.has(i)) {
+            return this.#traceRunBreak(i, trace, 'LB1', 'complex_context', BreakType.ALLOWED)
+        }
+        const result = this.#evaluateRules(i, trace)
+        if (this.#hyphens && result === BreakType.ALLOWED && this.#text.charCodeAt(i - 1) === 0xAD) {
+            // after a soft hyphen
+            return result|BreakType.HYPHENATED
+        }
+        if (result === BreakType.FORBIDDEN && this.#hyphenationPoints?.has(i)) {
+            return this.#traceRunBreak(i, trace, 'hyphenation', 'hyphenation', BreakType.ALLOWED|BreakType.HYPHENATED)
+        }
+        return result
+    }
+
+    // a break found outside the rules, by the complex context segmenter or the hyphenator
+    #traceRunBreak(i, trace, label, name, breakType) {
+        if (trace) {
+            trace.rule = { index: null, label: label, name: name, source: null }
+            const j = i - this.#offsetsSurrogates.get(i)
+            trace.classes = { before: this.#classes.get(j - 1), after: this.#classes.get(j) }
+        }
+        return breakType
+    }
+
+    #evaluateRules(i, trace) {
+        if (this.#compiledRules && !trace) {
+            return this.#evaluateCompiledPosition(i)
+        }
         let result = BreakType.UNKNOWN
         // handle position inside surrogate pair as a special case
         if (i > 0 && i < this.#text.length && LineBreakingChecker.isSurrogatePair(this.#text[i-1].codePointAt(0), this.#text[i].codePointAt(0))) {
             result = BreakType.FORBIDDEN
         }
         else {
-            for (const rule of this.#rules) {
-                const offsetSurrogates = this.#offsetsSurrogates[i]
-                result = this.#checkRule(rule, i - offsetSurrogates - this.#offsetsCombiningSeqs[i - offsetSurrogates] * !!this.#applyOffset)
+            for (const [ruleIndex, rule] of this.#rules.entries()) {
+                const offsetSurrogates = this.#offsetsSurrogates.get(i)
+                const j = i - offsetSurrogates - this.#offsetsCombiningSeqs.get(i - offsetSurrogates) * !!this.#applyOffset
+                result = this.#checkRule(rule, j, trace)
+                if (trace) {
+                    const ruleInfo = LineBreakingChecker.#describeRule(rule, ruleIndex)
+                    if (result === BreakType.UNKNOWN) {
+                        trace.rejected.push(ruleInfo)
+                    }
+                    else {
+                        trace.rule = ruleInfo
+                        trace.classes = {
+                            before: j > 0 ? this.#classes.get(j - 1) : 'sot',
+                            after: j < this.#classes.length ? this.#classes.get(j) : 'eot',
+                        }
+                    }
+                }
                 if (result !== BreakType.UNKNOWN) {
                     break
                 }
@@ -306,13 +1244,48 @@ class LineBreakingChecker {
         return result
     }
 
-    #checkRule(rule, i) {
+    #evaluateCompiledPosition(i) {
+        let result = BreakType.UNKNOWN
+        if (i > 0 && i < this.#text.length && LineBreakingChecker.isSurrogatePair(this.#text.charCodeAt(i - 1), this.#text.charCodeAt(i))) {
+            return BreakType.FORBIDDEN
+        }
+        stages: for (const stage of this.#compiledRules) {
+            const offsetSurrogates = this.#offsetsSurrogates.get(i)
+            const j = i - offsetSurrogates - this.#offsetsCombiningSeqs.get(i - offsetSurrogates) * !!this.#applyOffset
+            const before = j > 0 ? this.#classes.get(j - 1) : 'sot'
+            const after = j < this.#classes.length ? this.#classes.get(j) : 'eot'
+            for (const rule of candidateRules(stage, before, after)) {
+                if (rule.before(j - 1).result && rule.after(j).result) {
+                    result = rule.rule.result
+                    break stages
+                }
+            }
+            const sideEffectRule = stage.sideEffectRule
+            if (sideEffectRule) {
+                sideEffectRule.side_effect(...(this.#sideEffectArguments[sideEffectRule.name] ?? []))
+            }
+        }
+        // cleanup
+        if (this.#applyOffset) {
+            this.#classes = this.#origClasses
+            this.#codePoints = this.#origCodePoints
+            this.#applyOffset = false
+        }
+        return result
+    }
+
+    static #describeRule(rule, index) {
+        return { index: index, label: rule.label ?? null, name: rule.name ?? null, source: rule.source }
+    }
+
+    #checkRule(rule, i, trace) {
         if (this.#consumeToken(rule.before, i - 1, -1, null, null, null).result
                 && this.#consumeToken(rule.after, i, 1, null, null, null).result) {
             return rule.result
         }
         if (rule.side_effect) {
             rule.side_effect(...(this.#sideEffectArguments[rule.name] ?? []))
+            trace?.sideEffects.push(rule.name)
         }
         return BreakType.UNKNOWN
     }
@@ -338,23 +1311,31 @@ class LineBreakingChecker {
     }
 
     #checkClass(cls, i) {
-        return cls === this.#classes[i]
+        return cls === this.#classes.get(i)
     }
 
     #checkGeneralCategory(gc, i) {
-        return gc === getGeneralCategory(this.#codePoints[i], this.#classesKey)
+        return gc === getGeneralCategory(this.#codePoints.get(i), this.#classesKey)
     }
 
     #checkCodePoint(cp, i) {
-        return cp === this.#codePoints[i]
+        return cp === this.#codePoints.get(i)
     }
 
     #checkExtPict(i) {
-        return /\p{Extended_Pictographic}/u.test(String.fromCodePoint(this.#codePoints[i]))
+        return this.#isExtPict(this.#codePoints.get(i))
+    }
+
+    #isExtPict(codePoint) {
+        return extendedPictographics.get(this.#classesKey).get(codePoint) === true
     }
 
     #checkEastAsian(i) {
-        return eastAsianCodePoints.get(this.#eastAsianKey).has(this.#codePoints[i])
+        return this.#isEastAsian(this.#codePoints.get(i))
+    }
+
+    #isEastAsian(codePoint) {
+        return eastAsianCodePoints.get(this.#eastAsianKey).get(codePoint) === true
     }
 
     #consumeToken(token, i, step, parent, prev_result, next_token_index) {
@@ -403,9 +1384,19 @@ class LineBreakingChecker {
                     }
                 }
                 else if (token.content === '*') {
-                    let result = this.#consumeToken(parent.content[next_token_index], i, step, parent, prev_result, next_token_index + 1)
-                    while (result.result && result.index > 0 && result.index < this.#codePoints.length - 1) {
-                        result = this.#consumeToken(parent.content[next_token_index], result.index + step, step, parent, result.result, next_token_index + 1)
+                    // a sequence returns the index after its last code point, the other tokens
+                    // the index of the code point they checked
+                    const target = parent.content[next_token_index]
+                    const advance = target.type === 'sequence' ? 0 : step
+                    let result = this.#consumeToken(target, i, step, parent, prev_result, next_token_index + 1)
+                    while (result.result) {
+                        const index = result.index + advance
+                        if (index < 0 || index >= this.#codePoints.length) {
+                            // the repetition reached the start or the end of the text
+                            result = { ...result, index: index }
+                            break
+                        }
+                        result = this.#consumeToken(target, index, step, parent, result.result, next_token_index + 1)
                     }
                     return {
                         result: true,
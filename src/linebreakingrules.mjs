@@ -15,7 +15,8 @@
  * ): end of set
  * [: start of sequence
  * ]: end of sequence
- * [A-Z0-9]{2,3}: line breaking class
+ * [A-Z0-9][A-Za-z0-9_]*: line breaking class (or the class of another property,
+ *      e.g. Extend in the segmentation rules of segmentationrules.mjs)
  * gc([A-Za-z&]{2}): general category
  * eastasian: eastasian character (fullwidth, halfwidth and wide)
  * extpict: Extended_Pictographic category
@@ -34,8 +35,9 @@
  * Sets are collections of elements that match if at least one element matches.
  * Sequences are ordered collections that match if all their elements match.
  * Always separate tokens with a space.
+ * The syntax of a set of rules can be checked with validateRules (see ruleparser.mjs).
 
- * Every rule is an array with one required and two optional elements:
+ * Every rule is an array with one required and three optional elements:
  * - the rule itself, required, a string in a parseable format
  * - the side effect, optional, a function
  *      The side effect function can optionally accept arguments. IF it is the case,
@@ -51,6 +53,10 @@
  *      For the rule named 'std_remove_cm_sequences' in the standard ruleset this is done automatically,
  *      for any custom rule the method needs to be called manually.
  * - the name of the rule, optional, a string
+ * - the label of the rule, optional, a string with the number of the rule
+ *      in the Unicode specification (e.g. 'LB12a'), used to report which rule
+ *      decided a break (see LineBreakingChecker.explainPosition)
+ * Optional elements that are not needed can be set to null.
  */
 
 
@@ -68,22 +74,22 @@
  */
 const lineBreakingRulesV17 = [
     // LB2: Never break at the start of text.
-    [ 'sot × any' ],
+    [ 'sot × any', null, null, 'LB2' ],
     // LB3: Always break at the end of text.
-    [ 'any ! eot' ],
+    [ 'any ! eot', null, null, 'LB3' ],
     // LB4: Always break after hard line breaks.
-    [ 'BK ! any' ],
+    [ 'BK ! any', null, null, 'LB4' ],
     // LB5: Treat CR followed by LF, as well as CR, LF, and NL as hard line breaks.
-    [ 'CR × LF' ],
-    [ '( CR | LF | NL ) ! any' ],
+    [ 'CR × LF', null, null, 'LB5' ],
+    [ '( CR | LF | NL ) ! any', null, null, 'LB5' ],
     // LB6: Do not break before hard line breaks.
-    [ 'any × ( BK | CR | LF | NL )' ],
+    [ 'any × ( BK | CR | LF | NL )', null, null, 'LB6' ],
     // LB7: Do not break before spaces or zero width space.
-    [ 'any × ( SP | ZW )' ],
+    [ 'any × ( SP | ZW )', null, null, 'LB7' ],
     // LB8: Break before any character following a zero-width space, even if one or more spaces intervene.
-    [ '[ ZW * SP ] ÷ any' ],
+    [ '[ ZW * SP ] ÷ any', null, null, 'LB8' ],
     // LB8a: Do not break after a zero width joiner. 
-    [ 'ZWJ × any' ],
+    [ 'ZWJ × any', null, null, 'LB8a' ],
     // LB9 and LB10 have a side effect that changes how CM and ZWJ characters are interpreted in subsequent rules.
     // The implementation of the side effect is mandated to the callback function cb passed as argument.
     // LB9: Do not break a combining character sequence; treat it as if it has the line breaking class of the base character in all of the following rules. Treat ZWJ as if it were CM.
@@ -92,96 +98,96 @@ const lineBreakingRulesV17 = [
     // In subsequent rules, any CM or ZWJ characters affected by this rule are ignored.
     // LB10: Treat any remaining CM or ZWJ as if it had the properties of U+0041 A LATIN CAPITAL LETTER A, that is, Line_Break=AL, General_Category=Lu, East_Asian_Width=Na, Extended_Pictographic=N.
     // This catches the case where a CM is the first character on the line or follows SP, BK, CR, LF, NL, or ZW.
-    [ '^ ( sot | BK | CR | LF | NL | SP | ZW ) × ( CM | ZWJ )', function(cb, ...args) { cb(...args) }, 'std_remove_cm_sequences' ],
+    [ '^ ( sot | BK | CR | LF | NL | SP | ZW ) × ( CM | ZWJ )', function(cb, ...args) { cb(...args) }, 'std_remove_cm_sequences', 'LB9' ],
     // LB11: Do not break before or after Word joiner and related characters.
-    [ 'any × WJ' ],
-    [ 'WJ × any' ],
+    [ 'any × WJ', null, null, 'LB11' ],
+    [ 'WJ × any', null, null, 'LB11' ],
     // LB12: Do not break after NBSP and related characters.
-    [ 'GL × any' ],
+    [ 'GL × any', null, null, 'LB12' ],
     // LB12a: Do not break before NBSP and related characters, except after spaces and hyphens.
-    [ '^ ( SP | BA | HY | HH ) × GL' ],
+    [ '^ ( SP | BA | HY | HH ) × GL', null, null, 'LB12a' ],
     // LB13: Do not break before ‘]’ or ‘!’ or ‘/’, even after spaces.
-    [ 'any × ( CL | CP | EX | SY )' ],
+    [ 'any × ( CL | CP | EX | SY )', null, null, 'LB13' ],
     // LB14: Do not break after ‘[’, even after spaces.
-    [ '[ OP * SP ] × any' ],
+    [ '[ OP * SP ] × any', null, null, 'LB14' ],
     // LB15a: Do not break after an unresolved initial punctuation that lies at the start of the line, after a space, after opening punctuation, or after an unresolved quotation mark, even after spaces.
-    [ '[ ( sot | BK | CR | LF | NL | OP | QU | GL | SP | ZW ) ( gc(Pi) & QU ) * SP ] × any' ],
+    [ '[ ( sot | BK | CR | LF | NL | OP | QU | GL | SP | ZW ) ( gc(Pi) & QU ) * SP ] × any', null, null, 'LB15a' ],
     // LB15b: Do not break before an unresolved final punctuation that lies at the end of the line, before a space, before a prohibited break, or before an unresolved quotation mark, even after spaces.
-    [ 'any × [ ( gc(Pf) & QU ) ( SP | GL | WJ | CL | QU | CP | EX | IS | SY | BK | CR | LF | NL | ZW | eot ) ]' ],
+    [ 'any × [ ( gc(Pf) & QU ) ( SP | GL | WJ | CL | QU | CP | EX | IS | SY | BK | CR | LF | NL | ZW | eot ) ]', null, null, 'LB15b' ],
     // LB15c: Break before a decimal mark that follows a space, for instance, in ‘subtract .5’.
-    [ 'SP ÷ [ IS NU ]' ],
+    [ 'SP ÷ [ IS NU ]', null, null, 'LB15c' ],
     // LB15d: Otherwise, do not break before ‘;’, ‘,’, or ‘.’, even after spaces.
-    [ 'any × IS' ],
+    [ 'any × IS', null, null, 'LB15d' ],
     // LB16: Do not break between closing punctuation and a nonstarter (lb=NS), even with intervening spaces.
-    [ '[ ( CL | CP ) * SP ] × NS' ],
+    [ '[ ( CL | CP ) * SP ] × NS', null, null, 'LB16' ],
     // LB17: Do not break within ‘——’, even with intervening spaces.
-    [ '[ B2 * SP ] × B2' ],
+    [ '[ B2 * SP ] × B2', null, null, 'LB17' ],
     // LB18: Break after spaces.
-    [ 'SP ÷ any'],
+    [ 'SP ÷ any', null, null, 'LB18' ],
     // LB19: Do not break before non-initial unresolved quotation marks, such as ‘ ” ’ or ‘ " ’, nor after non-final unresolved quotation marks, such as ‘ “ ’ or ‘ " ’.
-    [ 'any × ( QU - gc(Pi) )' ],
-    [ '( QU - gc(Pf) ) × any' ],
+    [ 'any × ( QU - gc(Pi) )', null, null, 'LB19' ],
+    [ '( QU - gc(Pf) ) × any', null, null, 'LB19' ],
     // LB19a: Unless surrounded by East Asian characters, do not break either side of any unresolved quotation marks.
-    [ '^ eastasian × QU' ],
-    [ 'any × [ QU ( ^ eastasian | eot ) ]' ],
-    [ 'QU × ^ eastasian' ],
-    [ '[ ( sot | ^ eastasian ) QU ] × any' ],
+    [ '^ eastasian × QU', null, null, 'LB19a' ],
+    [ 'any × [ QU ( ^ eastasian | eot ) ]', null, null, 'LB19a' ],
+    [ 'QU × ^ eastasian', null, null, 'LB19a' ],
+    [ '[ ( sot | ^ eastasian ) QU ] × any', null, null, 'LB19a' ],
     // LB20: Break before and after unresolved CB.
-    [ 'any ÷ CB' ],
-    [ 'CB ÷ any' ],
+    [ 'any ÷ CB', null, null, 'LB20' ],
+    [ 'CB ÷ any', null, null, 'LB20' ],
     // LB20a: Do not break after a word-initial hyphen.
-    [ '[ ( sot | BK | CR | LF | NL | SP | ZW | CB | GL ) ( HY | HH ) ] × ( AL | HL )' ],
+    [ '[ ( sot | BK | CR | LF | NL | SP | ZW | CB | GL ) ( HY | HH ) ] × ( AL | HL )', null, null, 'LB20a' ],
     // LB21: Do not break before hyphen-minus, other hyphens, fixed-width spaces, small kana, and other non-starters, or after acute accents.
-    [ 'any × ( BA | HH | HY | NS )' ],
-    [ 'BB × any' ],
+    [ 'any × ( BA | HH | HY | NS )', null, null, 'LB21' ],
+    [ 'BB × any', null, null, 'LB21' ],
     // LB21a: Do not break after the hyphen in Hebrew + Hyphen + non-Hebrew.
-    [ '[ HL ( HY | HH ) ] × ^ HL' ],
+    [ '[ HL ( HY | HH ) ] × ^ HL', null, null, 'LB21a' ],
     // LB21b: Do not break between Solidus and Hebrew letters.
-    [ 'SY × HL' ],
+    [ 'SY × HL', null, null, 'LB21b' ],
     // LB22: Do not break before ellipses.
-    [ 'any × IN' ],
+    [ 'any × IN', null, null, 'LB22' ],
     // LB23: Do not break between digits and letters.
-    [ '( AL | HL ) × NU' ],
-    [ 'NU × ( AL | HL )' ],
+    [ '( AL | HL ) × NU', null, null, 'LB23' ],
+    [ 'NU × ( AL | HL )', null, null, 'LB23' ],
     // LB23a: Do not break between numeric prefixes and ideographs, or between ideographs and numeric postfixes.
-    [ 'PR × ( ID | EB | EM )' ],
-    [ '( ID | EB | EM ) × PO' ],
+    [ 'PR × ( ID | EB | EM )', null, null, 'LB23a' ],
+    [ '( ID | EB | EM ) × PO', null, null, 'LB23a' ],
     // LB24: Do not break between numeric prefix/postfix and letters, or between letters and prefix/postfix.
-    [ '( PR | PO ) × ( AL | HL )' ],
-    [ '( AL | HL ) × ( PR | PO )' ],
+    [ '( PR | PO ) × ( AL | HL )', null, null, 'LB24' ],
+    [ '( AL | HL ) × ( PR | PO )', null, null, 'LB24' ],
     // LB25: Do not break numbers
-    [ '[ NU * ( SY | IS ) ( CL | CP ) ] × ( PO | PR )' ],
-    [ '[ NU * ( SY | IS ) ] × ( PO | PR | NU )' ],
-    [ '( PO | PR ) × [ OP NU ]' ],
-    [ '( PO | PR ) × [ OP IS NU ]' ],
-    [ '( PO | PR | HY | IS ) × NU' ],
+    [ '[ NU * ( SY | IS ) ( CL | CP ) ] × ( PO | PR )', null, null, 'LB25' ],
+    [ '[ NU * ( SY | IS ) ] × ( PO | PR | NU )', null, null, 'LB25' ],
+    [ '( PO | PR ) × [ OP NU ]', null, null, 'LB25' ],
+    [ '( PO | PR ) × [ OP IS NU ]', null, null, 'LB25' ],
+    [ '( PO | PR | HY | IS ) × NU', null, null, 'LB25' ],
     // LB26: Do not break a Korean syllable.
-    [ 'JL × ( JL | JV | H2 | H3 )' ],
-    [ '( JV | H2 ) × ( JV | JT )' ],
-    [ '( JT | H3 ) × JT' ],
+    [ 'JL × ( JL | JV | H2 | H3 )', null, null, 'LB26' ],
+    [ '( JV | H2 ) × ( JV | JT )', null, null, 'LB26' ],
+    [ '( JT | H3 ) × JT', null, null, 'LB26' ],
     // LB27: Treat a Korean Syllable Block the same as ID.
-    [ '( JL | JV | JT | H2 | H3 ) × PO' ],
-    [ 'PR × ( JL | JV | JT | H2 | H3 )' ],
+    [ '( JL | JV | JT | H2 | H3 ) × PO', null, null, 'LB27' ],
+    [ 'PR × ( JL | JV | JT | H2 | H3 )', null, null, 'LB27' ],
     // LB28: Do not break between alphabetics (“at”).
-    [ '( AL | HL ) × ( AL | HL )' ],
+    [ '( AL | HL ) × ( AL | HL )', null, null, 'LB28' ],
     // LB28a: Do not break inside the orthographic syllables of Brahmic scripts.
-    [ 'AP × ( AK | \\u25CC | AS )' ],
-    [ '( AK | \\u25CC | AS ) × ( VF | VI )' ],
-    [ '[ ( AK | \\u25CC | AS ) VI ] × ( AK | \\u25CC )' ],
-    [ '( AK | \\u25CC | AS ) × [ ( AK | \\u25CC | AS ) VF ]' ],
+    [ 'AP × ( AK | \\u25CC | AS )', null, null, 'LB28a' ],
+    [ '( AK | \\u25CC | AS ) × ( VF | VI )', null, null, 'LB28a' ],
+    [ '[ ( AK | \\u25CC | AS ) VI ] × ( AK | \\u25CC )', null, null, 'LB28a' ],
+    [ '( AK | \\u25CC | AS ) × [ ( AK | \\u25CC | AS ) VF ]', null, null, 'LB28a' ],
     // LB29: Do not break between numeric punctuation and alphabetics (“e.g.”).
-    [ 'IS × ( AL | HL )' ],
+    [ 'IS × ( AL | HL )', null, null, 'LB29' ],
     // LB30: Do not break between letters, numbers, or ordinary symbols and opening or closing parentheses.
-    [ '( AL | HL | NU ) × ( OP - eastasian )' ],
-    [ '( CP - eastasian ) × ( AL | HL | NU )' ],
+    [ '( AL | HL | NU ) × ( OP - eastasian )', null, null, 'LB30' ],
+    [ '( CP - eastasian ) × ( AL | HL | NU )', null, null, 'LB30' ],
     // LB30a: Break between two regional indicator symbols if and only if there are an even number of regional indicators preceding the position of the break.
-    [ '[ sot * [ RI RI ] RI ] × RI' ],
-    [ '[ ^ RI * [ RI RI ] RI ] × RI' ],
+    [ '[ sot * [ RI RI ] RI ] × RI', null, null, 'LB30a' ],
+    [ '[ ^ RI * [ RI RI ] RI ] × RI', null, null, 'LB30a' ],
     // LB30b: Do not break between an emoji base (or potential emoji) and an emoji modifier.
-    [ 'EB × EM' ],
-    [ '( extpict & gc(Cn) ) × EM' ],
+    [ 'EB × EM', null, null, 'LB30b' ],
+    [ '( extpict & gc(Cn) ) × EM', null, null, 'LB30b' ],
     // LB31: Break everywhere else.
-    [ 'any ÷ any'],
+    [ 'any ÷ any', null, null, 'LB31' ],
 ]
 
 
@@ -190,22 +196,22 @@ const lineBreakingRulesV17 = [
  */
 const lineBreakingRulesV16 = [
     // LB2: Never break at the start of text.
-    [ 'sot × any' ],
+    [ 'sot × any', null, null, 'LB2' ],
     // LB3: Always break at the end of text.
-    [ 'any ! eot' ],
+    [ 'any ! eot', null, null, 'LB3' ],
     // LB4: Always break after hard line breaks.
-    [ 'BK ! any' ],
+    [ 'BK ! any', null, null, 'LB4' ],
     // LB5: Treat CR followed by LF, as well as CR, LF, and NL as hard line breaks.
-    [ 'CR × LF' ],
-    [ '( CR | LF | NL ) ! any' ],
+    [ 'CR × LF', null, null, 'LB5' ],
+    [ '( CR | LF | NL ) ! any', null, null, 'LB5' ],
     // LB6: Do not break before hard line breaks.
-    [ 'any × ( BK | CR | LF | NL )' ],
+    [ 'any × ( BK | CR | LF | NL )', null, null, 'LB6' ],
     // LB7: Do not break before spaces or zero width space.
-    [ 'any × ( SP | ZW )' ],
+    [ 'any × ( SP | ZW )', null, null, 'LB7' ],
     // LB8: Break before any character following a zero-width space, even if one or more spaces intervene.
-    [ '[ ZW * SP ] ÷ any' ],
+    [ '[ ZW * SP ] ÷ any', null, null, 'LB8' ],
     // LB8a: Do not break after a zero width joiner. 
-    [ 'ZWJ × any' ],
+    [ 'ZWJ × any', null, null, 'LB8a' ],
     // LB9 and LB10 have a side effect that changes how CM and ZWJ characters are interpreted in subsequent rules.
     // The implementation of the side effect is mandated to the callback function cb passed as argument.
     // LB9: Do not break a combining character sequence; treat it as if it has the line breaking class of the base character in all of the following rules. Treat ZWJ as if it were CM.
@@ -214,100 +220,113 @@ const lineBreakingRulesV16 = [
     // In subsequent rules, any CM or ZWJ characters affected by this rule are ignored.
     // LB10: Treat any remaining CM or ZWJ as if it had the properties of U+0041 A LATIN CAPITAL LETTER A, that is, Line_Break=AL, General_Category=Lu, East_Asian_Width=Na, Extended_Pictographic=N.
     // This catches the case where a CM is the first character on the line or follows SP, BK, CR, LF, NL, or ZW.
-    [ '^ ( sot | BK | CR | LF | NL | SP | ZW ) × ( CM | ZWJ )', function(cb, ...args) { cb(...args) }, 'std_remove_cm_sequences' ],
+    [ '^ ( sot | BK | CR | LF | NL | SP | ZW ) × ( CM | ZWJ )', function(cb, ...args) { cb(...args) }, 'std_remove_cm_sequences', 'LB9' ],
     // LB11: Do not break before or after Word joiner and related characters.
-    [ 'any × WJ' ],
-    [ 'WJ × any' ],
+    [ 'any × WJ', null, null, 'LB11' ],
+    [ 'WJ × any', null, null, 'LB11' ],
     // LB12: Do not break after NBSP and related characters.
-    [ 'GL × any' ],
+    [ 'GL × any', null, null, 'LB12' ],
     // LB12a: Do not break before NBSP and related characters, except after spaces and hyphens.
-    [ '^ ( SP | BA | HY ) × GL' ],
+    [ '^ ( SP | BA | HY ) × GL', null, null, 'LB12a' ],
     // LB13: Do not break before ‘]’ or ‘!’ or ‘/’, even after spaces.
-    [ 'any × ( CL | CP | EX | SY )' ],
+    [ 'any × ( CL | CP | EX | SY )', null, null, 'LB13' ],
     // LB14: Do not break after ‘[’, even after spaces.
-    [ '[ OP * SP ] × any' ],
+    [ '[ OP * SP ] × any', null, null, 'LB14' ],
     // LB15a: Do not break after an unresolved initial punctuation that lies at the start of the line, after a space, after opening punctuation, or after an unresolved quotation mark, even after spaces.
-    [ '[ ( sot | BK | CR | LF | NL | OP | QU | GL | SP | ZW ) ( gc(Pi) & QU ) * SP ] × any' ],
+    [ '[ ( sot | BK | CR | LF | NL | OP | QU | GL | SP | ZW ) ( gc(Pi) & QU ) * SP ] × any', null, null, 'LB15a' ],
     // LB15b: Do not break before an unresolved final punctuation that lies at the end of the line, before a space, before a prohibited break, or before an unresolved quotation mark, even after spaces.
-    [ 'any × [ ( gc(Pf) & QU ) ( SP | GL | WJ | CL | QU | CP | EX | IS | SY | BK | CR | LF | NL | ZW | eot ) ]' ],
+    [ 'any × [ ( gc(Pf) & QU ) ( SP | GL | WJ | CL | QU | CP | EX | IS | SY | BK | CR | LF | NL | ZW | eot ) ]', null, null, 'LB15b' ],
     // LB15c: Break before a decimal mark that follows a space, for instance, in ‘subtract .5’.
-    [ 'SP ÷ [ IS NU ]' ],
+    [ 'SP ÷ [ IS NU ]', null, null, 'LB15c' ],
     // LB15d: Otherwise, do not break before ‘;’, ‘,’, or ‘.’, even after spaces.
-    [ 'any × IS' ],
+    [ 'any × IS', null, null, 'LB15d' ],
     // LB16: Do not break between closing punctuation and a nonstarter (lb=NS), even with intervening spaces.
-    [ '[ ( CL | CP ) * SP ] × NS' ],
+    [ '[ ( CL | CP ) * SP ] × NS', null, null, 'LB16' ],
     // LB17: Do not break within ‘——’, even with intervening spaces.
-    [ '[ B2 * SP ] × B2' ],
+    [ '[ B2 * SP ] × B2', null, null, 'LB17' ],
     // LB18: Break after spaces.
-    [ 'SP ÷ any'],
+    [ 'SP ÷ any', null, null, 'LB18' ],
     // LB19: Do not break before non-initial unresolved quotation marks, such as ‘ ” ’ or ‘ " ’, nor after non-final unresolved quotation marks, such as ‘ “ ’ or ‘ " ’.
-    [ 'any × ( QU - gc(Pi) )' ],
-    [ '( QU - gc(Pf) ) × any' ],
+    [ 'any × ( QU - gc(Pi) )', null, null, 'LB19' ],
+    [ '( QU - gc(Pf) ) × any', null, null, 'LB19' ],
     // LB19a: Unless surrounded by East Asian characters, do not break either side of any unresolved quotation marks.
-    [ '^ eastasian × QU' ],
-    [ 'any × [ QU ( ^ eastasian | eot ) ]' ],
-    [ 'QU × ^ eastasian' ],
-    [ '[ ( sot | ^ eastasian ) QU ] × any' ],
+    [ '^ eastasian × QU', null, null, 'LB19a' ],
+    [ 'any × [ QU ( ^ eastasian | eot ) ]', null, null, 'LB19a' ],
+    [ 'QU × ^ eastasian', null, null, 'LB19a' ],
+    [ '[ ( sot | ^ eastasian ) QU ] × any', null, null, 'LB19a' ],
     // LB20: Break before and after unresolved CB.
-    [ 'any ÷ CB' ],
-    [ 'CB ÷ any' ],
+    [ 'any ÷ CB', null, null, 'LB20' ],
+    [ 'CB ÷ any', null, null, 'LB20' ],
     // LB20a: Do not break after a word-initial hyphen.
-    [ '[ ( sot | BK | CR | LF | NL | SP | ZW | CB | GL ) ( HY | \\u2010 ) ] × AL' ],
+    [ '[ ( sot | BK | CR | LF | NL | SP | ZW | CB | GL ) ( HY | \\u2010 ) ] × AL', null, null, 'LB20a' ],
     // LB21: Do not break before hyphen-minus, other hyphens, fixed-width spaces, small kana, and other non-starters, or after acute accents.
-    [ 'any × ( BA | HY | NS )' ],
-    [ 'BB × any' ],
+    [ 'any × ( BA | HY | NS )', null, null, 'LB21' ],
+    [ 'BB × any', null, null, 'LB21' ],
     // LB21a: Do not break after the hyphen in Hebrew + Hyphen + non-Hebrew.
-    [ '[ HL ( HY | ( BA - eastasian ) ) ] × ^ HL' ],
+    [ '[ HL ( HY | ( BA - eastasian ) ) ] × ^ HL', null, null, 'LB21a' ],
     // LB21b: Do not break between Solidus and Hebrew letters.
-    [ 'SY × HL' ],
+    [ 'SY × HL', null, null, 'LB21b' ],
     // LB22: Do not break before ellipses.
-    [ 'any × IN' ],
+    [ 'any × IN', null, null, 'LB22' ],
     // LB23: Do not break between digits and letters.
-    [ '( AL | HL ) × NU' ],
-    [ 'NU × ( AL | HL )' ],
+    [ '( AL | HL ) × NU', null, null, 'LB23' ],
+    [ 'NU × ( AL | HL )', null, null, 'LB23' ],
     // LB23a: Do not break between numeric prefixes and ideographs, or between ideographs and numeric postfixes.
-    [ 'PR × ( ID | EB | EM )' ],
-    [ '( ID | EB | EM ) × PO' ],
+    [ 'PR × ( ID | EB | EM )', null, null, 'LB23a' ],
+    [ '( ID | EB | EM ) × PO', null, null, 'LB23a' ],
     // LB24: Do not break between numeric prefix/postfix and letters, or between letters and prefix/postfix.
-    [ '( PR | PO ) × ( AL | HL )' ],
-    [ '( AL | HL ) × ( PR | PO )' ],
+    [ '( PR | PO ) × ( AL | HL )', null, null, 'LB24' ],
+    [ '( AL | HL ) × ( PR | PO )', null, null, 'LB24' ],
     // LB25: Do not break numbers
-    [ '[ NU * ( SY | IS ) ( CL | CP ) ] × ( PO | PR )' ],
-    [ '[ NU * ( SY | IS ) ] × ( PO | PR | NU )' ],
-    [ '( PO | PR ) × [ OP NU ]' ],
-    [ '( PO | PR ) × [ OP IS NU ]' ],
-    [ '( PO | PR | HY | IS ) × NU' ],
+    [ '[ NU * ( SY | IS ) ( CL | CP ) ] × ( PO | PR )', null, null, 'LB25' ],
+    [ '[ NU * ( SY | IS ) ] × ( PO | PR | NU )', null, null, 'LB25' ],
+    [ '( PO | PR ) × [ OP NU ]', null, null, 'LB25' ],
+    [ '( PO | PR ) × [ OP IS NU ]', null, null, 'LB25' ],
+    [ '( PO | PR | HY | IS ) × NU', null, null, 'LB25' ],
     // LB26: Do not break a Korean syllable.
-    [ 'JL × ( JL | JV | H2 | H3 )' ],
-    [ '( JV | H2 ) × ( JV | JT )' ],
-    [ '( JT | H3 ) × JT' ],
+    [ 'JL × ( JL | JV | H2 | H3 )', null, null, 'LB26' ],
+    [ '( JV | H2 ) × ( JV | JT )', null, null, 'LB26' ],
+    [ '( JT | H3 ) × JT', null, null, 'LB26' ],
     // LB27: Treat a Korean Syllable Block the same as ID.
-    [ '( JL | JV | JT | H2 | H3 ) × PO' ],
-    [ 'PR × ( JL | JV | JT | H2 | H3 )' ],
+    [ '( JL | JV | JT | H2 | H3 ) × PO', null, null, 'LB27' ],
+    [ 'PR × ( JL | JV | JT | H2 | H3 )', null, null, 'LB27' ],
     // LB28: Do not break between alphabetics (“at”).
-    [ '( AL | HL ) × ( AL | HL )' ],
+    [ '( AL | HL ) × ( AL | HL )', null, null, 'LB28' ],
     // LB28a: Do not break inside the orthographic syllables of Brahmic scripts.
-    [ 'AP × ( AK | \\u25CC | AS )' ],
-    [ '( AK | \\u25CC | AS ) × ( VF | VI )' ],
-    [ '[ ( AK | \\u25CC | AS ) VI ] × ( AK | \\u25CC )' ],
-    [ '( AK | \\u25CC | AS ) × [ ( AK | \\u25CC | AS ) VF ]' ],
+    [ 'AP × ( AK | \\u25CC | AS )', null, null, 'LB28a' ],
+    [ '( AK | \\u25CC | AS ) × ( VF | VI )', null, null, 'LB28a' ],
+    [ '[ ( AK | \\u25CC | AS ) VI ] × ( AK | \\u25CC )', null, null, 'LB28a' ],
+    [ '( AK | \\u25CC | AS ) × [ ( AK | \\u25CC | AS ) VF ]', null, null, 'LB28a' ],
     // LB29: Do not break between numeric punctuation and alphabetics (“e.g.”).
-    [ 'IS × ( AL | HL )' ],
+    [ 'IS × ( AL | HL )', null, null, 'LB29' ],
     // LB30: Do not break between letters, numbers, or ordinary symbols and opening or closing parentheses.
-    [ '( AL | HL | NU ) × ( OP - eastasian )' ],
-    [ '( CP - eastasian ) × ( AL | HL | NU )' ],
+    [ '( AL | HL | NU ) × ( OP - eastasian )', null, null, 'LB30' ],
+    [ '( CP - eastasian ) × ( AL | HL | NU )', null, null, 'LB30' ],
     // LB30a: Break between two regional indicator symbols if and only if there are an even number of regional indicators preceding the position of the break.
-    [ '[ sot * [ RI RI ] RI ] × RI' ],
-    [ '[ ^ RI * [ RI RI ] RI ] × RI' ],
+    [ '[ sot * [ RI RI ] RI ] × RI', null, null, 'LB30a' ],
+    [ '[ ^ RI * [ RI RI ] RI ] × RI', null, null, 'LB30a' ],
     // LB30b: Do not break between an emoji base (or potential emoji) and an emoji modifier.
-    [ 'EB × EM' ],
-    [ '( extpict & gc(Cn) ) × EM' ],
+    [ 'EB × EM', null, null, 'LB30b' ],
+    [ '( extpict & gc(Cn) ) × EM', null, null, 'LB30b' ],
     // LB31: Break everywhere else.
-    [ 'any ÷ any'],
+    [ 'any ÷ any', null, null, 'LB31' ],
 ]
 
 
+/**
+ * Line breaking classes defined in the Unicode Line Breaking Algorithm
+ * (HH is defined from v17.0)
+ */
+const lineBreakingClasses = Object.freeze([
+    'AI', 'AK', 'AL', 'AP', 'AS', 'B2', 'BA', 'BB', 'BK', 'CB', 'CJ', 'CL', 'CM', 'CP',
+    'CR', 'EB', 'EM', 'EX', 'GL', 'H2', 'H3', 'HH', 'HL', 'HY', 'ID', 'IN', 'IS', 'JL',
+    'JT', 'JV', 'LF', 'NL', 'NS', 'NU', 'OP', 'PO', 'PR', 'QU', 'RI', 'SA', 'SG', 'SP',
+    'SY', 'VF', 'VI', 'WJ', 'XX', 'ZW', 'ZWJ',
+])
+
+
 export {
     lineBreakingRulesV17 as default,
-    lineBreakingRulesV16
+    lineBreakingRulesV16,
+    lineBreakingClasses
 }
@@ -0,0 +1,194 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { BreakType } from './breaktypes.mjs'
+import { isInsideSurrogatePair } from './surrogates.mjs'
+
+const lineBreak = BreakType.MANDATORY|BreakType.ALLOWED
+
+/**
+ * Finds the break opportunities of a text received in chunks, using the
+ * LineBreakingChecker lbc (whose text is replaced).
+ * push(chunk) returns the segments that are final, i.e. whose break can't be changed
+ * by the text that follows, and flush() the remaining ones at the end of the text.
+ * The segments are the same returned by the iterator of lbc for the whole text,
+ * { index, breakType, text } (and hyphen, at the HYPHENATED breaks), with the indices in the whole text
+ * (in the unit of lbc, see indexUnit).
+ * Only the context that the rules need to read before the next position is analyzed again
+ * when a chunk is pushed, so the time is linear in the length of the text (unless the context
+ * itself is long, e.g. a long run of spaces or a whole word to hyphenate); the text of the
+ * segment not yet returned that precedes the context is kept apart.
+ */
+export class StreamingSegmenter {
+    #lbc
+    // the kept text, from the index offset of the whole text (in the unit of lbc)
+    #buffer = ''
+    #offset = 0
+    // the text of the current segment before the kept text
+    #pending = ''
+    // the next position to check and the start of the current segment, UTF-16 indices in the kept text
+    #next = 0
+    #segmentStart = 0
+
+    constructor(lbc) {
+        this.#lbc = lbc
+    }
+
+    push(chunk) {
+        if (!chunk) {
+            return []
+        }
+        this.#buffer += chunk
+        this.#lbc.setText(this.#buffer)
+        const segments = this.#segments(false)
+        // keep only the context of the next position to analyze
+        const start = this.#lbc.toUTF16Index(this.#lbc.contextStart(this.#lbc.fromUTF16Index(this.#next)))
+        if (start > 0) {
+            if (start > this.#segmentStart) {
+                this.#pending += this.#buffer.slice(this.#segmentStart, start)
+                this.#segmentStart = start
+            }
+            this.#offset += this.#lbc.fromUTF16Index(start)
+            this.#buffer = this.#buffer.slice(start)
+            this.#next -= start
+            this.#segmentStart -= start
+        }
+        return segments
+    }
+
+    flush() {
+        this.#lbc.setText(this.#buffer)
+        const segments = this.#segments(true)
+        this.#buffer = ''
+        this.#offset = 0
+        this.#pending = ''
+        this.#next = 0
+        this.#segmentStart = 0
+        return segments
+    }
+
+    #segments(end) {
+        const segments = []
+        const lbc = this.#lbc
+        for (; this.#next <= this.#buffer.length; this.#next++) {
+            // the positions inside the surrogate pairs are never break opportunities
+            if (isInsideSurrogatePair(this.#buffer, this.#next)) {
+                continue
+            }
+            const next = lbc.fromUTF16Index(this.#next)
+            // the following context must be complete, and not include the end of the text
+            if (!end && lbc.toUTF16Index(lbc.contextEnd(next)) >= this.#buffer.length) {
+                break
+            }
+            const breakType = lbc.isPosLineBreaking(next)
+            if ((breakType & lineBreak) !== 0) {
+                const segment = {
+                    index: this.#offset + next,
+                    breakType: breakType,
+                    text: this.#pending + this.#buffer.slice(this.#segmentStart, this.#next),
+                }
+                if (breakType & BreakType.HYPHENATED) {
+                    segment.hyphen = lbc.hyphenChar
+                }
+                segments.push(segment)
+                this.#pending = ''
+                this.#segmentStart = this.#next
+            }
+        }
+        return segments
+    }
+}
+
+/**
+ * Yields the segments of the text made of the chunks, an iterable or async iterable
+ * of strings (e.g. a Node readable stream with an encoding): see StreamingSegmenter.
+ */
+export async function* segmentChunks(lbc, chunks) {
+    const segmenter = new StreamingSegmenter(lbc)
+    for await (const chunk of chunks) {
+        yield* segmenter.push(chunk)
+    }
+    yield* segmenter.flush()
+}
+
+/**
+ * Returns a TransformStream that transforms chunks of text into the segments
+ * between their break opportunities: see StreamingSegmenter.
+ * In NodeJS, see also makeSegmentsNodeTransform.
+ */
+export function makeSegmentsTransformStream(lbc) {
+    const segmenter = new StreamingSegmenter(lbc)
+    return new TransformStream({
+        transform(chunk, controller) {
+            for (const segment of segmenter.push(chunk)) {
+                controller.enqueue(segment)
+            }
+        },
+        flush(controller) {
+            for (const segment of segmenter.flush()) {
+                controller.enqueue(segment)
+            }
+        },
+    })
+}
+
+/**
+ * Returns a stream.Transform of NodeJS that transforms chunks of text into the segments
+ * between their break opportunities (in object mode): see StreamingSegmenter.
+ * The chunks written as Buffers are decoded as UTF-8 (also when a character is split
+ * between two chunks), e.g. fs.createReadStream('book.txt').pipe(await makeSegmentsNodeTransform(lbc))
+ */
+export async function makeSegmentsNodeTransform(lbc) {
+    // imported only in NodeJS, where it's needed
+    const streamModule = 'node:stream'
+    const stringDecoderModule = 'node:string_decoder'
+    const { Transform } = await import(/* @vite-ignore */streamModule)
+    const { StringDecoder } = await import(/* @vite-ignore */stringDecoderModule)
+    const segmenter = new StreamingSegmenter(lbc)
+    const decoder = new StringDecoder('utf8')
+    return new Transform({
+        decodeStrings: false,
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            try {
+                const text = typeof chunk === 'string' ? chunk : decoder.write(chunk)
+                for (const segment of segmenter.push(text)) {
+                    this.push(segment)
+                }
+                callback()
+            }
+            catch (e) {
+                callback(e)
+            }
+        },
+        flush(callback) {
+            try {
+                for (const segment of segmenter.push(decoder.end())) {
+                    this.push(segment)
+                }
+                for (const segment of segmenter.flush()) {
+                    this.push(segment)
+                }
+                callback()
+            }
+            catch (e) {
+                callback(e)
+            }
+        },
+    })
+}
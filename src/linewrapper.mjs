@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { BreakType } from './breaktypes.mjs'
+
+// spaces (SP) and hard line breaks (BK, CR, LF, NL) at the end of a line
+// don't count in its width
+const trailingWhitespace = /[ \u000A-\u000D\u0085\u2028\u2029]+$/
+// a soft hyphen at the end of a line is rendered as the hyphen of the break
+const softHyphen = /\u00AD$/
+
+// weight of the squared excess width of a line that can't be broken any further,
+// in the minimum raggedness strategy
+const overflowWeight = 1e6
+
+export function measureCodeUnits(str) {
+    return str.length
+}
+
+/**
+ * Splits the text of the LineBreakingChecker lbc in lines no wider than
+ * options.width, breaking them only where the line breaking algorithm allows it
+ * and always where it's mandatory.
+ *
+ * Options:
+ * - width: required, the maximum width of a line
+ * - measure: optional, a function that returns the width of a string
+ *      (default: the number of UTF-16 code units)
+ * - strategy: optional, 'greedy' (default) puts as much text as possible in every line,
+ *      'optimal' minimizes the sum of the squares of the space left at the end of
+ *      every line but the last of each paragraph
+ *
+ * A segment of text that doesn't fit in a line by itself is put in a line of its own.
+ * Returns an array of lines, each one an object with the properties:
+ * start, end: the indices of the line in the text (end included the trailing whitespace)
+ * text: the text of the line, without trailing whitespace (and ending with the hyphen of the break,
+ *      if it's HYPHENATED, in place of the soft hyphen)
+ * width: the width of the text of the line
+ * breakType: the type of the break at the end of the line
+ */
+export function wrap(lbc, text, { width, measure = measureCodeUnits, strategy = 'greedy' } = {}) {
+    if (typeof width !== 'number' || !(width > 0)) {
+        throw RangeError('The width of the lines must be a positive number')
+    }
+    let breakLines
+    switch (strategy) {
+        case 'greedy':
+            breakLines = breakLinesGreedy
+            break
+        case 'optimal':
+            breakLines = breakLinesOptimal
+            break
+        default:
+            throw Error('Invalid wrap strategy: ' + strategy)
+    }
+    lbc.setText(text)
+    // the indices of the hyphenated breaks, with the hyphens rendered at the end of the lines
+    const hyphens = new Map
+    const renderLine = (s, e) => {
+        const hyphen = hyphens.get(e)
+        const line = text.slice(lbc.toUTF16Index(s), lbc.toUTF16Index(e))
+        return hyphen === undefined
+            ? line.replace(trailingWhitespace, '')
+            : line.replace(softHyphen, '') + hyphen
+    }
+    const lines = []
+    let paragraph = []
+    let start = 0
+    for (const { index, breakType, hyphen } of lbc) {
+        paragraph.push({ index, breakType })
+        if (hyphen !== undefined) {
+            hyphens.set(index, hyphen)
+        }
+        if (breakType === BreakType.MANDATORY) {
+            const lineWidth = (s, e) => measure(renderLine(s, e))
+            for (const [s, b] of breakLines(start, paragraph, lineWidth, width)) {
+                const lineText = renderLine(s, b.index)
+                lines.push({
+                    start: s,
+                    end: b.index,
+                    text: lineText,
+                    width: measure(lineText),
+                    breakType: b.breakType,
+                })
+            }
+            start = paragraph[paragraph.length - 1].index
+            paragraph = []
+        }
+    }
+    return lines
+}
+
+function breakLinesGreedy(start, breaks, lineWidth, width) {
+    const lines = []
+    let lineStart = start
+    let lastFit = null
+    for (const b of breaks) {
+        if (lastFit !== null && lineWidth(lineStart, b.index) > width) {
+            lines.push([lineStart, lastFit])
+            lineStart = lastFit.index
+        }
+        lastFit = b
+    }
+    lines.push([lineStart, lastFit])
+    return lines
+}
+
+function breakLinesOptimal(start, breaks, lineWidth, width) {
+    // costs[j] is the minimum cost of the lines up to the break j,
+    // where 0 is the start of the paragraph and j > 0 is breaks[j - 1]
+    const positions = [start, ...breaks.map(b => b.index)]
+    const costs = [0]
+    const prevs = [null]
+    const last = positions.length - 1
+    for (let j = 1; j <= last; j++) {
+        costs[j] = Infinity
+        for (let i = j - 1; i >= 0; i--) {
+            const w = lineWidth(positions[i], positions[j])
+            let cost
+            if (w > width) {
+                if (i < j - 1) {
+                    // wider lines can only be found going further back
+                    break
+                }
+                cost = (w - width) ** 2 * overflowWeight
+            }
+            else {
+                cost = j === last ? 0 : (width - w) ** 2
+            }
+            if (costs[i] + cost < costs[j]) {
+                costs[j] = costs[i] + cost
+                prevs[j] = i
+            }
+        }
+    }
+    const lines = []
+    for (let j = last; j > 0; j = prevs[j]) {
+        lines.push([positions[prevs[j]], breaks[j - 1]])
+    }
+    return lines.reverse()
+}
@@ -0,0 +1,124 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { checkCssValues, insertRulesBefore, resolveClass } from './tailorings.mjs'
+
+/**
+ * Tailorings of the line breaking algorithm for the languages whose conventions differ
+ * from the default ones, registered by locale (a BCP 47 language tag, e.g. 'fr' or 'zh-Hant').
+ * A tailoring is an object with the optional properties:
+ * - criteria: a function (cls, gc, codePoint, eastAsianWidth, eastAsian) that returns the class to assign
+ *      to a character, or undefined to keep the one assigned by the default (or custom) criteria
+ * - rules: the rules to add, as an object whose keys are the labels of the rules
+ *      before which they're added (e.g. { LB18: [[ 'SP × any', null, null, 'xx' ]] })
+ * - lineBreak, wordBreak: the default values of the CSS properties line-break and word-break
+ *      (see tailorings.mjs), used when they aren't given
+ */
+
+const localeTailorings = new Map
+
+/**
+ * Registers the tailoring of locale, replacing the one already registered, if any.
+ */
+export function registerLocaleTailoring(locale, { criteria = null, rules = {}, lineBreak, wordBreak } = {}) {
+    if (criteria !== null && typeof criteria !== 'function') {
+        throw TypeError('The criteria of a locale tailoring must be a function')
+    }
+    checkCssValues(lineBreak, wordBreak)
+    localeTailorings.set(canonicalLocale(locale), Object.freeze({ criteria, rules, lineBreak, wordBreak }))
+}
+
+/**
+ * Returns the tailoring registered for the most specific tag that matches locale
+ * (e.g. for 'zh-Hant-TW': zh-Hant-TW, zh-Hant or zh), or null.
+ */
+export function getLocaleTailoring(locale) {
+    const subtags = canonicalLocale(locale).split('-')
+    for (let n = subtags.length; n > 0; n--) {
+        const tailoring = localeTailorings.get(subtags.slice(0, n).join('-'))
+        if (tailoring) {
+            return tailoring
+        }
+    }
+    return null
+}
+
+/**
+ * Returns the locales of the registered tailorings.
+ */
+export function registeredLocales() {
+    return [...localeTailorings.keys()]
+}
+
+/**
+ * Applies the tailoring of locale (if any) to the options rules, criteria, lineBreak
+ * and wordBreak of makeLBC, returning the tailored ones.
+ */
+export function applyLocaleTailoring(locale, { rules, criteria, lineBreak, wordBreak }) {
+    const tailoring = getLocaleTailoring(locale)
+    if (!tailoring) {
+        return { rules, criteria, lineBreak, wordBreak }
+    }
+    let tailoredRules = rules
+    for (const [label, newRules] of Object.entries(tailoring.rules)) {
+        tailoredRules = insertRulesBefore(tailoredRules, label, newRules)
+    }
+    let tailoredCriteria = criteria
+    if (tailoring.criteria) {
+        const resolve = criteria ?? resolveClass
+        tailoredCriteria = (cls, gc, codePoint, eastAsianWidth, eastAsian) =>
+            tailoring.criteria(cls, gc, codePoint, eastAsianWidth, eastAsian)
+                ?? resolve(cls, gc, codePoint, eastAsianWidth, eastAsian)
+    }
+    return {
+        rules: tailoredRules,
+        criteria: tailoredCriteria,
+        lineBreak: lineBreak ?? tailoring.lineBreak,
+        wordBreak: wordBreak ?? tailoring.wordBreak,
+    }
+}
+
+function canonicalLocale(locale) {
+    // throws a RangeError if locale isn't a valid language tag
+    return Intl.getCanonicalLocales(locale)[0]
+}
+
+// French: no breaks after an opening guillemet and the (thin) space that follows it
+registerLocaleTailoring('fr', {
+    rules: {
+        LB18: [
+            [ '[ ( \\u00AB | \\u2039 ) ( SP | \\u2009 ) ] × any', null, null, 'fr' ],
+        ],
+    },
+})
+
+// Japanese: the small kana and the prolonged sound mark (CJ) can't start a line (kinsoku shori),
+// as with the default resolution of the classes, but also when other criteria are given
+registerLocaleTailoring('ja', {
+    criteria: cls => cls === 'CJ' ? 'NS' : undefined,
+})
+
+// Chinese: the characters of class CJ are ideographs like the others
+registerLocaleTailoring('zh', {
+    criteria: cls => cls === 'CJ' ? 'ID' : undefined,
+})
+
+// Korean: the words are separated by spaces, and aren't broken between their syllables
+registerLocaleTailoring('ko', {
+    wordBreak: 'keep-all',
+})
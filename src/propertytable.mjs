@@ -0,0 +1,176 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+const maxCodePoint = 0x10ffff
+const defaultShift = 7
+
+/**
+ * A two-stage table that maps every code point to a property value.
+ * The code points are split in blocks of 2 ** shift code points, and the identical
+ * blocks are stored only once: the index (first stage) maps every block of code points
+ * to a block of the data (second stage), that contains the indices of the values.
+ * The values are interned, and the index 0 is reserved to the code points without a value.
+ *
+ * In the serialized format (see toJSON) the index and the data are run-length encoded
+ * as lists of [value, count] pairs.
+ */
+export class PropertyTable {
+    #values
+    #index
+    #data
+    #shift
+    #mask
+
+    constructor(values, index, data, shift = defaultShift) {
+        this.#values = values
+        this.#index = index
+        this.#data = data
+        this.#shift = shift
+        this.#mask = (1 << shift) - 1
+    }
+
+    get values() {
+        return this.#values
+    }
+
+    get(codePoint) {
+        if (!(codePoint >= 0 && codePoint <= maxCodePoint)) {
+            return undefined
+        }
+        const block = this.#index[codePoint >> this.#shift]
+        return this.#values[this.#data[(block << this.#shift) + (codePoint & this.#mask)]]
+    }
+
+    /**
+     * Builds a table from a list of ranges, each one an array [value, start, stop]
+     * (stop excluded, or start + 1 if undefined).
+     * The values are compared with the function key (by default, strictly), so that
+     * equivalent arrays or objects can be interned.
+     */
+    static fromRanges(ranges, { key = v => v, shift = defaultShift } = {}) {
+        const values = [undefined]
+        const valueIndices = new Map
+        const valueIndex = v => {
+            const k = key(v)
+            if (!valueIndices.has(k)) {
+                valueIndices.set(k, values.length)
+                values.push(v)
+            }
+            return valueIndices.get(k)
+        }
+        const codePoints = new Uint16Array(maxCodePoint + 1)
+        for (let [value, start, stop] of ranges) {
+            if (stop === undefined) { stop = start + 1 }
+            codePoints.fill(valueIndex(value), start, stop)
+        }
+        const blockSize = 1 << shift
+        const index = new Uint16Array((maxCodePoint + 1) >> shift)
+        const blocks = new Map
+        const data = []
+        for (let b = 0; b < index.length; b++) {
+            const block = codePoints.subarray(b * blockSize, (b + 1) * blockSize)
+            // most of the blocks have a single value
+            const k = block.every(v => v === block[0]) ? block[0] : block.join()
+            if (!blocks.has(k)) {
+                blocks.set(k, blocks.size)
+                data.push(...block)
+            }
+            index[b] = blocks.get(k)
+        }
+        const DataArray = values.length > 256 ? Uint16Array : Uint8Array
+        return new PropertyTable(values, index, DataArray.from(data), shift)
+    }
+
+    static fromJSON({ values, shift, index, data }) {
+        const DataArray = values.length > 256 ? Uint16Array : Uint8Array
+        return new PropertyTable(
+            values.map(v => v ?? undefined),
+            decodeRuns(index, Uint16Array),
+            decodeRuns(data, DataArray),
+            shift
+        )
+    }
+
+    toJSON() {
+        return {
+            format: 'trie',
+            shift: this.#shift,
+            values: this.#values,
+            index: encodeRuns(this.#index),
+            data: encodeRuns(this.#data),
+        }
+    }
+}
+
+export function isPropertyTableJSON(obj) {
+    return obj?.format === 'trie'
+}
+
+/**
+ * Makes the table of the pairs [line breaking class, general category] from a data file,
+ * either a serialized PropertyTable or the lists of code point ranges of every class and
+ * general category of the previous format, e.g. { "AL": { "Lu": [[65, 91], ...], ... }, ... }
+ */
+export function lineBreakTableFromJSON(data) {
+    if (isPropertyTableJSON(data)) {
+        return PropertyTable.fromJSON(data)
+    }
+    const ranges = []
+    for (const cls in data) {
+        for (const gc in data[cls]) {
+            for (const [b, e] of data[cls][gc]) {
+                ranges.push([[cls, gc], b, e])
+            }
+        }
+    }
+    return PropertyTable.fromRanges(ranges, { key: v => v.join() })
+}
+
+const extendedPictographicRegex = /\p{Extended_Pictographic}/u
+
+/**
+ * The Extended_Pictographic property of the JavaScript engine, with the interface of a
+ * PropertyTable (true or undefined), for the Unicode data without it: its version is
+ * the Unicode version of the engine (process.versions.unicode in NodeJS), not the one of the data.
+ */
+export const engineExtendedPictographic = Object.freeze({
+    get: codePoint => extendedPictographicRegex.test(String.fromCodePoint(codePoint)) || undefined,
+})
+
+function encodeRuns(array) {
+    const runs = []
+    for (let i = 0; i < array.length; ) {
+        let j = i + 1
+        while (j < array.length && array[j] === array[i]) j++
+        runs.push(array[i], j - i)
+        i = j
+    }
+    return runs
+}
+
+function decodeRuns(runs, TypedArray) {
+    let length = 0
+    for (let i = 1; i < runs.length; i += 2) length += runs[i]
+    const array = new TypedArray(length)
+    let offset = 0
+    for (let i = 0; i < runs.length; i += 2) {
+        array.fill(runs[i], offset, offset + runs[i + 1])
+        offset += runs[i + 1]
+    }
+    return array
+}
@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Resolves the path of a data file bundled with the package (e.g. '../resources/Unicode-17.0.0.json').
+ */
+export function resolveResourceUrl(path) {
+    // resolving the url from the location of this module (instead of the location
+    // of the page or of the working directory) works also when the package
+    // is installed or bundled in another directory
+    return new URL(path, import.meta.url).href
+}
+
+/**
+ * Loads a json data file from its url, also from a file: url in NodeJS.
+ */
+export async function loadJson(url) {
+    if (url.startsWith('file:')) {
+        // NodeJS does not support fetch of local files (and the bundlers drop
+        // the import attributes needed to import them as modules)
+        const fsModule = 'node:fs/promises'
+        const fs = await import(/* @vite-ignore */fsModule)
+        return JSON.parse(await fs.readFile(new URL(url), { encoding: 'utf8' }))
+    }
+    try {
+        const res = await fetch(url)
+        return await res.json()
+    }
+    catch (e) {
+        // NodeJS does not support fetch of local files
+        return (await import(/* @vite-ignore */url, { with: { type: 'json' }})).default
+    }
+}
+
+// the data bundles already loaded, by url
+const dataBundles = new Map
+
+/**
+ * Loads a Unicode data bundle generated by lbclassesTxt2Json.js --bundle, i.e. an object
+ * with the property tables of a Unicode version:
+ * { version, lineBreak, eastAsianChars, eastAsianWidth, extendedPictographic,
+ *   graphemeBreakProperty, wordBreakProperty, sentenceBreakProperty }
+ * of which only version and lineBreak are always there, or another data file of the package.
+ * Every file is loaded only once, so that its tables can be used as keys of the data.
+ */
+export async function loadDataBundle(url) {
+    if (!dataBundles.has(url)) {
+        dataBundles.set(url, loadJson(url))
+    }
+    return dataBundles.get(url)
+}
@@ -0,0 +1,215 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Compiles the rules parsed by RuleParser into matcher functions, that evaluate
+ * their tokens like LineBreakingChecker does, but without interpreting the token trees
+ * at every position.
+ * env is an object with the functions that check the text at an index:
+ * base(content, i), class(cls, i), gc(gc, i), codepoint(cp, i), extpict(i), eastasian(i),
+ * and length(), the number of code points of the text.
+ *
+ * The rules are split in stages, each one ending with a rule with a side effect,
+ * that can change the classes seen by the following rules.
+ * In every stage, the rules are indexed by the classes that their first tokens
+ * before and after the position can match (see candidateRules), so that for a pair
+ * of classes only the rules that can match it are evaluated.
+ */
+export function compileRules(parsedRules, env) {
+    const stages = []
+    let stage = newStage()
+    for (const [index, rule] of parsedRules.entries()) {
+        stage.rules.push({
+            index: index,
+            rule: rule,
+            before: compileToken(rule.before, -1, env, null, null),
+            after: compileToken(rule.after, 1, env, null, null),
+            beforeClasses: firstClasses(rule.before),
+            afterClasses: firstClasses(rule.after),
+        })
+        if (rule.side_effect) {
+            stage.sideEffectRule = rule
+            stages.push(stage)
+            stage = newStage()
+        }
+    }
+    if (stage.rules.length) {
+        stages.push(stage)
+    }
+    return stages
+}
+
+function newStage() {
+    return { rules: [], sideEffectRule: null, candidates: new Map }
+}
+
+/**
+ * Returns the compiled rules of the stage that can match the position between
+ * a code point of class before and one of class after (before is 'sot' at the
+ * start of the text, after is 'eot' at the end).
+ */
+export function candidateRules(stage, before, after) {
+    const key = before + ' ' + after
+    let candidates = stage.candidates.get(key)
+    if (!candidates) {
+        candidates = stage.rules.filter(r => canMatch(r.beforeClasses, before) && canMatch(r.afterClasses, after))
+        stage.candidates.set(key, candidates)
+    }
+    return candidates
+}
+
+function canMatch(classes, cls) {
+    return classes === null || classes.has(cls)
+}
+
+// the set of the classes (or sot and eot) that the first token of a part of a rule can match,
+// or null if it can match any code point
+function firstClasses(token) {
+    switch (token.type) {
+        case 'class':
+            return new Set([token.content])
+        case 'base':
+            return token.content === 'any' ? null : new Set([token.content])
+        case 'sequence':
+            return token.content.length ? firstClasses(token.content[0]) : null
+        case 'set': {
+            const classes = new Set
+            for (const t of token.content) {
+                const tokenClasses = t.type === 'modifier' ? null : firstClasses(t)
+                if (tokenClasses === null) {
+                    return null
+                }
+                tokenClasses.forEach(cls => classes.add(cls))
+            }
+            return classes
+        }
+        default:
+            return null
+    }
+}
+
+// returns a function (i, prev_result) => { result, index, next_token_index }, where the
+// next_token_index is returned only by the modifiers, like LineBreakingChecker.#consumeToken;
+// parent and tokenIndex are the set or sequence that contains the token and its index
+function compileToken(token, step, env, parent, tokenIndex) {
+    const content = token.content
+    switch (token.type) {
+        case 'base':
+            if (!['any', 'sot', 'eot'].includes(content)) {
+                throw Error('Invalid rule base value: ' + content)
+            }
+            return i => ({ result: env.base(content, i), index: i })
+        case 'class':
+            return i => ({ result: env.class(content, i), index: i })
+        case 'gc':
+            return i => ({ result: env.gc(content, i), index: i })
+        case 'codepoint':
+            return i => ({ result: env.codepoint(content, i), index: i })
+        case 'extpict':
+            return i => ({ result: env.extpict(i), index: i })
+        case 'eastasian':
+            return i => ({ result: env.eastasian(i), index: i })
+        case 'modifier':
+            return compileModifier(token, step, env, parent, tokenIndex)
+        case 'set': {
+            const items = content.map((t, k) => compileToken(t, step, env, token, k))
+            // the item after which a true result ends the set
+            const ends = content.map((t, k) => content[k + 1]?.type !== 'modifier' || ['*', '^'].includes(content[k + 1]?.content))
+            return i => {
+                let result = { result: undefined, index: i }
+                let k = 0
+                while (k < items.length) {
+                    result = items[k](result.index, result.result)
+                    const next = result.next_token_index ?? k + 1
+                    if (result.result === true && (next >= items.length || ends[next - 1])) {
+                        return { result: true, index: i }
+                    }
+                    k = next
+                }
+                return { result: false, index: i }
+            }
+        }
+        case 'sequence': {
+            const items = content.map((t, k) => compileToken(t, step, env, token, k))
+            const steps = content.map(t => t.content !== '*' ? step : 0)
+            return i => {
+                let result = { result: undefined, index: i }
+                let k = 0
+                while (k < items.length) {
+                    result = items[k](result.index, result.result)
+                    if (result.result === false) {
+                        return { result: false, index: i }
+                    }
+                    result.index += steps[k]
+                    k = result.next_token_index ?? k + 1
+                }
+                return { result: true, index: result.index }
+            }
+        }
+        default:
+            throw new Error('Invalid token type: ' + token.type)
+    }
+}
+
+function compileModifier(token, step, env, parent, tokenIndex) {
+    // the modifiers apply to the next token of their set or sequence
+    const target = compileToken(parent.content[tokenIndex + 1], step, env, parent, tokenIndex + 1)
+    const next = tokenIndex + 2
+    switch (token.content) {
+        case '^':
+            return (i, prev) => {
+                const result = target(i, prev)
+                return { result: !result.result, index: result.index, next_token_index: result.next_token_index ?? next }
+            }
+        case '&':
+            return (i, prev) => {
+                if (prev === false) {
+                    return { result: false, index: i, next_token_index: next }
+                }
+                const result = target(i, prev)
+                return { result: result.result, index: result.index, next_token_index: result.next_token_index ?? next }
+            }
+        case '-':
+            return (i, prev) => {
+                if (prev === false) {
+                    return { result: false, index: i, next_token_index: next }
+                }
+                const result = target(i, prev)
+                return { result: !result.result, index: result.index, next_token_index: result.next_token_index ?? next }
+            }
+        case '*': {
+            // a sequence returns the index after its last code point, the other tokens
+            // the index of the code point they checked
+            const advance = parent.content[tokenIndex + 1].type === 'sequence' ? 0 : step
+            return (i, prev) => {
+                let result = target(i, prev)
+                while (result.result) {
+                    const index = result.index + advance
+                    if (index < 0 || index >= env.length()) {
+                        // the repetition reached the start or the end of the text
+                        return { result: true, index: index, next_token_index: result.next_token_index ?? next }
+                    }
+                    result = target(index, result.result)
+                }
+                return { result: true, index: result.index, next_token_index: result.next_token_index ?? next }
+            }
+        }
+        default:
+            throw Error('Invalid modifier value: ' + token.content)
+    }
+}
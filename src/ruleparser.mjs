@@ -17,6 +17,13 @@
 
 
 import { BreakType } from './breaktypes.mjs'
+import { lineBreakingClasses } from './linebreakingrules.mjs'
+
+const generalCategories = [
+    'Lu', 'Ll', 'Lt', 'Lm', 'Lo', 'L&', 'Mn', 'Mc', 'Me', 'Nd', 'Nl', 'No',
+    'Pc', 'Pd', 'Ps', 'Pe', 'Pi', 'Pf', 'Po', 'Sm', 'Sc', 'Sk', 'So',
+    'Zs', 'Zl', 'Zp', 'Cc', 'Cf', 'Cs', 'Co', 'Cn',
+]
 
 export class RuleParser {
     reverseBefore
@@ -62,6 +69,7 @@ export class RuleParser {
         const str = rule[0]
         const side_effect = rule[1]  // optional
         const name = rule[2]  // optional
+        const label = rule[3]  // optional
         const ruleObj = {
             before: {
                 type: 'sequence',
@@ -72,6 +80,8 @@ export class RuleParser {
                 content: [],
             },
             name: name,
+            label: label,
+            source: str,
             side_effect: side_effect,
             result: undefined
         }
@@ -121,7 +131,7 @@ export class RuleParser {
             case token.match(/gc\([A-Za-z&]{2}\)/)?.[0]:
                 context.push({ type: 'gc', content: token.slice(3, 5) })
                 break
-            case token.match(/[A-Z0-9]{2,3}/)?.[0]:
+            case token.match(/^[A-Z0-9][A-Za-z0-9_]*$/)?.[0]:
                 context.push({ type: 'class', content: token })
                 break
             case '^':
@@ -168,3 +178,227 @@ export class RuleParser {
         return [newContext ?? context, i + 1]
     }
 }
+
+/**
+ * Returns the maximum number of code points that the parsed rules can read
+ * before and after a position, counting once the tokens repeated by the * modifier,
+ * and the set of the line breaking classes that the repeated tokens can match
+ * (null if they can match any code point, e.g. because they are negated or use
+ * general categories), i.e. the classes whose runs can make the context longer.
+ */
+export function ruleContext(parsedRules) {
+    const context = { before: 0, after: 0, repeatedClasses: new Set }
+    for (const rule of parsedRules) {
+        context.before = Math.max(context.before, contextLength(rule.before, context))
+        context.after = Math.max(context.after, contextLength(rule.after, context))
+    }
+    return context
+}
+
+function contextLength(token, context) {
+    switch (token.type) {
+        case 'modifier':
+            return 0
+        case 'set':
+            return Math.max(0, ...token.content.map(t => contextLength(t, context)))
+        case 'sequence': {
+            let length = 0
+            for (const [i, t] of token.content.entries()) {
+                if (t.type === 'modifier' && t.content === '*' && token.content[i + 1]) {
+                    addRepeatedClasses(token.content[i + 1], context)
+                }
+                length += contextLength(t, context)
+            }
+            return length
+        }
+        default:
+            return 1
+    }
+}
+
+function addRepeatedClasses(token, context) {
+    if (context.repeatedClasses === null) {
+        return
+    }
+    switch (token.type) {
+        case 'class':
+            context.repeatedClasses.add(token.content)
+            break
+        case 'set':
+        case 'sequence':
+            for (const t of token.content) {
+                addRepeatedClasses(t, context)
+            }
+            break
+        default:
+            // modifiers, general categories, code points...
+            context.repeatedClasses = null
+    }
+}
+
+/**
+ * Checks the syntax of the rules (see linebreakingrules.mjs) and returns the list
+ * of the problems found, each one an object with the properties:
+ * rule: the index of the rule in rules
+ * label: the label of the rule, if any
+ * position: the index of the token in the rule string (tokens are separated by spaces),
+ *      or null if the problem concerns the whole rule
+ * token: the token, or null
+ * message: the description of the problem
+ * Options:
+ * - classes: the valid classes (default: the line breaking classes of the Unicode
+ *      Line Breaking Algorithm), or null to accept any class
+ */
+export function validateRules(rules, { classes = lineBreakingClasses } = {}) {
+    if (!Array.isArray(rules)) {
+        return [{ rule: null, label: null, position: null, token: null, message: 'The rules must be an array' }]
+    }
+    const problems = []
+    for (const [index, rule] of rules.entries()) {
+        for (const [position, token, message] of validateRule(rule, classes)) {
+            const label = Array.isArray(rule) && typeof rule[3] === 'string' ? rule[3] : null
+            problems.push({ rule: index, label, position, token, message })
+        }
+    }
+    return problems
+}
+
+export function formatRuleProblem({ rule, label, position, token, message }) {
+    const where = [
+        rule !== null ? `rule ${rule}` + (label ? ` (${label})` : '') : null,
+        position !== null ? `token ${position} "${token}"` : null,
+    ].filter(Boolean).join(', ')
+    return where ? `${where}: ${message}` : message
+}
+
+function validateRule(rule, classes) {
+    if (!Array.isArray(rule) || typeof rule[0] !== 'string') {
+        return [[null, null, 'A rule must be an array whose first element is the rule string']]
+    }
+    const tokens = rule[0].split(/\s+/)
+    const problems = []
+    const problem = (position, message) => problems.push([position, position !== null ? tokens[position] : null, message])
+    if (rule[1] != null && typeof rule[1] !== 'function') {
+        problem(null, 'The side effect must be a function or null')
+    }
+    if (rule[2] != null && typeof rule[2] !== 'string') {
+        problem(null, 'The name must be a string or null')
+    }
+    if (rule[3] != null && typeof rule[3] !== 'string') {
+        problem(null, 'The label must be a string or null')
+    }
+    // the open sets and sequences, and the top level sequence of the current part of the rule
+    const groups = [{ type: null, position: null, items: 0, modifier: null }]
+    let breakPosition = null
+    const addArgument = () => {
+        const group = groups[groups.length - 1]
+        group.items++
+        group.modifier = null
+    }
+    const checkModifier = group => {
+        if (group.modifier !== null) {
+            problem(group.modifier, `The modifier ${tokens[group.modifier]} is not followed by its argument`)
+        }
+    }
+    for (const [position, token] of tokens.entries()) {
+        const group = groups[groups.length - 1]
+        switch (token) {
+            case '×':
+            case '!':
+            case '÷':
+                if (groups.length > 1) {
+                    problem(position, 'Break symbol inside a ' + groupName(group.type))
+                    break
+                }
+                if (breakPosition !== null) {
+                    problem(position, 'More than one break symbol in the rule')
+                    break
+                }
+                checkModifier(group)
+                if (group.items === 0) {
+                    problem(position, 'The break symbol must be preceded by at least one token')
+                }
+                breakPosition = position
+                groups[0] = { type: null, position: null, items: 0, modifier: null }
+                break
+            case 'any':
+            case 'sot':
+            case 'eot':
+            case 'eastasian':
+            case 'extpict':
+                addArgument()
+                break
+            case '^':
+            case '*':
+                group.modifier = position
+                break
+            case '|':
+            case '&':
+            case '-':
+                if (group.type !== '(') {
+                    problem(position, `The binary modifier ${token} can be used only inside sets`)
+                }
+                else if (group.items === 0 || group.modifier !== null) {
+                    problem(position, `The binary modifier ${token} must follow an element of the set`)
+                }
+                group.modifier = position
+                break
+            case '(':
+            case '[':
+                groups.push({ type: token, position, items: 0, modifier: null })
+                break
+            case ')':
+            case ']': {
+                const opening = token === ')' ? '(' : '['
+                if (group.type !== opening) {
+                    problem(position, group.type === null
+                        ? `Unbalanced ${token}, without a matching ${opening}`
+                        : `Unbalanced ${token}, the ${groupName(group.type)} opened at token ${group.position} is not closed`)
+                    break
+                }
+                checkModifier(group)
+                if (group.items === 0) {
+                    problem(position, `Empty ${groupName(group.type)}`)
+                }
+                groups.pop()
+                addArgument()
+                break
+            }
+            default:
+                if (/^\\u[0-9A-Fa-f]{4,6}$/.test(token)) {
+                    if (Number('0x' + token.slice(2)) > 0x10ffff) {
+                        problem(position, 'Invalid code point')
+                    }
+                }
+                else if (/^gc\([A-Za-z&]{2}\)$/.test(token)) {
+                    if (!generalCategories.includes(token.slice(3, 5))) {
+                        problem(position, 'Unknown general category')
+                    }
+                }
+                else if (/^[A-Z0-9][A-Za-z0-9_]*$/.test(token)) {
+                    if (classes && !classes.includes(token)) {
+                        problem(position, 'Unknown class')
+                    }
+                }
+                else {
+                    problem(position, token ? 'Unrecognized token' : 'Empty token (the rule starts or ends with whitespace)')
+                }
+                addArgument()
+        }
+    }
+    for (const group of groups.slice(1).reverse()) {
+        problem(group.position, `The ${groupName(group.type)} is not closed`)
+    }
+    checkModifier(groups[0])
+    if (breakPosition === null) {
+        problem(null, 'Missing break symbol (×, ! or ÷)')
+    }
+    else if (groups[0].items === 0 && groups.length === 1) {
+        problem(breakPosition, 'The break symbol must be followed by at least one token')
+    }
+    return problems
+}
+
+function groupName(type) {
+    return type === '(' ? 'set' : 'sequence'
+}
@@ -0,0 +1,110 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { GapArray } from './gaparray.mjs'
+import { isSurrogatePair } from './surrogates.mjs'
+
+/**
+ * The break opportunities found inside the runs of the characters for which
+ * inRun(codePoint) is true, by findBreaks(run), that returns their indices in the
+ * text of the run: e.g. the breaks between the words of the scripts written without
+ * spaces, or the hyphenation points of the words.
+ * The breaks before the combining marks (for which isMark(codePoint) is true),
+ * inside surrogate pairs and at the edges of the runs are ignored.
+ */
+export class RunBreaks {
+    #inRun
+    #findBreaks
+    #isMark
+    // true at the indices of the breaks in the text
+    #breaks = new GapArray
+
+    constructor(inRun, findBreaks, isMark) {
+        this.#inRun = inRun
+        this.#findBreaks = findBreaks
+        this.#isMark = isMark
+    }
+
+    has(i) {
+        return this.#breaks.get(i) === true
+    }
+
+    setText(text) {
+        this.#breaks = new GapArray(new Array(text.length).fill(false))
+        this.#addBreaks(text, 0, text.length)
+    }
+
+    /**
+     * Updates the breaks after an edit of the text, that replaced the code units
+     * from start to end - delta of the previous text with the ones from start to end
+     * of text: the breaks of the runs around the edit are found again.
+     * Returns the range of the positions whose breaks may have changed, as an object
+     * { start, end } (end excluded).
+     */
+    applyEdit(text, start, end, delta) {
+        const runStart = this.runStart(text, start)
+        const runEnd = this.runEnd(text, end)
+        this.#breaks.replace(runStart, runEnd - delta, new Array(runEnd - runStart).fill(false))
+        this.#addBreaks(text, runStart, runEnd)
+        return { start: runStart, end: runEnd }
+    }
+
+    // the start of the run that ends at the index i of text
+    runStart(text, i) {
+        while (i > 0) {
+            const size = isSurrogatePair(text.charCodeAt(i - 2), text.charCodeAt(i - 1)) ? 2 : 1
+            if (!this.#inRun(text.codePointAt(i - size))) {
+                break
+            }
+            i -= size
+        }
+        return i
+    }
+
+    // the end of the run that starts at the index i of text
+    runEnd(text, i) {
+        while (i < text.length) {
+            const codePoint = text.codePointAt(i)
+            if (!this.#inRun(codePoint)) {
+                break
+            }
+            i += codePoint > 65535 ? 2 : 1
+        }
+        return i
+    }
+
+    // adds the breaks of the runs that start from the index start to end of text
+    #addBreaks(text, start, end) {
+        let i = start
+        while (i < end) {
+            const runEnd = this.runEnd(text, i)
+            if (runEnd === i) {
+                i += text.codePointAt(i) > 65535 ? 2 : 1
+                continue
+            }
+            for (const index of this.#findBreaks(text.slice(i, runEnd))) {
+                const j = i + index
+                if (j > i && j < runEnd && !isSurrogatePair(text.charCodeAt(j - 1), text.charCodeAt(j))
+                        && !this.#isMark(text.codePointAt(j))) {
+                    this.#breaks.set(j, true)
+                }
+            }
+            i = runEnd
+        }
+    }
+}
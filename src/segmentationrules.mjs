@@ -0,0 +1,198 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Text segmentation rules of the Unicode Standard Annex #29, Unicode v16 (they are not
+ * checked against the test files of unicode.org, that need the data of the properties):
+ * grapheme cluster boundaries (https://www.unicode.org/reports/tr29/#Grapheme_Cluster_Boundary_Rules),
+ * word boundaries (https://www.unicode.org/reports/tr29/#Word_Boundary_Rules) and
+ * sentence boundaries (https://www.unicode.org/reports/tr29/#Sentence_Boundary_Rules).
+ *
+ * The rules use the syntax of the line breaking rules (see linebreakingrules.mjs),
+ * with the long names of the values of the properties Grapheme_Cluster_Break, Word_Break
+ * and Sentence_Break as classes (the code points without a value have the class Other):
+ * ÷ is a boundary and × is not a boundary.
+ * The values of Indic_Conjunct_Break used by GB9c are merged into the classes of
+ * Grapheme_Cluster_Break: InCB_Consonant (of class Other), InCB_Linker and InCB_Extend
+ * (of class Extend), while the ZWJ keeps its own class.
+ *
+ * The rules WB4 and SB5 have a side effect, like LB9 in the line breaking rules: it
+ * calls the callback cb with the classes to ignore and the classes that can't absorb them
+ * (besides the start of the text), e.g. cb(['Extend', 'Format', 'ZWJ'], ['CR', 'LF', 'Newline']),
+ * and the following rules see the ignored characters as part of the previous one.
+ * Unlike LB10, the ignored characters that are not absorbed keep their own class.
+ */
+
+// the grapheme cluster rules, for both the versions
+const graphemeClusterRules = [
+    // GB1: Break at the start of text.
+    [ 'sot ÷ any', null, null, 'GB1' ],
+    // GB2: Break at the end of text.
+    [ 'any ÷ eot', null, null, 'GB2' ],
+    // GB3: Do not break between a CR and LF.
+    [ 'CR × LF', null, null, 'GB3' ],
+    // GB4: Otherwise, break after controls.
+    [ '( Control | CR | LF ) ÷ any', null, null, 'GB4' ],
+    // GB5: Otherwise, break before controls.
+    [ 'any ÷ ( Control | CR | LF )', null, null, 'GB5' ],
+    // GB6: Do not break Hangul syllable or other conjoining sequences.
+    [ 'L × ( L | V | LV | LVT )', null, null, 'GB6' ],
+    // GB7
+    [ '( LV | V ) × ( V | T )', null, null, 'GB7' ],
+    // GB8
+    [ '( LVT | T ) × T', null, null, 'GB8' ],
+    // GB9: Do not break before extending characters or ZWJ.
+    [ 'any × ( Extend | InCB_Extend | InCB_Linker | ZWJ )', null, null, 'GB9' ],
+    // GB9a: Do not break before SpacingMarks.
+    [ 'any × SpacingMark', null, null, 'GB9a' ],
+    // GB9b: Do not break after Prepend characters.
+    [ 'Prepend × any', null, null, 'GB9b' ],
+    // GB9c: Do not break within certain combinations with Indic_Conjunct_Break (InCB)=Linker.
+    // \p{InCB=Consonant} [\p{InCB=Extend}\p{InCB=Linker}]* \p{InCB=Linker} [\p{InCB=Extend}\p{InCB=Linker}]* × \p{InCB=Consonant}
+    // (the characters after the last linker are matched first, since the rules don't backtrack)
+    [ '[ InCB_Consonant * ( InCB_Extend | InCB_Linker | ZWJ ) InCB_Linker * ( InCB_Extend | ZWJ ) ] × InCB_Consonant', null, null, 'GB9c' ],
+    // GB11: Do not break within emoji modifier sequences or emoji zwj sequences.
+    [ '[ extpict * ( Extend | InCB_Extend | InCB_Linker ) ZWJ ] × extpict', null, null, 'GB11' ],
+    // GB12 and GB13: Do not break within emoji flag sequences. That is, do not break between
+    // regional indicator (RI) symbols if there is an odd number of RI characters before the break point.
+    [ '[ sot * [ Regional_Indicator Regional_Indicator ] Regional_Indicator ] × Regional_Indicator', null, null, 'GB12' ],
+    [ '[ ^ Regional_Indicator * [ Regional_Indicator Regional_Indicator ] Regional_Indicator ] × Regional_Indicator', null, null, 'GB13' ],
+    // GB999: Otherwise, break everywhere.
+    [ 'any ÷ any', null, null, 'GB999' ],
+]
+
+// AHLetter: ( ALetter | Hebrew_Letter ), MidNumLetQ: ( MidNumLet | Single_Quote )
+const wordRules = [
+    // WB1: Break at the start of text.
+    [ 'sot ÷ any', null, null, 'WB1' ],
+    // WB2: Break at the end of text.
+    [ 'any ÷ eot', null, null, 'WB2' ],
+    // WB3: Do not break within CRLF.
+    [ 'CR × LF', null, null, 'WB3' ],
+    // WB3a: Otherwise break after Newlines.
+    [ '( Newline | CR | LF ) ÷ any', null, null, 'WB3a' ],
+    // WB3b: Otherwise break before Newlines.
+    [ 'any ÷ ( Newline | CR | LF )', null, null, 'WB3b' ],
+    // WB3c: Do not break within emoji zwj sequences.
+    [ 'ZWJ × extpict', null, null, 'WB3c' ],
+    // WB3d: Keep horizontal whitespace together.
+    [ 'WSegSpace × WSegSpace', null, null, 'WB3d' ],
+    // WB4: Ignore Format and Extend characters, except after sot, CR, LF, and Newline.
+    // X (Extend | Format | ZWJ)* → X
+    [ '^ ( sot | CR | LF | Newline ) × ( Extend | Format | ZWJ )', function(cb) { cb(['Extend', 'Format', 'ZWJ'], ['CR', 'LF', 'Newline']) }, 'ignore_sequences', 'WB4' ],
+    // WB5: Do not break between most letters.
+    [ '( ALetter | Hebrew_Letter ) × ( ALetter | Hebrew_Letter )', null, null, 'WB5' ],
+    // WB6: Do not break letters across certain punctuation, such as within “e.g.” or “example.com”.
+    [ '( ALetter | Hebrew_Letter ) × [ ( MidLetter | MidNumLet | Single_Quote ) ( ALetter | Hebrew_Letter ) ]', null, null, 'WB6' ],
+    // WB7
+    [ '[ ( ALetter | Hebrew_Letter ) ( MidLetter | MidNumLet | Single_Quote ) ] × ( ALetter | Hebrew_Letter )', null, null, 'WB7' ],
+    // WB7a
+    [ 'Hebrew_Letter × Single_Quote', null, null, 'WB7a' ],
+    // WB7b
+    [ 'Hebrew_Letter × [ Double_Quote Hebrew_Letter ]', null, null, 'WB7b' ],
+    // WB7c
+    [ '[ Hebrew_Letter Double_Quote ] × Hebrew_Letter', null, null, 'WB7c' ],
+    // WB8: Do not break within sequences of digits, or digits adjacent to letters (“3a”, or “A3”).
+    [ 'Numeric × Numeric', null, null, 'WB8' ],
+    // WB9
+    [ '( ALetter | Hebrew_Letter ) × Numeric', null, null, 'WB9' ],
+    // WB10
+    [ 'Numeric × ( ALetter | Hebrew_Letter )', null, null, 'WB10' ],
+    // WB11: Do not break within sequences, such as “3.2” or “3,456.789”.
+    [ '[ Numeric ( MidNum | MidNumLet | Single_Quote ) ] × Numeric', null, null, 'WB11' ],
+    // WB12
+    [ 'Numeric × [ ( MidNum | MidNumLet | Single_Quote ) Numeric ]', null, null, 'WB12' ],
+    // WB13: Do not break between Katakana.
+    [ 'Katakana × Katakana', null, null, 'WB13' ],
+    // WB13a: Do not break from extenders.
+    [ '( ALetter | Hebrew_Letter | Numeric | Katakana | ExtendNumLet ) × ExtendNumLet', null, null, 'WB13a' ],
+    // WB13b
+    [ 'ExtendNumLet × ( ALetter | Hebrew_Letter | Numeric | Katakana )', null, null, 'WB13b' ],
+    // WB15 and WB16: Do not break within emoji flag sequences. That is, do not break between
+    // regional indicator (RI) symbols if there is an odd number of RI characters before the break point.
+    [ '[ sot * [ Regional_Indicator Regional_Indicator ] Regional_Indicator ] × Regional_Indicator', null, null, 'WB15' ],
+    [ '[ ^ Regional_Indicator * [ Regional_Indicator Regional_Indicator ] Regional_Indicator ] × Regional_Indicator', null, null, 'WB16' ],
+    // WB999: Otherwise, break everywhere (including around ideographs).
+    [ 'any ÷ any', null, null, 'WB999' ],
+]
+
+// ParaSep: ( Sep | CR | LF ), SATerm: ( STerm | ATerm )
+const sentenceRules = [
+    // SB1: Break at the start of text.
+    [ 'sot ÷ any', null, null, 'SB1' ],
+    // SB2: Break at the end of text.
+    [ 'any ÷ eot', null, null, 'SB2' ],
+    // SB3: Do not break within CRLF.
+    [ 'CR × LF', null, null, 'SB3' ],
+    // SB4: Break after paragraph separators.
+    [ '( Sep | CR | LF ) ÷ any', null, null, 'SB4' ],
+    // SB5: Ignore Format and Extend characters, except after sot, ParaSep, and within CRLF.
+    // X (Extend | Format)* → X
+    [ '^ ( sot | Sep | CR | LF ) × ( Extend | Format )', function(cb) { cb(['Extend', 'Format'], ['Sep', 'CR', 'LF']) }, 'ignore_sequences', 'SB5' ],
+    // SB6: Do not break after ambiguous terminators like period, if they are immediately followed
+    // by a number or lowercase letter, if they are between uppercase letters, if the first following
+    // letter (optionally after certain punctuation) is lowercase, or if they are followed by
+    // “continuation” punctuation such as comma, colon, or semicolon.
+    [ 'ATerm × Numeric', null, null, 'SB6' ],
+    // SB7
+    [ '[ ( Upper | Lower ) ATerm ] × Upper', null, null, 'SB7' ],
+    // SB8: ATerm Close* Sp* × ( ¬(OLetter | Upper | Lower | ParaSep | SATerm) )* Lower
+    [ '[ ATerm * Close * Sp ] × [ * ^ ( OLetter | Upper | Lower | Sep | CR | LF | STerm | ATerm ) Lower ]', null, null, 'SB8' ],
+    // SB8a
+    [ '[ ( STerm | ATerm ) * Close * Sp ] × ( SContinue | STerm | ATerm )', null, null, 'SB8a' ],
+    // SB9: Break after sentence terminators, but include closing punctuation, trailing spaces,
+    // and a paragraph separator.
+    [ '[ ( STerm | ATerm ) * Close ] × ( Close | Sp | Sep | CR | LF )', null, null, 'SB9' ],
+    // SB10
+    [ '[ ( STerm | ATerm ) * Close * Sp ] × ( Sp | Sep | CR | LF )', null, null, 'SB10' ],
+    // SB11: SATerm Close* Sp* ParaSep? ÷
+    // (the break after the ParaSep is already found by SB4)
+    [ '[ ( STerm | ATerm ) * Close * Sp ] ÷ any', null, null, 'SB11' ],
+    // SB998: Otherwise, do not break.
+    [ 'any × any', null, null, 'SB998' ],
+]
+
+/**
+ * The classes of the segmentation rules, i.e. the values of the properties
+ * (and the values of Indic_Conjunct_Break merged into Grapheme_Cluster_Break)
+ */
+const graphemeClusterClasses = Object.freeze([
+    'CR', 'Control', 'Extend', 'InCB_Consonant', 'InCB_Extend', 'InCB_Linker', 'L', 'LF', 'LV', 'LVT',
+    'Other', 'Prepend', 'Regional_Indicator', 'SpacingMark', 'T', 'V', 'ZWJ',
+])
+
+const wordClasses = Object.freeze([
+    'ALetter', 'CR', 'Double_Quote', 'Extend', 'ExtendNumLet', 'Format', 'Hebrew_Letter', 'Katakana',
+    'LF', 'MidLetter', 'MidNum', 'MidNumLet', 'Newline', 'Numeric', 'Other', 'Regional_Indicator',
+    'Single_Quote', 'WSegSpace', 'ZWJ',
+])
+
+const sentenceClasses = Object.freeze([
+    'ATerm', 'CR', 'Close', 'Extend', 'Format', 'LF', 'Lower', 'Numeric', 'OLetter', 'Other',
+    'SContinue', 'STerm', 'Sep', 'Sp', 'Upper',
+])
+
+
+export {
+    graphemeClusterRules,
+    wordRules,
+    sentenceRules,
+    graphemeClusterClasses,
+    wordClasses,
+    sentenceClasses,
+}
@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+// the helpers on the UTF-16 code units shared by the modules that index the texts
+// in code units (the code units out of the text, e.g. charCodeAt(-1), are NaN)
+
+export function isHighSurrogate(n) {
+    return n >= 0xD800 && n <= 0xDBFF
+}
+
+export function isLowSurrogate(n) {
+    return n >= 0xDC00 && n <= 0xDFFF
+}
+
+export function isSurrogate(n) {
+    return n >= 0xD800 && n <= 0xDFFF
+}
+
+export function isSurrogatePair(lead, trail) {
+    return isHighSurrogate(lead) && isLowSurrogate(trail)
+}
+
+// true if the UTF-16 index i of text is between the surrogates of a pair
+export function isInsideSurrogatePair(text, i) {
+    return isSurrogatePair(text.charCodeAt(i - 1), text.charCodeAt(i))
+}
@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Tailorings of the line breaking rules that reproduce the values of the CSS properties
+ * line-break and word-break, as defined in https://www.w3.org/TR/css-text-3/#line-break-property
+ * and https://www.w3.org/TR/css-text-3/#word-break-property
+ *
+ * The breaks that CSS allows only for Chinese and Japanese text are always allowed,
+ * since the characters involved are used almost only in these languages.
+ */
+
+export const cssLineBreakValues = Object.freeze(['auto', 'loose', 'normal', 'strict', 'anywhere'])
+export const cssWordBreakValues = Object.freeze(['normal', 'break-all', 'keep-all'])
+
+// CJK hyphen-like characters: breaks before them are allowed by normal and loose
+const cjkHyphens = [0x301C, 0x30A0]
+// iteration marks: breaks before them are allowed by loose
+const iterationMarks = [0x3005, 0x303B, 0x309D, 0x309E, 0x30FD, 0x30FE]
+// centered punctuation marks: breaks before them are allowed by loose
+const centeredPunctuation = [0x30FB, 0xFF1A, 0xFF1B, 0xFF65, 0x203C, 0x2047, 0x2048, 0x2049, 0xFF01, 0xFF1F]
+// letters, numbers and ideographs, between which keep-all forbids breaks
+// (the punctuation marks resolved to ID by loose are excluded)
+const wordClasses = '( AL | HL | NU | H2 | H3 | JL | JV | JT | ID - gc(Po) )'
+
+// the rules kept by line-break: anywhere, that breaks around every character,
+// except inside hard line breaks, combining sequences, Korean syllables and emoji sequences
+const anywhereLabels = ['LB2', 'LB3', 'LB4', 'LB5', 'LB6', 'LB9', 'LB26', 'LB30a', 'LB30b', 'LB31']
+
+/**
+ * The default resolution of the line breaking classes (LB1), used when no
+ * custom criteria are given.
+ */
+export function resolveClass(cls, gc) {
+    switch (cls) {
+        case 'AI':
+        case 'SG':
+        case 'XX':
+            return 'AL'
+        case 'SA':
+            return gc === 'Mn' || gc === 'Mc' ? 'CM' : 'AL'
+        case 'CJ':
+            return 'NS'
+        default:
+            return cls
+    }
+}
+
+/**
+ * Checks the values of the CSS properties, throwing a RangeError if they are invalid.
+ */
+export function checkCssValues(lineBreak, wordBreak) {
+    if (lineBreak !== undefined && !cssLineBreakValues.includes(lineBreak)) {
+        throw RangeError('Invalid line-break value: ' + lineBreak)
+    }
+    if (wordBreak !== undefined && !cssWordBreakValues.includes(wordBreak)) {
+        throw RangeError('Invalid word-break value: ' + wordBreak)
+    }
+}
+
+/**
+ * Returns the criteria to assign the line breaking classes for the CSS values
+ * lineBreak and wordBreak, applied to the classes assigned by criteria
+ * (or by the default resolution, if null). Without lineBreak, the classes are resolved
+ * as without tailorings, while auto is the same as normal.
+ */
+export function makeCssCriteria({ lineBreak, wordBreak = 'normal', criteria = null } = {}) {
+    checkCssValues(lineBreak, wordBreak)
+    const resolve = criteria ?? resolveClass
+    const normal = ['auto', 'normal', 'loose'].includes(lineBreak)
+    const loose = lineBreak === 'loose'
+    return (cls, gc, codePoint, eastAsianWidth, eastAsian) => {
+        let resolved = resolve(cls, gc, codePoint, eastAsianWidth, eastAsian)
+        if (lineBreak === 'strict' && cls === 'CJ') {
+            resolved = 'NS'
+        }
+        if (normal && cls === 'CJ' && resolved === 'NS') {
+            // small kana and prolonged sound marks
+            resolved = 'ID'
+        }
+        if (normal && cjkHyphens.includes(codePoint)) {
+            resolved = 'ID'
+        }
+        if (loose) {
+            if (iterationMarks.includes(codePoint) || centeredPunctuation.includes(codePoint)) {
+                resolved = 'ID'
+            }
+            else if (['PO', 'PR'].includes(resolved) && eastAsian) {
+                // the suffixes and prefixes of $EastAsian (East Asian Width F, W or H)
+                resolved = 'ID'
+            }
+        }
+        if (wordBreak === 'break-all' && ['AL', 'HL', 'NU'].includes(resolved)) {
+            resolved = 'ID'
+        }
+        return resolved
+    }
+}
+
+/**
+ * Returns a copy of the rules tailored for the CSS values lineBreak and wordBreak.
+ * The rules must have the labels of the standard rules (see linebreakingrules.mjs),
+ * that are used to find where to add the tailored rules.
+ */
+export function tailorRules(rules, { lineBreak = 'auto', wordBreak = 'normal' } = {}) {
+    checkCssValues(lineBreak, wordBreak)
+    if (lineBreak === 'anywhere') {
+        // word-break has no effect
+        const anywhereRules = rules.filter(r => anywhereLabels.includes(r[3]))
+        return insertRulesBefore(anywhereRules, 'LB9', [
+            // emoji ZWJ sequences
+            [ 'ZWJ × extpict', null, null, 'line-break: anywhere' ],
+        ])
+    }
+    let tailoredRules = rules
+    if (lineBreak === 'loose') {
+        tailoredRules = insertRulesBefore(tailoredRules, 'LB21', [
+            // hyphens after ideographs
+            [ 'ID ÷ ( \\u2010 | \\u2013 )', null, null, 'line-break: loose' ],
+            // inseparable characters
+            [ 'IN ÷ IN', null, null, 'line-break: loose' ],
+        ])
+    }
+    if (wordBreak === 'keep-all') {
+        tailoredRules = insertRulesBefore(tailoredRules, 'LB31', [
+            [ `${wordClasses} × ${wordClasses}`, null, null, 'word-break: keep-all' ],
+        ])
+    }
+    return tailoredRules
+}
+
+/**
+ * Returns a copy of the rules with newRules added before the first rule labeled label.
+ */
+export function insertRulesBefore(rules, label, newRules) {
+    const index = rules.findIndex(r => r[3] === label)
+    if (index === -1) {
+        throw Error(`Unable to tailor the rules: no rule is labeled ${label}`)
+    }
+    return [...rules.slice(0, index), ...newRules, ...rules.slice(index)]
+}
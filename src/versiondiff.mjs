@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) 2025 Francesco Martini
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+import { makeLBC } from './linebreakingchecker.mjs'
+import { isInsideSurrogatePair } from './surrogates.mjs'
+
+/**
+ * Compares the break types found in text by two versions of the Unicode rules and data,
+ * e.g. to assess the impact of an upgrade on stored documents. The versions can be
+ * given as '16', 'v16' or '16.0.0', and the options (locale, lineBreak, wordBreak, complexContext,
+ * hyphens, ...) are passed to makeLBC to make the checkers of both versions.
+ * Returns the differences found (see diffCheckers).
+ */
+export async function diffVersions(text, fromVersion, toVersion, options = {}) {
+    const from = await makeLBC({ ...options, version: normalizeVersion(fromVersion) })
+    const to = await makeLBC({ ...options, version: normalizeVersion(toVersion) })
+    return diffCheckers(text, from, to)
+}
+
+/**
+ * Compares the break types found in text by two LineBreakingCheckers (whose text is replaced).
+ * Returns an array with the positions whose break type changes, as objects
+ * { index, from, to }, with index in the unit of the checker from (see indexUnit), where from and to describe the result of every checker:
+ * { breakType, rule, classes }, with the deciding rule and the classes around the position
+ * (see LineBreakingChecker.explainPosition).
+ */
+export function diffCheckers(text, from, to) {
+    from.setText(text)
+    to.setText(text)
+    const differences = []
+    for (let i = 0; i <= text.length; i++) {
+        // the positions inside the surrogate pairs have no index in the code points and UTF-8
+        if (isInsideSurrogatePair(text, i)) {
+            continue
+        }
+        const [j, k] = [from.fromUTF16Index(i), to.fromUTF16Index(i)]
+        if (from.isPosLineBreaking(j) !== to.isPosLineBreaking(k)) {
+            differences.push({ index: j, from: explain(from, j), to: explain(to, k) })
+        }
+    }
+    return differences
+}
+
+function explain(lbc, i) {
+    const { breakType, rule, classes } = lbc.explainPosition(i)
+    return { breakType, rule, classes }
+}
+
+function normalizeVersion(version) {
+    return String(version).replace(/^v/i, '').replace(/(\.0)+$/, '')
+}
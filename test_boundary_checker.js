@@ -0,0 +1,131 @@
+/**
+ *  Tests of the boundary checkers of UAX #29 (src/boundarychecker.mjs): the grapheme cluster,
+ *  word and sentence boundaries found by the rules of src/segmentationrules.mjs, with the values
+ *  of the properties of a few characters (no data of the properties of UAX #29 is bundled, so
+ *  the test files GraphemeBreakTest, WordBreakTest and SentenceBreakTest of unicode.org aren't run).
+ */
+
+import { makeBoundaryChecker, makeBoundaryCheckerSync } from './src/boundarychecker.mjs'
+import { parseLineBreakTests, runBoundaryTests } from './src/conformancerunner.mjs'
+import { check, checkThrows, report } from './testhelpers.js'
+
+// the values of the properties of the characters used by the tests, as lists of code point ranges
+const data = {
+    graphemeBreakProperty: {
+        CR: [[0x0D]], LF: [[0x0A]], Control: [[0x00, 0x0A], [0x0B, 0x0D], [0x0E, 0x20]],
+        Extend: [[0x0300, 0x0370]], ZWJ: [[0x200D]], Regional_Indicator: [[0x1F1E6, 0x1F200]],
+        Prepend: [[0x0600, 0x0606]], SpacingMark: [[0x0903]],
+        L: [[0x1100, 0x1160]], V: [[0x1160, 0x11A8]], T: [[0x11A8, 0x1200]], LV: [[0xAC00]], LVT: [[0xAC01, 0xAC1C]],
+        InCB_Consonant: [[0x0915, 0x093A]], InCB_Linker: [[0x094D]], InCB_Extend: [[0x093C]],
+    },
+    wordBreakProperty: {
+        CR: [[0x0D]], LF: [[0x0A]], Newline: [[0x2028]], WSegSpace: [[0x20]],
+        ALetter: [[0x41, 0x5B], [0x61, 0x7B]], Hebrew_Letter: [[0x05D0, 0x05EB]], Numeric: [[0x30, 0x3A]],
+        Katakana: [[0x30A1, 0x30FB]], ExtendNumLet: [[0x5F]], Single_Quote: [[0x27]], Double_Quote: [[0x22]],
+        MidNumLet: [[0x2E]], MidNum: [[0x2C]], MidLetter: [[0x3A]],
+        Extend: [[0x0300, 0x0370]], Format: [[0xAD]], ZWJ: [[0x200D]], Regional_Indicator: [[0x1F1E6, 0x1F200]],
+    },
+    sentenceBreakProperty: {
+        CR: [[0x0D]], LF: [[0x0A]], Sep: [[0x2029]], Sp: [[0x20]],
+        Upper: [[0x41, 0x5B]], Lower: [[0x61, 0x7B]], Numeric: [[0x30, 0x3A]],
+        ATerm: [[0x2E]], STerm: [[0x21], [0x3F]], Close: [[0x22], [0x29]], SContinue: [[0x2C]],
+        Extend: [[0x0300, 0x0370]], Format: [[0xAD]],
+    },
+}
+
+const graphemes = makeBoundaryCheckerSync({ granularity: 'grapheme', data })
+const words = makeBoundaryCheckerSync({ granularity: 'word', data })
+const sentences = makeBoundaryCheckerSync({ granularity: 'sentence', data })
+
+function segments(bc, text) {
+    bc.setText(text)
+    return [...bc].map(s => s.text)
+}
+
+// grapheme clusters
+for (const [description, text, expected] of [
+    ['CR LF (GB3)', 'a\r\nb', ['a', '\r\n', 'b']],
+    ['controls (GB4, GB5)', 'a\tb', ['a', '\t', 'b']],
+    ['Hangul syllables (GB6, GB7, GB8)', '\u1100\u1161\u11A8\uAC00\u11A8\uAC01', ['\u1100\u1161\u11A8', '\uAC00\u11A8', '\uAC01']],
+    ['combining marks (GB9)', 'a\u0301\u0302b', ['a\u0301\u0302', 'b']],
+    ['spacing marks (GB9a)', '\u0915\u0903a', ['\u0915\u0903', 'a']],
+    ['prepended characters (GB9b)', '\u0600a', ['\u0600a']],
+    ['conjuncts (GB9c)', '\u0915\u094D\u0937', ['\u0915\u094D\u0937']],
+    ['conjuncts with nukta and ZWJ (GB9c)', '\u0915\u093C\u094D\u200D\u0937', ['\u0915\u093C\u094D\u200D\u0937']],
+    ['linkers without a consonant', 'a\u094D\u0937', ['a\u094D', '\u0937']],
+    ['emoji ZWJ sequences (GB11)', '\u{1F469}\u200D\u{1F469}a', ['\u{1F469}\u200D\u{1F469}', 'a']],
+    ['ZWJ without emoji', 'a\u200Db', ['a\u200D', 'b']],
+    ['flags (GB12, GB13)', 'a' + '\u{1F1EF}'.repeat(5), ['a', '\u{1F1EF}\u{1F1EF}', '\u{1F1EF}\u{1F1EF}', '\u{1F1EF}']],
+    ['lone surrogates', '\uD800a', ['\uD800', 'a']],
+]) {
+    check(`grapheme clusters: ${description}`, segments(graphemes, text), expected)
+}
+
+// words
+for (const [description, text, expected] of [
+    ['letters, apostrophes and numbers', "can't stop 3.14", ["can't", ' ', 'stop', ' ', '3.14']],
+    ['abbreviations (WB6, WB7)', 'e.g. a:b', ['e.g', '.', ' ', 'a:b']],
+    ['Hebrew letters (WB7a, WB7b, WB7c)', "\u05D0\"\u05D1 \u05D0'", ['\u05D0"\u05D1', ' ', "\u05D0'"]],
+    ['letters and numbers (WB8, WB9, WB10)', 'a1b2 3,456', ['a1b2', ' ', '3,456']],
+    ['Katakana (WB13)', '\u30AB\u30BFa', ['\u30AB\u30BF', 'a']],
+    ['connectors (WB13a, WB13b)', 'snake_case_2', ['snake_case_2']],
+    ['horizontal whitespace (WB3d)', 'a   b', ['a', '   ', 'b']],
+    ['newlines (WB3, WB3a, WB3b)', 'a\r\n\nb\u2028c', ['a', '\r\n', '\n', 'b', '\u2028', 'c']],
+    ['combining marks and format characters (WB4)', 'a\u0301b\u00ADc d', ['a\u0301b\u00ADc', ' ', 'd']],
+    ['combining marks after a newline (WB4)', '\n\u0301a', ['\n', '\u0301', 'a']],
+    ['emoji ZWJ sequences (WB3c)', '\u{1F469}\u200D\u{1F469}', ['\u{1F469}\u200D\u{1F469}']],
+    ['flags (WB15, WB16)', '\u{1F1EF}'.repeat(3) + 'a', ['\u{1F1EF}\u{1F1EF}', '\u{1F1EF}', 'a']],
+]) {
+    check(`words: ${description}`, segments(words, text), expected)
+}
+
+// sentences
+for (const [description, text, expected] of [
+    ['terminators and spaces (SB9, SB10, SB11)', 'Hello. World! Bye', ['Hello. ', 'World! ', 'Bye']],
+    ['numbers (SB6)', 'Pi is 3.14 ok.', ['Pi is 3.14 ok.']],
+    ['initials (SB7)', 'J.R.R. Tolkien', ['J.R.R. ', 'Tolkien']],
+    ['lowercase after the period (SB8)', 'e.g. this one.', ['e.g. this one.']],
+    ['continuations (SB8a)', 'Wait., then', ['Wait., then']],
+    ['closing punctuation ("Close")', '(Yes.) "No!" Go', ['(Yes.) ', '"No!" ', 'Go']],
+    ['paragraph separators (SB4)', 'A\r\nB\u2029C', ['A\r\n', 'B\u2029', 'C']],
+    ['combining marks (SB5)', 'Go.\u0301 Now', ['Go.\u0301 ', 'Now']],
+]) {
+    check(`sentences: ${description}`, segments(sentences, text), expected)
+}
+
+// positions
+graphemes.setText('a\u{1F1EF}\u{1F1EF}b')
+check('boundaries', [0, 1, 2, 3, 4, 5, 6].map(i => graphemes.isBoundary(i)), [true, true, false, false, false, true, true])
+check('next boundaries', [0, 1, 5, 6].map(i => graphemes.nextBoundary(i)), [1, 5, 6, null])
+check('segment indices', [...graphemes].map(s => s.index), [1, 5, 6])
+graphemes.setText('')
+check('empty text', [...graphemes], [])
+
+// the test files of unicode.org have the format of LineBreakTest
+const tests = parseLineBreakTests([
+    '÷ 0061 × 0301 ÷ 0062 ÷\t#  LATIN SMALL LETTER A ...',
+    '÷ 000D × 000A ÷ 0061 ÷\t#  <CARRIAGE RETURN (CR)> ...',
+    '÷ 0061 ÷ 0301 ÷\t#  wrong on purpose',
+].join('\n'))
+const results = runBoundaryTests(graphemes, tests)
+check('test file results', results.map(r => r.passed), [true, true, false])
+check('test file mismatches', results[2].mismatches, [{ position: 1, expected: '÷', actual: '×', rule: null }])
+
+// the data
+// (the Extended_Pictographic property is kept with the table of the property of the granularity)
+const dataWithEmoji = { graphemeBreakProperty: { ...data.graphemeBreakProperty }, extendedPictographic: [[0x41]] }
+check('Extended_Pictographic of the data', segments(makeBoundaryCheckerSync({ data: dataWithEmoji }), 'A\u200DA\u200D\u{1F469}'), ['A\u200DA\u200D', '\u{1F469}'])
+const dataUrl = 'data:application/json,' + encodeURIComponent(JSON.stringify(data.wordBreakProperty))
+check('data from an url', segments(await makeBoundaryChecker({ granularity: 'word', dataUrl }), "can't stop"), ["can't", ' ', 'stop'])
+check('data already loaded', segments(await makeBoundaryChecker({ granularity: 'sentence', data }), 'A. B'), ['A. ', 'B'])
+await checkThrows('no data', () => makeBoundaryChecker({ granularity: 'word' }), TypeError)
+await checkThrows('data without the property of the granularity', () => makeBoundaryCheckerSync({ granularity: 'word', data: { graphemeBreakProperty: {} } }), TypeError)
+await checkThrows('invalid granularity', () => makeBoundaryCheckerSync({ granularity: 'line', data }), RangeError)
+
+// custom rules
+const everywhere = makeBoundaryCheckerSync({ data, rules: [[ 'any ÷ any', null, null, 'GB999' ]] })
+check('custom rules', segments(everywhere, 'a\u0301'), ['a', '\u0301'])
+await checkThrows('unknown classes', () => makeBoundaryCheckerSync({ data, rules: [[ 'ALetter × any', null, null, 'x' ]] }), Error)
+await checkThrows('general categories', () => makeBoundaryCheckerSync({ data, rules: [[ 'gc(Lu) × any', null, null, 'x' ]] }), Error)
+
+report()
@@ -0,0 +1,149 @@
+/**
+ *  Tests of the break hints inserted in HTML (src/breakhints.mjs): annotateHTML on markup
+ *  with character references, tags, comments and raw text, and annotateDOM on a minimal
+ *  implementation of the DOM, with the hints wbr, zwsp and nowrap.
+ */
+
+import { makeLBC, annotateHTML, annotateDOM } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, checkThrows, report } from './testhelpers.js'
+
+// the subset of the DOM used by annotateDOM, serialized as markup (with the zero width
+// spaces and the soft hyphens of the text written as character references)
+class Node {
+    parentNode = null
+    childNodes = []
+
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument
+    }
+
+    get nextSibling() {
+        const siblings = this.parentNode?.childNodes ?? []
+        return siblings[siblings.indexOf(this) + 1] ?? null
+    }
+
+    insertBefore(node, next) {
+        node.parentNode?.childNodes.splice(node.parentNode.childNodes.indexOf(node), 1)
+        node.parentNode = this
+        const index = next ? this.childNodes.indexOf(next) : this.childNodes.length
+        this.childNodes.splice(index, 0, node)
+        return node
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null)
+    }
+}
+
+class Text extends Node {
+    nodeType = 3
+
+    constructor(ownerDocument, data) {
+        super(ownerDocument)
+        this.data = data
+    }
+
+    get length() {
+        return this.data.length
+    }
+
+    splitText(offset) {
+        const node = new Text(this.ownerDocument, this.data.slice(offset))
+        this.data = this.data.slice(0, offset)
+        this.parentNode.insertBefore(node, this.nextSibling)
+        return node
+    }
+
+    insertData(offset, data) {
+        this.data = this.data.slice(0, offset) + data + this.data.slice(offset)
+    }
+
+    toString() {
+        return this.data.replaceAll('\u200B', '&#x200B;').replaceAll('\u00AD', '&shy;')
+    }
+}
+
+class Element extends Node {
+    nodeType = 1
+    attributes = []
+
+    constructor(ownerDocument, localName) {
+        super(ownerDocument)
+        this.localName = localName
+    }
+
+    setAttribute(name, value) {
+        this.attributes.push(` ${name}="${value}"`)
+    }
+
+    toString() {
+        const start = `<${this.localName}${this.attributes.join('')}>`
+        return this.localName === 'wbr' ? start : `${start}${this.childNodes.join('')}</${this.localName}>`
+    }
+}
+
+const document = {
+    createElement: name => new Element(document, name),
+}
+
+// an element with the children given as strings (text nodes) or arrays [name, ...children]
+function element(name, ...children) {
+    const node = new Element(document, name)
+    for (const child of children) {
+        node.appendChild(typeof child === 'string' ? new Text(document, child) : element(...child))
+    }
+    return node
+}
+
+const lbc = await makeLBC({ version: unicodeVersion })
+
+const nowrap = text => `<span style="white-space:nowrap">${text}</span>`
+
+// [markup, the markup with the hints wbr, zwsp and nowrap]
+const htmlTests = [
+    ['foo/bar', 'foo/<wbr>bar', 'foo/&#x200B;bar', nowrap('foo/') + nowrap('bar')],
+    // character references, that are decoded and kept as they are written
+    ['foo&#x2F;bar', 'foo&#x2F;<wbr>bar', 'foo&#x2F;&#x200B;bar', nowrap('foo&#x2F;') + nowrap('bar')],
+    ['a&nbsp;b c', 'a&nbsp;b c', 'a&nbsp;b c', nowrap('a&nbsp;b ') + 'c'],
+    ['x&unknown;/y', 'x&unknown;/<wbr>y', 'x&unknown;/&#x200B;y', nowrap('x&unknown;/') + 'y'],
+    ['a/&shy;b', 'a/&shy;b', 'a/&shy;b', nowrap('a/&shy;') + 'b'],
+    // references to characters out of the BMP, two code units each
+    ['&#x1F600;a/b', '&#x1F600;<wbr>a/<wbr>b', '&#x1F600;&#x200B;a/&#x200B;b', '&#x1F600;' + nowrap('a/') + 'b'],
+    ['&#128512;&#x1F600;/x', '&#128512;<wbr>&#x1F600;/<wbr>x', '&#128512;&#x200B;&#x1F600;/&#x200B;x', '&#128512;' + nowrap('&#x1F600;/') + 'x'],
+    // tags, comments and raw text
+    ['<em>foo/</em>bar', '<em>foo/<wbr></em>bar', '<em>foo/&#x200B;</em>bar', `<em>${nowrap('foo/')}</em>${nowrap('bar')}`],
+    ['<p>foo/</p><p>bar</p>', '<p>foo/</p><p>bar</p>', '<p>foo/</p><p>bar</p>', `<p>${nowrap('foo/')}</p><p>${nowrap('bar')}</p>`],
+    ['<a href="x/y">a/b</a>', '<a href="x/y">a/<wbr>b</a>', '<a href="x/y">a/&#x200B;b</a>', `<a href="x/y">${nowrap('a/')}b</a>`],
+    ['<script>a/b</script>c/d', '<script>a/b</script>c/<wbr>d', '<script>a/b</script>c/&#x200B;d', `<script>a/b</script>${nowrap('c/')}d`],
+    ['<!-- a/b -->c/d', '<!-- a/b -->c/<wbr>d', '<!-- a/b -->c/&#x200B;d', `<!-- a/b -->${nowrap('c/')}d`],
+    ['<pre>a\nb/c</pre>', '<pre>a\nb/<wbr>c</pre>', '<pre>a\nb/&#x200B;c</pre>', `<pre>${nowrap('a\n')}${nowrap('b/')}c</pre>`],
+    ['漢字', '漢<wbr>字', '漢&#x200B;字', '漢字'],
+]
+for (const [html, ...expected] of htmlTests) {
+    for (const [k, hint] of ['wbr', 'zwsp', 'nowrap'].entries()) {
+        check(`annotateHTML ${JSON.stringify(html)} with ${hint}`, annotateHTML(lbc, html, { hint }), expected[k])
+    }
+}
+check('annotateHTML with the default hint', annotateHTML(lbc, 'foo/bar'), 'foo/<wbr>bar')
+
+// [children of a div, the markup of the div with the hints wbr, zwsp and nowrap]
+const domTests = [
+    [['foo/bar'], 'foo/<wbr>bar', 'foo/&#x200B;bar', nowrap('foo/') + nowrap('bar')],
+    [['\u{1F600}a/b'], '\u{1F600}<wbr>a/<wbr>b', '\u{1F600}&#x200B;a/&#x200B;b', '\u{1F600}' + nowrap('a/') + 'b'],
+    [['a b c'], 'a b c', 'a b c', nowrap('a b ') + 'c'],
+    [[['em', 'foo/'], 'bar'], '<em>foo/<wbr></em>bar', '<em>foo/&#x200B;</em>bar', `<em>${nowrap('foo/')}</em>${nowrap('bar')}`],
+    [[['p', 'foo/'], ['p', 'bar']], '<p>foo/</p><p>bar</p>', '<p>foo/</p><p>bar</p>', `<p>${nowrap('foo/')}</p><p>${nowrap('bar')}</p>`],
+    [[['script', 'a/b'], 'c/d'], '<script>a/b</script>c/<wbr>d', '<script>a/b</script>c/&#x200B;d', `<script>a/b</script>${nowrap('c/')}d`],
+    [['漢字'], '漢<wbr>字', '漢&#x200B;字', '漢字'],
+]
+for (const [children, ...expected] of domTests) {
+    for (const [k, hint] of ['wbr', 'zwsp', 'nowrap'].entries()) {
+        const root = element('div', ...children)
+        check(`annotateDOM ${JSON.stringify(children)} with ${hint}`, String(annotateDOM(lbc, root, { hint })), `<div>${expected[k]}</div>`)
+    }
+}
+
+await checkThrows('annotateHTML with an invalid hint', () => annotateHTML(lbc, 'a', { hint: 'br' }), RangeError)
+await checkThrows('annotateDOM with an invalid hint', () => annotateDOM(lbc, element('div'), { hint: 'br' }), RangeError)
+
+report()
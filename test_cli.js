@@ -0,0 +1,79 @@
+/**
+ *  Tests of the command line tool (bin/linebreak.js): the output formats (break notation,
+ *  JSON segments, wrapped lines and the differences between Unicode versions), the options,
+ *  the input from files and from the standard input, and the exit codes of the errors.
+ */
+
+import { spawnSync } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+
+import { check, report } from './testhelpers.js'
+
+const script = path.join(import.meta.dirname, 'bin', 'linebreak.js')
+
+function run(args, input = '') {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [script, ...args], { input, encoding: 'utf8' })
+    return { status, stdout, stderr }
+}
+
+// [arguments, standard input, expected output]
+const outputs = [
+    [[], 'ab c', '× 0061 × 0062 × 0020 ÷ 0063 ÷\n'],
+    [['--breaks'], 'ab c', '× 0061 × 0062 × 0020 ÷ 0063 ÷\n'],
+    [['--breaks'], '\u{1F600} a', '× 1F600 × 0020 ÷ 0061 ÷\n'],
+    [['--json'], 'ab c', '[{"index":3,"breakType":4,"text":"ab "},{"index":4,"breakType":2,"text":"c"}]\n'],
+    [['--json', '--index-unit', 'utf8'], 'ab c\xE9', '[{"index":3,"breakType":4,"text":"ab "},{"index":6,"breakType":2,"text":"c\xE9"}]\n'],
+    [['--wrap', '10'], 'The quick brown fox jumps', 'The quick\nbrown fox\njumps\n'],
+    [['--wrap', '6'], '\u65E5\u672C\u8A9E\u306E\u6587\u7AE0\u3067\u3059', '\u65E5\u672C\u8A9E\n\u306E\u6587\u7AE0\n\u3067\u3059\n'],
+    [['--wrap', '4', '--units'], '\u65E5\u672C\u8A9E\u306E\u6587\u7AE0', '\u65E5\u672C\u8A9E\u306E\n\u6587\u7AE0\n'],
+    [['--unicode', '16'], 'a-b', '× 0061 × 002D ÷ 0062 ÷\n'],
+    [['--locale', 'fr'], '100%', '× 0031 × 0030 × 0030 × 0025 ÷\n'],
+    [['--line-break', 'strict'], '\u3001\u3041', '× 3001 × 3041 ÷\n'],
+    [['--line-break', 'loose'], '\u3001\u3041', '× 3001 ÷ 3041 ÷\n'],
+    [['--word-break', 'break-all'], 'ab', '× 0061 ÷ 0062 ÷\n'],
+    [['diff'], 'x \u2010\u05D0\u05D1', '-:3 2010 05D0 16: ÷ LB31 17: × LB20a\n'],
+    [['diff', '--from', '17', '--to', '16'], 'x \u2010\u05D0\u05D1', '-:3 2010 05D0 17: × LB20a 16: ÷ LB31\n'],
+    [['diff'], 'ab c', ''],
+]
+for (const [args, input, expected] of outputs) {
+    const { status, stdout } = run(args, input)
+    check(`output of ${JSON.stringify(args)}`, { status, stdout }, { status: 0, stdout: expected })
+}
+const { stdout: diffJSON } = run(['diff', '--json'], 'x \u2010\u05D0\u05D1')
+check('diff as JSON', JSON.parse(diffJSON).map(({ index, from, to }) => [index, from.rule.label, to.rule.label]), [[3, 'LB31', 'LB20a']])
+check('help', run(['--help']).stdout.includes('Script usage:'), true)
+
+// the files, and the standard input as -
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linebreak-'))
+const first = path.join(dir, 'first.txt')
+const second = path.join(dir, 'second.txt')
+fs.writeFileSync(first, 'a b')
+fs.writeFileSync(second, 'c\u00A0d')
+check('files', run([first, second]).stdout, '× 0061 × 0020 ÷ 0062 ÷\n× 0063 × 00A0 × 0064 ÷\n')
+check('files and standard input', run([first, '-'], 'e f').stdout, '× 0061 × 0020 ÷ 0062 ÷\n× 0065 × 0020 ÷ 0066 ÷\n')
+check('diff of a file', run(['diff', first]).stdout, '')
+const missing = run([path.join(dir, 'missing.txt')])
+check('missing file', [missing.status, missing.stderr.startsWith('Error: Unable to read')], [1, true])
+fs.rmSync(dir, { recursive: true })
+
+// [arguments, start of the error message]
+const errors = [
+    [['--bogus'], 'Error: Unknown option'],
+    [['--breaks', '--json'], 'Error: --breaks, --json and --wrap can\'t be used together'],
+    [['diff', '--wrap', '10'], 'Error: --breaks and --wrap can\'t be used with diff'],
+    [['--from', '16'], 'Error: --from and --to can be used only with diff'],
+    [['--unicode', '15'], 'Error: Unsupported Unicode version: 15'],
+    [['diff', '--to', 'v15'], 'Error: Unsupported Unicode version: 15'],
+    [['--wrap', '0'], 'Error: The width must be a positive integer, received: 0'],
+    [['--wrap', 'ten'], 'Error: The width must be a positive integer, received: ten'],
+    [['--wrap', '10', '--strategy', 'nope'], 'Error: Invalid wrap strategy: nope'],
+    [['--rules', 'missing-rules.mjs'], 'Error: Unable to load the rules from "missing-rules.mjs"'],
+]
+for (const [args, message] of errors) {
+    const { status, stderr } = run(args, 'ab cd')
+    check(`error of ${JSON.stringify(args)}`, [status, stderr.split('\n')[0].startsWith(message)], [1, true])
+}
+
+report()
@@ -0,0 +1,81 @@
+/**
+ *  Tests of the measure of text in the columns of a monospace font (columnWidth): the wide,
+ *  fullwidth, halfwidth and ambiguous characters, the combining marks, the emoji sequences
+ *  and the tabs, with the data of the East Asian Widths and without it.
+ */
+
+import { makeLBC, makeLBCSync } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, report } from './testhelpers.js'
+
+const { default: data } = await import(`./src/data/unicode${unicodeVersion}.mjs`)
+
+// a few ranges (with the end excluded) of the East Asian Widths of EastAsianWidth.txt,
+// the others are N
+const eastAsianWidth = {
+    F: [[0xFF01, 0xFF61]],
+    H: [[0xFF61, 0xFFBF]],
+    W: [[0x1100, 0x1160], [0x3000, 0x3100], [0x4E00, 0xA000], [0xAC00, 0xD7A4], [0x1F300, 0x1F650]],
+    Na: [[0x20, 0x7F]],
+    A: [[0xB1, 0xB2], [0x391, 0x3AA], [0x3B1, 0x3CA]],
+}
+const withWidths = makeLBCSync({ data: { ...data, eastAsianWidth } })
+const withoutWidths = await makeLBC({ version: unicodeVersion })
+
+check('East Asian Width, wide', withWidths.eastAsianWidth(0x65E5), 'W')
+check('East Asian Width, ambiguous', withWidths.eastAsianWidth(0xB1), 'A')
+check('East Asian Width, neutral by default', withWidths.eastAsianWidth(0x10FFFF), 'N')
+check('East Asian Width without the data', withoutWidths.eastAsianWidth(0x65E5), undefined)
+
+// [description, text, columns, columns with the ambiguous characters wide]
+const widths = [
+    ['narrow', 'abc', 3, 3],
+    ['wide', '\u65E5\u672C\u8A9E', 6, 6],
+    ['fullwidth', '\uFF21\uFF22', 4, 4],
+    ['halfwidth', '\uFF71\uFF72', 2, 2],
+    ['ambiguous', '\xB1\u03B1', 2, 4],
+    ['combining mark', 'e\u0301', 1, 1],
+    ['combining mark after a wide character', '\u304B\u3099', 2, 2],
+    ['format character', 'a\u200Bb', 2, 2],
+    ['control character', 'a\x07b', 2, 2],
+    ['Hangul syllable', '\uAC00', 2, 2],
+    ['Hangul conjoining jamos', '\u1100\u1161\u11A8', 2, 2],
+    ['emoji', '\u{1F600}', 2, 2],
+    ['emoji ZWJ sequence', '\u{1F469}\u200D\u{1F4BB}', 2, 2],
+    ['emoji modifier', '\u{1F44D}\u{1F3FD}', 2, 2],
+    ['emoji presentation of a narrow character', '\u2764\uFE0F', 2, 2],
+    ['variation selector after a wide emoji', '\u{1F600}\uFE0F', 2, 2],
+    ['variation selector after a letter', 'a\uFE0F', 1, 1],
+    ['empty string', '', 0, 0],
+]
+for (const [description, text, columns, ambiguousWide] of widths) {
+    check(`${description}, with the data`, withWidths.columnWidth(text), columns)
+    check(`${description}, with the ambiguous characters wide`, withWidths.columnWidth(text, { ambiguousIsWide: true }), ambiguousWide)
+}
+
+// without the data, the characters of $EastAsian are wide, except the halfwidth forms, and
+// none is ambiguous
+for (const [description, text, columns] of widths.filter(([description]) => description !== 'ambiguous')) {
+    check(`${description}, without the data`, withoutWidths.columnWidth(text), columns)
+}
+check('ambiguous, without the data', withoutWidths.columnWidth('\xB1\u03B1', { ambiguousIsWide: true }), 2)
+
+// the tabs move to the next tab stop from the start of the string
+for (const [text, options, columns] of [
+    ['\t', {}, 8],
+    ['a\tb', {}, 9],
+    ['abcdefgh\tb', {}, 17],
+    ['\u65E5\u672C\u8A9E\u5B57\tb', {}, 17],
+    ['a\t\tb', {}, 17],
+    ['a\tb', { tabSize: 4 }, 5],
+    ['a\tb', { tabSize: 0 }, 2],
+]) {
+    check(`tab in ${JSON.stringify(text)}, ${JSON.stringify(options)}`, withWidths.columnWidth(text, options), columns)
+}
+
+// wrapping in columns
+const lines = withWidths.wrap('\u65E5\u672C\u8A9E \u65E5\u672C\u8A9E\tx', { width: 8, measure: s => withWidths.columnWidth(s) })
+check('wrap in columns', lines.map(({ text, width }) => [text, width]), [
+    ['\u65E5\u672C\u8A9E', 6], ['\u65E5\u672C\u8A9E\t', 8], ['x', 1]
+])
+
+report()
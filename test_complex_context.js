@@ -0,0 +1,58 @@
+/**
+ *  Tests of the segmenters of the runs of SA characters (src/complexcontext.mjs): the
+ *  bundled dictionary of DictionarySegmenter with Thai, Lao, Khmer and Myanmar text, the
+ *  characters out of the dictionary, the default segmenter (Intl.Segmenter, or the dictionary
+ *  without it) and the breaks added by the option complexContext.
+ */
+
+import { makeLBC, DictionarySegmenter, IntlWordSegmenter, makeComplexContextSegmenter } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, breaks, report } from './testhelpers.js'
+
+const dictionary = new DictionarySegmenter()
+
+// [text, the words of the text found with the bundled dictionary]
+const tests = [
+    ['ภาษาไทยเป็นภาษาที่สวยงาม', ['ภาษา', 'ไทย', 'เป็น', 'ภาษา', 'ที่', 'สวยงาม']],
+    ['ພາສາລາວ', ['ພາສາ', 'ລາວ']],
+    ['ភាសាខ្មែរគឺជាភាសា', ['ភាសា', 'ខ្មែរ', 'គឺ', 'ជា', 'ភាសា']],
+    ['ខ្ញុំរៀនភាសាខ្មែរ', ['ខ្ញុំ', 'រៀន', 'ភាសា', 'ខ្មែរ']],
+    ['မြန်မာဘာသာစကား', ['မြန်မာ', 'ဘာသာ', 'စကား']],
+    ['ကျွန်တော်မြန်မာစကားပြောတယ်', ['ကျွန်တော်', 'မြန်မာ', 'စကား', 'ပြော', 'တယ်']],
+]
+const words = (text, indices) => [0, ...indices].map((start, k, starts) => text.slice(start, starts[k + 1]))
+for (const [text, expected] of tests) {
+    check(`dictionary words of ${text}`, words(text, dictionary.findBreaks(text)), expected)
+}
+
+// the characters that don't start any word are kept together, up to the next word
+check('unknown characters', new DictionarySegmenter(['ab', 'c']).findBreaks('abxyzcab'), [2, 5, 6])
+check('longest word', new DictionarySegmenter(['a', 'ab', 'abc']).findBreaks('abcab'), [3])
+check('empty dictionary', new DictionarySegmenter([]).findBreaks('ภาษาไทย'), [])
+
+// the breaks between the words are added to the ones of the rules
+const lbc = await makeLBC({ version: unicodeVersion, complexContext: dictionary })
+check('breaks in a Khmer run', breaks(lbc, 'ភាសាខ្មែរ គឺជាភាសា'), 'ភាសា|ខ្មែរ |គឺ|ជា|ភាសា')
+check('breaks in a Myanmar run', breaks(lbc, 'မြန်မာဘာသာ'), 'မြန်မာ|ဘာသာ')
+const defaults = await makeLBC({ version: unicodeVersion })
+check('no breaks without complexContext', breaks(defaults, 'ភាសាខ្មែរគឺជាភាសា'), 'ភាសាខ្មែរគឺជាភាសា')
+
+// with complexContext: true the words are those of Intl.Segmenter, and without it of the dictionary
+const intlWords = text => [...new Intl.Segmenter(undefined, { granularity: 'word' }).segment(text)].map(s => s.segment)
+check('default segmenter', makeComplexContextSegmenter() instanceof IntlWordSegmenter, true)
+const intl = await makeLBC({ version: unicodeVersion, complexContext: true })
+for (const text of ['ภาษาไทยเป็นภาษาที่สวยงาม', 'ພາສາລາວ']) {
+    check(`breaks of Intl.Segmenter in ${text}`, breaks(intl, text), intlWords(text).join('|'))
+}
+check('breaks of Intl.Segmenter around a space', breaks(intl, 'ภาษาไทย ok'), `${intlWords('ภาษาไทย').join('|')} |ok`)
+const { Segmenter } = Intl
+delete Intl.Segmenter
+try {
+    check('default segmenter without Intl.Segmenter', makeComplexContextSegmenter() instanceof DictionarySegmenter, true)
+    const fallback = await makeLBC({ version: unicodeVersion, complexContext: true })
+    check('breaks of the dictionary without Intl.Segmenter', breaks(fallback, 'ภาษาไทยเป็นภาษาที่สวยงาม'), tests[0][1].join('|'))
+}
+finally {
+    Intl.Segmenter = Segmenter
+}
+
+report()
@@ -0,0 +1,86 @@
+/**
+ *  Tests of the runner of the conformance tests (src/conformancerunner.mjs and
+ *  test_line_breaking_algorithm.js): parsing, filters, results, reports and exit codes.
+ */
+
+import { spawnSync } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import {
+    parseLineBreakTests, filterTests, runLineBreakTests, toJUnit, toTAP
+} from './src/conformancerunner.mjs'
+import { unicodeVersion, check, report } from './testhelpers.js'
+
+const testFile = [
+    '# LineBreakTest-x.txt',
+    '',
+    '× 0061 × 0062 ÷\t#  × [0.3] LATIN SMALL LETTER A (AL) × [28.0] LATIN SMALL LETTER B (AL) ÷ [0.3]',
+    '× 0061 ÷ 0020 ÷ 0062 ÷\t#  × [0.3] LATIN SMALL LETTER A (AL) ÷ [wrong] SPACE (SP) ÷ [18.0] LATIN SMALL LETTER B (AL) ÷ [0.3]',
+    '# a comment',
+    '× 1F600 × 0021 ÷\t#  × [0.3] GRINNING FACE (ID) × [13.0] EXCLAMATION MARK (EX) ÷ [0.3]',
+    '× 0022 ÷ 0061 ÷\t#  × [0.3] QUOTATION MARK (QU) ÷ [19.0] <the & and " of XML> ÷ [0.3]',
+].join('\n')
+
+// parsing
+const tests = parseLineBreakTests(testFile)
+check('number of tests', tests.length, 4)
+check('line numbers', tests.map(t => t.line), [3, 4, 6, 7])
+check('text', tests[2].text, '\u{1F600}!')
+check('expected notation', tests[1].expected, '× 0061 ÷ 0020 ÷ 0062 ÷')
+
+// filters
+check('filter by line', filterTests(tests, { lines: [4] }).map(t => t.line), [4])
+check('filter by range', filterTests(tests, { lines: [[4, 6], 7] }).map(t => t.line), [4, 6, 7])
+check('filter by pattern', filterTests(tests, { pattern: 'GRINNING' }).map(t => t.line), [6])
+check('filter by regex', filterTests(tests, { pattern: /\(SP\)/, lines: [[1, 10]] }).map(t => t.line), [4])
+check('filter without matches', filterTests(tests, { lines: [5] }), [])
+
+// results
+const lbc = await makeLBC({ version: unicodeVersion })
+const results = runLineBreakTests(lbc, tests.slice(0, 3))
+check('passed', results.map(r => r.passed), [true, false, true])
+check('actual notation', results[1].actual, '× 0061 × 0020 ÷ 0062 ÷')
+check('mismatches', results[1].mismatches, [{ position: 1, expected: '÷', actual: '×', rule: 'LB7' }])
+check('no mismatches', results[2].mismatches, [])
+
+// reports
+const suites = [{ name: 'x', results: runLineBreakTests(lbc, tests) }]
+const tap = toTAP(suites).split('\n')
+check('TAP header', tap.slice(0, 2), ['TAP version 13', '1..4'])
+check('TAP results', tap.filter(l => /^(not )?ok/.test(l)), ['ok 1 - x line 3', 'not ok 2 - x line 4', 'ok 3 - x line 6', 'not ok 4 - x line 7'])
+const junit = toJUnit(suites)
+check('JUnit counts', /<testsuites name="LineBreakTest" tests="4" failures="2">/.test(junit), true)
+check('JUnit failures', junit.match(/<failure /g).length, 2)
+check('JUnit escaping', junit.includes('&#38;') && junit.includes('&#60;the &#38; and &#34; of XML&#62;'), true)
+
+// exit codes of the command line runner
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linebreaktest-'))
+const failing = path.join(dir, 'failing.txt')
+const passing = path.join(dir, 'passing.txt')
+fs.writeFileSync(failing, testFile)
+fs.writeFileSync(passing, testFile.split('\n').filter((_, i) => i !== 3 && i !== 6).join('\n'))
+const reportFile = path.join(dir, 'report.tap')
+
+const runner = fileURLToPath(new URL('./test_line_breaking_algorithm.js', import.meta.url))
+
+function run(...runnerArgs) {
+    return spawnSync(process.execPath, [runner, ...runnerArgs], { encoding: 'utf8' })
+}
+
+check('exit code of passing tests', run(unicodeVersion, '--file', passing).status, 0)
+check('exit code of failing tests', run(unicodeVersion, '--quiet', '--file', failing, '--tap', reportFile).status, 1)
+// the 4 tests of the file, with the interpreted and the compiled rules
+check('report written', fs.readFileSync(reportFile, 'utf8').split('\n')[1], '1..8')
+run(unicodeVersion, '--quiet', '--file', failing, '--tap', reportFile, '--engine', 'compiled')
+check('report of the compiled rules', fs.readFileSync(reportFile, 'utf8').split('\n')[1], '1..4')
+check('exit code of an unknown engine', run(unicodeVersion, '--engine', 'x').status, 2)
+check('exit code of filtered tests', run(unicodeVersion, '--file', failing, '--line', '3,6-6').status, 0)
+check('exit code of a missing version', run('1').status, 2)
+check('exit code of an invalid filter', run(unicodeVersion, '--line', 'x').status, 2)
+fs.rmSync(dir, { recursive: true })
+
+report()
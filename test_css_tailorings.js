@@ -0,0 +1,80 @@
+/**
+ *  Tests of the tailorings for the CSS properties line-break and word-break,
+ *  derived from the examples and the lists of characters of
+ *  https://www.w3.org/TR/css-text-3/#line-break-property and
+ *  https://www.w3.org/TR/css-text-3/#word-break-property
+ *
+ *  In the expected results, | marks the break opportunities between the characters
+ *  (the positions at the start and at the end of the text are not checked).
+ */
+
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, checkThrows, breaks, report } from './testhelpers.js'
+
+const tests = [
+    // small kana and prolonged sound mark (CJ): forbidden by strict only
+    [{ lineBreak: 'strict' }, ['あぁ', 'カー']],
+    [{ lineBreak: 'normal' }, ['あ|ぁ', 'カ|ー']],
+    [{ lineBreak: 'auto' }, ['あ|ぁ', 'カ|ー']],
+    [{ lineBreak: 'loose' }, ['あ|ぁ', 'カ|ー']],
+    // CJK hyphen-like characters: allowed by normal and loose
+    [{ lineBreak: 'strict' }, ['漢〜', '漢゠']],
+    [{ lineBreak: 'normal' }, ['漢|〜', '漢|゠']],
+    [{ lineBreak: 'loose' }, ['漢|〜', '漢|゠']],
+    // hyphens after ideographs: allowed by loose
+    [{ lineBreak: 'normal' }, ['漢‐', '漢–']],
+    [{ lineBreak: 'loose' }, ['漢|‐', '漢|–', 'a‐', 'a–']],
+    // iteration marks: allowed by loose
+    [{ lineBreak: 'normal' }, ['時々', '漢〻', 'あゝ', 'あゞ', 'カヽ', 'カヾ']],
+    [{ lineBreak: 'loose' }, ['時|々', '漢|〻', 'あ|ゝ', 'あ|ゞ', 'カ|ヽ', 'カ|ヾ']],
+    // inseparable characters: allowed by loose
+    [{ lineBreak: 'normal' }, ['‥‥', '……']],
+    [{ lineBreak: 'loose' }, ['‥|‥', '…|…']],
+    // centered punctuation marks: allowed by loose
+    [{ lineBreak: 'normal' }, ['漢・', '漢：', '漢；', '漢･', '漢‼', '漢⁇', '漢⁈', '漢⁉', '漢！', '漢？']],
+    [{ lineBreak: 'loose' }, ['漢|・', '漢|：', '漢|；', '漢|･', '漢|‼', '漢|⁇', '漢|⁈', '漢|⁉', '漢|！', '漢|？']],
+    // fullwidth suffixes and prefixes: allowed by loose
+    [{ lineBreak: 'normal' }, ['漢％', '漢￠', '￥漢', '＄漢', '￡漢']],
+    [{ lineBreak: 'loose' }, ['漢|％', '漢|￠', '￥|漢', '＄|漢', '￡|漢', '1%', '$1']],
+    // anywhere: breaks around every character, except inside hard line breaks,
+    // combining sequences and emoji sequences
+    [{ lineBreak: 'anywhere' }, [
+        'a|b|c', 'a| |b', 'a|⁠|b', 'a|(|b|)|.', 'a| | |b', 'é|x', 'a\r\n|b', 'a\n|b',
+        '\u{1F1EF}\u{1F1F5}|\u{1F1FA}\u{1F1F8}', '\u{1F469}‍\u{1F469}', '\u{1F44D}\u{1F3FD}', '한|국',
+    ]],
+    [{ lineBreak: 'anywhere', wordBreak: 'keep-all' }, ['漢|字', 'a|b']],
+    // word-break: break-all
+    [{ wordBreak: 'normal' }, ['ab', '12', '漢|字']],
+    [{ wordBreak: 'break-all' }, ['a|b', '1|2', 'a.|b', 'a-|b', 'א|ב', 'a, |b']],
+    // word-break: keep-all
+    [{ wordBreak: 'keep-all' }, ['漢字', '한국어', 'ab', '漢 |字', '漢、|字', '漢a', 'a漢1']],
+    // without line-break, the classes of the characters are resolved as by default,
+    // also with word-break
+    [{}, ['あぁ', 'カー', '漢〜', '、ぁ', '、ー', '、〜']],
+    [{ wordBreak: 'keep-all' }, ['、ぁ', '、ー', '、〜']],
+    [{ wordBreak: 'break-all' }, ['あぁ', 'カー', '漢〜']],
+    [{ lineBreak: 'loose', wordBreak: 'keep-all' }, ['あぁ', '漢|・', '漢|！', '時々']],
+]
+
+for (const [options, cases] of tests) {
+    const lbc = await makeLBC({ version: unicodeVersion, ...options })
+    for (const expected of cases) {
+        check(JSON.stringify(options), breaks(lbc, expected.replaceAll('|', '')), expected)
+    }
+}
+
+for (const options of [{ lineBreak: 'lax' }, { wordBreak: 'keep' }]) {
+    await checkThrows(JSON.stringify(options), () => makeLBC({ version: unicodeVersion, ...options }), RangeError)
+}
+
+// the tailorings don't let the rules use unknown classes, that only custom criteria can assign
+const rules = [[ 'AL × XY', null, null, 'x' ], [ 'any ÷ any', null, null, 'LB31' ]]
+for (const options of [{}, { lineBreak: 'strict' }, { wordBreak: 'keep-all' }, { locale: 'zh' }]) {
+    await checkThrows(`unknown classes with ${JSON.stringify(options)}`, () => makeLBC({ version: unicodeVersion, rules, ...options }), Error)
+}
+const customClasses = await makeLBC({
+    version: unicodeVersion, rules, lineBreak: 'strict', criteria: (cls, gc, codePoint) => codePoint === 0x78 ? 'XY' : cls,
+})
+check('custom classes with custom criteria', breaks(customClasses, 'axb'), 'ax|b')
+
+report()
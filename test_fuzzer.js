@@ -0,0 +1,95 @@
+/**
+ *  Tests of the fuzz testing of the line breaking checker (src/fuzzer.mjs): the random
+ *  texts, the invariants, the minimization of the counterexamples, and a short fuzzing
+ *  run of the bundled rules.
+ */
+
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import { makeBoundaryChecker } from './src/boundarychecker.mjs'
+import { LineBreakFuzzer, makeRandom, minimize } from './src/fuzzer.mjs'
+import { unicodeVersion, check, checkThrows, report } from './testhelpers.js'
+
+const data = (await import(`./src/data/unicode${unicodeVersion}.mjs`)).default
+const lbc = await makeLBC({ version: unicodeVersion, compiled: true })
+const reference = await makeLBC({ version: unicodeVersion })
+// a checker that allows a break everywhere (except inside the surrogate pairs)
+const broken = await makeLBC({ version: unicodeVersion, rules: [[ 'any ÷ any', null, null, 'LB31' ]] })
+
+// random numbers
+const random = makeRandom(42)
+const numbers = Array.from({ length: 100 }, random)
+check('same seed, same numbers', Array.from({ length: 100 }, makeRandom(42)), numbers)
+check('numbers in [0, 1)', numbers.every(n => n >= 0 && n < 1), true)
+check('different seeds', makeRandom(43)() !== numbers[0], true)
+
+// random texts
+const generate = (fuzzer, n) => Array.from({ length: n }, () => fuzzer.generate())
+check('same seed, same texts', generate(new LineBreakFuzzer(lbc, data, { seed: 5 }), 20), generate(new LineBreakFuzzer(lbc, data, { seed: 5 }), 20))
+const fuzzer = new LineBreakFuzzer(lbc, data, { seed: 5, maxLength: 8 })
+const generated = generate(fuzzer, 300).join('')
+for (const [name, regex] of [
+    ['regional indicators', /\p{RI}\p{RI}/u],
+    ['combining marks', /\p{L}\p{Mn}/u],
+    ['ZWJ', /\u200D/],
+    // the Extended_Pictographic property of the engine, since the data has none
+    ['emoji ZWJ sequences', /\p{ExtPict}\u200D\p{ExtPict}/u],
+    ['quotation marks', /\p{QMark}/u],
+    ['Brahmic viramas', /[\u094D\u09CD\u0A4D\u1039\u17D2]|\u{11046}|\u{1134D}/u],
+    ['surrogate pairs', /[\uD800-\uDBFF][\uDC00-\uDFFF]/],
+    ['lone surrogates', /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/],
+    ['line breaks', /[\n\r\u000B\u0085\u2028\u2029]/],
+]) {
+    check(`texts with ${name}`, regex.test(generated), true)
+}
+
+// invariants
+const fuzzerOfBroken = new LineBreakFuzzer(broken, data, { reference })
+const invariants = text => fuzzerOfBroken.check(text).map(v => `${v.invariant} ${v.index}`)
+for (const text of ['a\u0301b', 'a\nb\r\nc\u000Bd', '\u{1F469}\u200D\u{1F469}', ' \u0301', '\u{1F1EF}\u{1F1F5}', '\uD800a\uDC00']) {
+    check(`no violations in ${JSON.stringify(text)}`, new LineBreakFuzzer(lbc, data, { reference }).check(text), [])
+}
+check('break before a combining mark', invariants('a\u0301').filter(v => v.startsWith('combining')), ['combining-mark 1'])
+check('break before a combining mark after a space', invariants(' \u0301').filter(v => v.startsWith('combining')), [])
+check('no mandatory breaks', invariants('a\nb\r\nc').filter(v => v.startsWith('mandatory')), ['mandatory 2', 'mandatory 5'])
+check('different from the reference', invariants('ab').filter(v => v.startsWith('reference')), ['reference 0', 'reference 1', 'reference 2'])
+check('no break inside surrogate pairs', invariants('\u{1F600}').filter(v => v.startsWith('surrogate')), [])
+
+// minimization
+check('minimized text', minimize('abxcdyefy', t => /x.*y/.test(t)), 'xy')
+check('minimized code points', minimize('a\u{1F600}b\u{1F600}', t => t.includes('\u{1F600}')), '\u{1F600}')
+const counterexamples = new LineBreakFuzzer(broken, data, { seed: 3, reference }).run(100)
+const combining = counterexamples.find(c => c.invariant === 'combining-mark')
+check('counterexample found', Boolean(combining), true)
+check('counterexample minimized', Array.from(combining?.text ?? '').length, 2)
+
+// the repetitions of sequences in the rules (LB30a), compiled and not
+for (const checker of [lbc, reference]) {
+    checker.setText('a' + '\u{1F1EF}'.repeat(7))
+    check('pairs of regional indicators', [...checker].map(s => Array.from(s.text).length), [1, 2, 2, 2, 1])
+}
+
+// a short fuzzing run of the bundled rules, compiled and not
+check('no counterexamples', new LineBreakFuzzer(lbc, data, { seed: 1, reference }).run(300), [])
+
+// the differential check of the grapheme clusters with Intl.Segmenter, with the
+// Grapheme_Cluster_Break values of the characters of the texts checked
+// (no data of the properties of UAX #29 is bundled)
+const graphemeData = {
+    graphemeBreakProperty: {
+        CR: [[0x0D]], LF: [[0x0A]], Extend: [[0x0300, 0x0370]], ZWJ: [[0x200D]],
+        Regional_Indicator: [[0x1F1E6, 0x1F200]], InCB_Consonant: [[0x0915, 0x093A]], InCB_Linker: [[0x094D]],
+    },
+}
+const graphemes = await makeBoundaryChecker({ granularity: 'grapheme', data: graphemeData })
+const segmenterFuzzer = new LineBreakFuzzer(lbc, data, { graphemes })
+for (const text of ['\r\n', 'a\u0301b', '\u{1F469}\u200D\u{1F469}', 'a' + '\u{1F1EF}'.repeat(7), '\u0915\u094D\u0937', '\uD800a']) {
+    check(`same grapheme clusters in ${JSON.stringify(text)}`, segmenterFuzzer.check(text), [])
+}
+// a checker of grapheme clusters that breaks everywhere
+const everywhere = await makeBoundaryChecker({ granularity: 'grapheme', data: graphemeData, rules: [[ 'any ÷ any', null, null, 'GB999' ]] })
+const segmenterViolations = new LineBreakFuzzer(lbc, data, { graphemes: everywhere }).check('a\u0301\r\n')
+check('different grapheme clusters', segmenterViolations.map(v => `${v.invariant} ${v.index}`), ['segmenter 1', 'segmenter 3'])
+
+await checkThrows('data without lineBreak', () => new LineBreakFuzzer(lbc, {}), TypeError)
+
+report()
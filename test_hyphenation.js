@@ -0,0 +1,72 @@
+/**
+ *  Tests of the hyphenation (src/hyphenation.mjs): Liang's algorithm with patterns and
+ *  exceptions, the pattern files in the TeX format, the cache of loadHyphenator, and the
+ *  HYPHENATED breaks found by the line breaking checker.
+ */
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+
+import { Hyphenator, loadHyphenator, makeLBC } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, checkThrows, report } from './testhelpers.js'
+
+// the patterns of the example of Liang's thesis
+const patterns = 'hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n'
+
+// patterns and exceptions
+const hyphenator = new Hyphenator({ patterns, exceptions: 'ta-ble' })
+check('hyphenation points', hyphenator.hyphenate('hyphenation'), [2, 6])
+check('uppercase letters', hyphenator.hyphenate('Hyphenation'), [2, 6])
+check('exception', hyphenator.hyphenate('table'), [2])
+check('exception with uppercase letters', hyphenator.hyphenate('Table'), [2])
+check('word without points', hyphenator.hyphenate('word'), [])
+check('rightMin', new Hyphenator({ patterns, rightMin: 6 }).hyphenate('hyphenation'), [2])
+check('leftMin', new Hyphenator({ patterns, leftMin: 3 }).hyphenate('hyphenation'), [6])
+check('patterns as an iterable', new Hyphenator({ patterns: patterns.split(' ') }).hyphenate('hyphenation'), [2, 6])
+check('indices in code units', new Hyphenator({ patterns: '1b', leftMin: 1, rightMin: 1 }).hyphenate('\u{1D400}b'), [2])
+
+// pattern files
+const source = [
+    '% hyphenation patterns',
+    `\\patterns{ ${patterns} % Liang`,
+    '}',
+    '\\hyphenation{ ta-ble }',
+].join('\n')
+const texHyphenator = Hyphenator.fromTeX(source, { exceptions: 'na-ti-on' })
+check('patterns of a TeX file', texHyphenator.hyphenate('hyphenation'), [2, 6])
+check('exceptions of a TeX file', texHyphenator.hyphenate('table'), [2])
+check('exceptions of the options', texHyphenator.hyphenate('nation'), [2])
+check('file without groups', Hyphenator.fromTeX(patterns).hyphenate('hyphenation'), [2, 6])
+
+// loadHyphenator caches a Hyphenator for every url and options
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyphenation-'))
+const file = path.join(dir, 'hyph-xx.tex')
+fs.writeFileSync(file, source)
+const url = pathToFileURL(file)
+const loaded = await loadHyphenator(url)
+check('loaded patterns', loaded.hyphenate('nation'), [2])
+check('same url and options', await loadHyphenator(String(url), {}) === loaded, true)
+const leftMin3 = await loadHyphenator(url, { leftMin: 3 })
+check('same url, other options', leftMin3 !== loaded, true)
+check('options of the second load', leftMin3.hyphenate('nation'), [])
+check('options of the first load', loaded.hyphenate('nation'), [2])
+check('other exceptions', (await loadHyphenator(url, { exceptions: ['nat-ion'] })).hyphenate('nation'), [3])
+check('same exceptions', await loadHyphenator(url, { exceptions: 'nat-ion' }) === await loadHyphenator(url, { exceptions: ['nat-ion'] }), true)
+await checkThrows('missing file', () => loadHyphenator(pathToFileURL(path.join(dir, 'missing.tex'))), Error)
+fs.rmSync(dir, { recursive: true })
+
+// the HYPHENATED breaks
+const lbc = await makeLBC({ version: unicodeVersion, hyphenator, hyphenChar: '\u2010' })
+lbc.setText('hyphenation table')
+check('hyphenated segments', [...lbc].map(s => [s.text, s.breakType, s.hyphen]), [
+    ['hy', 12, '\u2010'], ['phen', 12, '\u2010'], ['ation ', 4, undefined], ['ta', 12, '\u2010'], ['ble', 2, undefined],
+])
+lbc.setText('hy\u00ADphen')
+check('soft hyphens prevail on the patterns', [...lbc].map(s => s.index), [3, 7])
+const manual = await makeLBC({ version: unicodeVersion, hyphenator, hyphens: 'manual' })
+manual.setText('hy\u00ADphenation')
+check('manual hyphens', [...manual].map(s => [s.index, s.breakType, s.hyphen]), [[3, 12, '-'], [12, 2, undefined]])
+
+report()
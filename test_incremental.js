@@ -0,0 +1,221 @@
+/**
+ *  Tests of the incremental analysis of the line breaking checker: the break types after
+ *  applyEdit, that must be the same found by setText with the edited text, and the range
+ *  of the positions that may have changed, out of which the break types must be unchanged,
+ *  also after a sequence of edits (and the gap arrays that keep the data of the edited text);
+ *  and the segments of the text received in chunks, that must be the same of the iterator
+ *  with the whole text.
+ */
+
+import { Readable } from 'node:stream'
+
+import {
+    makeLBC, StreamingSegmenter, segmentChunks, makeSegmentsTransformStream, makeSegmentsNodeTransform
+} from './src/linebreakingchecker.mjs'
+import { GapArray } from './src/gaparray.mjs'
+import { unicodeVersion, check, report } from './testhelpers.js'
+
+const lbc = await makeLBC({ version: unicodeVersion })
+const reference = await makeLBC({ version: unicodeVersion })
+
+// the break types of every position of the text of the checker
+const breakTypes = checker => Array.from({ length: checker.text.length + 1 }, (_, i) => checker.isPosLineBreaking(i))
+
+// checks the edit of text with applyEdit(start, deleteCount, insertText) against setText
+function checkEdit(text, start, deleteCount, insertText) {
+    const description = `applyEdit(${start}, ${deleteCount}, ${JSON.stringify(insertText)}) of ${JSON.stringify(text)}`
+    lbc.setText(text)
+    const before = breakTypes(lbc)
+    const range = lbc.applyEdit(start, deleteCount, insertText)
+    const edited = text.slice(0, start) + insertText + text.slice(start + deleteCount)
+    reference.setText(edited)
+    const after = breakTypes(lbc)
+    check(`${description}: text`, lbc.text, edited)
+    check(`${description}: break types`, after, breakTypes(reference))
+    check(`${description}: segments`, [...lbc], [...reference])
+    // out of the range, the break types are those of the same positions before the edit
+    const delta = insertText.length - deleteCount
+    const unchanged = after.map((type, i) => i < range.start || i >= range.end ? type : null)
+    const shifted = unchanged.map((type, i) => type === null ? null : before[i < range.start ? i : i - delta])
+    check(`${description}: range ${JSON.stringify(range)}`, unchanged, shifted)
+}
+
+// [text, start, deleteCount, insertText]
+const edits = [
+    ['Hello, world', 5, 0, 'x'],
+    ['Hello, world', 6, 1, ''],
+    ['Hello, world', 0, 12, 'a b'],
+    ['', 0, 0, 'a b'],
+    // the surrogate pairs made and split by the edits
+    ['x\uD83D y', 2, 0, '\uDE00'],
+    ['a\u{1F600}b', 2, 1, ''],
+    ['a\u{1F600}b', 1, 1, ''],
+    ['ab\u{1F600}cd', 1, 3, '\u{1F4A9} '],
+    ['a \u{1F600} b', 2, 2, '\u{1F468}\u200D\u{1F469}'],
+    // CR LF made and split by the edits
+    ['a\rb', 2, 0, '\n'],
+    ['a\r\nb', 2, 1, ''],
+    ['a\r\nb', 2, 0, 'x'],
+    // combining marks, joined to the character before
+    ['a b', 2, 0, '\u0301'],
+    ['a \u0301b', 1, 1, ''],
+    // the contexts read by the rules over the runs of spaces and of regional indicators
+    ['x(   a', 1, 1, ''],
+    ['x(   a', 2, 0, ' '],
+    ['\u{1F1EE}\u{1F1F9}\u{1F1EE}\u{1F1F9}\u{1F1EE}', 0, 0, '\u{1F1EE}'],
+    ['\u{1F1EE}\u{1F1F9}\u{1F1EE}\u{1F1F9}\u{1F1EE}', 0, 2, ''],
+]
+for (const edit of edits) {
+    checkEdit(...edit)
+}
+
+// every deletion of a code unit and insertion of a few characters at every position
+const text = 'a (b) \u{1F1EE}\u{1F1F9}\u{1F1EE}c\u0301-d\r\n\u{1F600}\u200D\u{1F469} 一。e'
+for (let start = 0; start <= text.length; start++) {
+    if (start < text.length) {
+        checkEdit(text, start, 1, '')
+    }
+    for (const insertText of [' ', '\n', '\u0301', '\u{1F1EE}', '\u200D', '\uDE00', ')']) {
+        checkEdit(text, start, 0, insertText)
+    }
+}
+
+// checks the segments of the chunks against those of the iterator with the whole text
+function checkChunks(checker, chunks) {
+    const segmenter = new StreamingSegmenter(checker)
+    const segments = chunks.flatMap(chunk => segmenter.push(chunk)).concat(segmenter.flush())
+    reference.indexUnit = checker.indexUnit
+    reference.setText(chunks.join(''))
+    check(`segments of the chunks ${JSON.stringify(chunks)} in ${checker.indexUnit}`, segments, [...reference])
+}
+
+// the gap arrays, against plain arrays, with the replacements of random ranges
+// (the cumulative ones add a delta to the items that follow)
+let seed = 7
+const random = n => {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return (seed >> 8) % n
+}
+for (const cumulative of [false, true]) {
+    const plain = Array.from({ length: 50 }, (_, i) => i)
+    const gapArray = new GapArray(plain, { cumulative })
+    let differences = 0
+    for (let k = 0; k < 1000; k++) {
+        const start = random(plain.length + 1)
+        const end = start + random(Math.min(4, plain.length - start) + 1)
+        const items = Array.from({ length: random(8) }, () => random(100))
+        const delta = cumulative ? random(7) - 3 : 0
+        plain.splice(start, end - start, ...items)
+        for (let i = start + items.length; i < plain.length; i++) {
+            plain[i] += delta
+        }
+        gapArray.replace(start, end, items, delta)
+        if (k % 10 === 0 && plain.length) {
+            const i = random(plain.length)
+            plain[i] = gapArray.length
+            gapArray.set(i, gapArray.length)
+        }
+        if (JSON.stringify(gapArray.toArray()) !== JSON.stringify(plain)) {
+            differences++
+        }
+    }
+    check(`${cumulative ? 'cumulative ' : ''}gap array`, [differences, gapArray.length, gapArray.get(-1), gapArray.get(plain.length)], [0, plain.length, undefined, undefined])
+}
+
+// a sequence of edits at positions far from each other, that move the gaps of the arrays of the
+// checker back and forth, with the indices in every unit, also of the text set from UTF-8 bytes
+const sequence = [[40, 0, ' \u{1F600}x'], [3, 2, ''], [60, 1, '\u0301'], [0, 0, '\u00E9('], [30, 5, 'a\r\n'], [45, 0, '\u{1F1EE}']]
+for (const [indexUnit, setBytes] of [['utf16', false], ['codepoint', false], ['utf8', false], ['utf8', true]]) {
+    const checker = await makeLBC({ version: unicodeVersion, indexUnit })
+    const initial = 'Hello, world! \u00E9t\u00E9 \u{1F600} (a) b-c '.repeat(3)
+    if (setBytes) {
+        checker.setBytes(new TextEncoder().encode(initial))
+    }
+    else {
+        checker.setText(initial)
+    }
+    reference.indexUnit = indexUnit
+    const errors = []
+    for (const [start16, deleteCount16, insertText] of sequence) {
+        const start = checker.fromUTF16Index(start16)
+        checker.applyEdit(start, checker.fromUTF16Index(start16 + deleteCount16) - start, insertText)
+        reference.setText(checker.text)
+        if (JSON.stringify([...checker]) !== JSON.stringify([...reference])
+                || checker.fromUTF16Index(checker.text.length) !== reference.fromUTF16Index(checker.text.length)) {
+            errors.push(start16)
+        }
+    }
+    check(`sequence of edits in ${indexUnit}${setBytes ? ' of bytes' : ''}`, errors, [])
+}
+reference.indexUnit = 'utf16'
+
+// the chunks of the texts
+const streams = [
+    ['Hello,', ' wor', 'ld'],
+    // the CR LF and the surrogate pairs split between two chunks
+    ['a\r', '\nb'],
+    ['a\r', '\n'],
+    ['a \uD83D', '\uDE00 b'],
+    ['\uD83D', '\uDE00\uD83D', '\uDE00'],
+    ['\u{1F1EE}\uD83C', '\uDDF9\u{1F1EE}', '\u{1F1F9}', '\u{1F1EE}'],
+    ['a b', '\u0301c'],
+    ['x(', ' ', ' ', ' a', ' b'],
+]
+const streamChecker = await makeLBC({ version: unicodeVersion })
+for (const chunks of streams) {
+    checkChunks(streamChecker, chunks)
+}
+check('empty chunks', [...new StreamingSegmenter(streamChecker).push(''), ...new StreamingSegmenter(streamChecker).flush()], [])
+// the text split in two chunks at every position, and in chunks of one code unit,
+// with the indices in every unit
+for (const indexUnit of ['utf16', 'codepoint', 'utf8']) {
+    streamChecker.indexUnit = indexUnit
+    for (let i = 1; i < text.length; i++) {
+        checkChunks(streamChecker, [text.slice(0, i), text.slice(i)])
+    }
+    checkChunks(streamChecker, Array.from({ length: text.length }, (_, i) => text[i]))
+}
+streamChecker.indexUnit = 'utf16'
+
+// the async generator and the TransformStream
+reference.indexUnit = 'utf16'
+reference.setText(text)
+const chunks = ['a (b) \uD83C', '\uDDEE', '\u{1F1F9}\u{1F1EE}c\u0301-d\r', '\n\u{1F600}\u200D\u{1F469} 一。e']
+const generated = []
+for await (const segment of segmentChunks(streamChecker, chunks)) {
+    generated.push(segment)
+}
+check('segments of segmentChunks', generated, [...reference])
+const transformed = []
+const stream = ReadableStream.from(chunks).pipeThrough(makeSegmentsTransformStream(streamChecker))
+for await (const segment of stream) {
+    transformed.push(segment)
+}
+check('segments of the TransformStream', transformed, [...reference])
+const piped = []
+for await (const segment of Readable.from(chunks).pipe(await makeSegmentsNodeTransform(streamChecker))) {
+    piped.push(segment)
+}
+check('segments of the Node Transform', piped, [...reference])
+// the bytes of the text, with the UTF-8 sequences split between the chunks
+const bytes = Buffer.from(text)
+const byteChunks = Array.from({ length: Math.ceil(bytes.length / 5) }, (_, i) => bytes.subarray(i * 5, i * 5 + 5))
+const decoded = []
+for await (const segment of Readable.from(byteChunks).pipe(await makeSegmentsNodeTransform(streamChecker))) {
+    decoded.push(segment)
+}
+check('segments of the Node Transform from bytes', decoded, [...reference])
+
+// only the context of the next position is analyzed again at every chunk, also in a long segment
+const measuredChecker = await makeLBC({ version: unicodeVersion })
+const setText = measuredChecker.setText.bind(measuredChecker)
+let longestText = 0
+measuredChecker.setText = t => {
+    longestText = Math.max(longestText, t.length)
+    return setText(t)
+}
+const word = 'abcdefghij'.repeat(2000)
+checkChunks(measuredChecker, [...word.match(/.{1,10}/g), ' end'])
+check('text analyzed at every chunk', longestText < 100, true)
+
+report()
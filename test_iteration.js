@@ -0,0 +1,195 @@
+/**
+ *  Tests of the navigation between the break opportunities of the line breaking checker:
+ *  the iterator and reverse, following, preceding, first, last and isBoundary, the
+ *  segments of the break types chosen, the indices in UTF-16 code units, code points
+ *  and UTF-8 bytes, and the text set as UTF-8 bytes with setBytes.
+ */
+
+import { makeLBC, BreakType, convertIndex } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, checkThrows, report } from './testhelpers.js'
+
+const lbc = await makeLBC({ version: unicodeVersion })
+
+// breaks after a space, a CR LF, a hyphen and a line feed, with a surrogate pair in between
+const text = 'Hello, world!\r\nA \u{1F600} b-c.  \n'
+lbc.setText(text)
+const forward = [
+    { index: 7, breakType: 4, text: 'Hello, ' },
+    { index: 15, breakType: 2, text: 'world!\r\n' },
+    { index: 17, breakType: 4, text: 'A ' },
+    { index: 20, breakType: 4, text: '\u{1F600} ' },
+    { index: 22, breakType: 4, text: 'b-' },
+    { index: 27, breakType: 2, text: 'c.  \n' },
+]
+check('iterator', [...lbc], forward)
+check('reverse', [...lbc.reverse()], forward.toReversed())
+check('iterator twice', [...lbc], forward)
+
+// [position, following, preceding, isBoundary]
+const positions = [
+    [-1, { index: 7, breakType: 4 }, null, false],
+    [0, { index: 7, breakType: 4 }, null, false],
+    [6, { index: 7, breakType: 4 }, null, false],
+    [7, { index: 15, breakType: 2 }, null, true],
+    [8, { index: 15, breakType: 2 }, { index: 7, breakType: 4 }, false],
+    // inside the CR LF and inside the surrogate pair
+    [14, { index: 15, breakType: 2 }, { index: 7, breakType: 4 }, false],
+    [18, { index: 20, breakType: 4 }, { index: 17, breakType: 4 }, false],
+    [27, null, { index: 22, breakType: 4 }, true],
+    [28, null, { index: 27, breakType: 2 }, false],
+]
+for (const [i, following, preceding, isBoundary] of positions) {
+    check(`following(${i})`, lbc.following(i), following)
+    check(`preceding(${i})`, lbc.preceding(i), preceding)
+    check(`isBoundary(${i})`, lbc.isBoundary(i), isBoundary)
+}
+check('first', lbc.first(), { index: 7, breakType: 4 })
+check('last', lbc.last(), { index: 27, breakType: 2 })
+const chained = []
+for (let next = lbc.first(); next; next = lbc.following(next.index)) {
+    chained.push(next.index)
+}
+check('following from first to the end', chained, forward.map(s => s.index))
+
+lbc.setText('')
+check('iterator of an empty text', [...lbc], [])
+check('reverse of an empty text', [...lbc.reverse()], [])
+check('first of an empty text', lbc.first(), null)
+check('last of an empty text', lbc.last(), null)
+check('isBoundary(0) of an empty text', lbc.isBoundary(0), false)
+
+// the segments, with the content separated from the trailing spaces and the line terminators
+const segment = (start, end, breakType, text, content, whitespace, terminator, paragraphEnd) => (
+    { start, end, breakType, text, content, whitespace, terminator, paragraphEnd }
+)
+lbc.setText(text)
+check('segments', [...lbc.segments()], [
+    segment(0, 7, 4, 'Hello, ', 'Hello,', ' ', '', false),
+    segment(7, 15, 2, 'world!\r\n', 'world!', '', '\r\n', true),
+    segment(15, 17, 4, 'A ', 'A', ' ', '', false),
+    segment(17, 20, 4, '\u{1F600} ', '\u{1F600}', ' ', '', false),
+    segment(20, 22, 4, 'b-', 'b-', '', '', false),
+    segment(22, 27, 2, 'c.  \n', 'c.', '  ', '\n', true),
+])
+check('paragraphs without the trailing whitespace, with the code point offsets', [
+    ...lbc.segments({ types: BreakType.MANDATORY, includeTrailingWhitespace: false, codePointIndices: true }),
+], [
+    { ...segment(0, 15, 2, 'Hello, world!', 'Hello, world!', '', '\r\n', true), codePointStart: 0, codePointEnd: 15 },
+    { ...segment(15, 27, 2, 'A \u{1F600} b-c.', 'A \u{1F600} b-c.', '  ', '\n', true), codePointStart: 15, codePointEnd: 26 },
+])
+check('allowed breaks only', [...lbc.segments({ types: BreakType.ALLOWED })].map(s => [s.start, s.end]), [
+    [0, 7], [7, 17], [17, 20], [20, 22],
+])
+lbc.setText('a\u2028b \u0085c\rd')
+check('terminators BK, NL and CR', [...lbc.segments({ types: BreakType.MANDATORY })].map(s => [s.content, s.whitespace, s.terminator]), [
+    ['a', '', '\u2028'], ['b', ' ', '\u0085'], ['c', '', '\r'], ['d', '', ''],
+])
+// the spaces and the terminators are found by the classes assigned by the criteria
+const custom = await makeLBC({
+    version: unicodeVersion,
+    criteria: (cls, gc, codePoint) => codePoint === 0x3000 ? 'SP' : codePoint === 0x7C ? 'BK' : cls,
+})
+custom.setText('a\u3000\u3000b|c \u{1F600}|d')
+const customSegments = [['a', '\u3000\u3000', ''], ['b', '', '|'], ['c', ' ', ''], ['\u{1F600}', '', '|'], ['d', '', '']]
+check('segments with custom classes', [...custom.segments()].map(s => [s.content, s.whitespace, s.terminator]), customSegments)
+custom.applyEdit(0, 1, 'x|')
+check('segments with custom classes after an edit', [...custom.segments()].map(s => [s.content, s.whitespace, s.terminator]), [
+    ['x', '', '|'], ['', '\u3000\u3000', ''], ...customSegments.slice(1),
+])
+const manual = await makeLBC({ version: unicodeVersion, hyphens: 'manual' })
+manual.setText('hy\u00ADphen ok')
+check('hyphenated segments', [...manual.segments({ types: BreakType.HYPHENATED })], [
+    { ...segment(0, 3, 12, 'hy\u00AD', 'hy\u00AD', '', '', false), hyphen: '-' },
+])
+for (const types of [0, BreakType.FORBIDDEN, 16, 1.5, 'x']) {
+    await checkThrows(`segments of the types ${types}`, () => [...lbc.segments({ types })], RangeError)
+}
+
+// the same breaks in every index unit: [unit, indices of the breaks, index inside the emoji,
+// length of the emoji, indices of the breaks after replacing the emoji with 'x']
+const unitText = 'Hé \u{1F600} ok'
+const unitTests = [
+    ['utf16', [3, 6, 8], 4, 2, [3, 5, 7]],
+    ['codepoint', [3, 5, 7], null, 1, [3, 5, 7]],
+    ['utf8', [4, 9, 11], 5, 4, [4, 6, 8]],
+]
+for (const [unit, indices, inside, emojiLength, edited] of unitTests) {
+    const checker = await makeLBC({ version: unicodeVersion, indexUnit: unit })
+    checker.setText(unitText)
+    check(`iterator in ${unit}`, [...checker].map(s => s.index), indices)
+    check(`reverse in ${unit}`, [...checker.reverse()].map(s => s.index), indices.toReversed())
+    check(`following in ${unit}`, checker.following(indices[0]), { index: indices[1], breakType: 4 })
+    check(`preceding in ${unit}`, checker.preceding(indices[2]), { index: indices[1], breakType: 4 })
+    check(`last in ${unit}`, checker.last(), { index: indices[2], breakType: 2 })
+    check(`isBoundary in ${unit}`, indices.map(i => checker.isBoundary(i)), [true, true, true])
+    check(`segments in ${unit}`, [...checker.segments({ codePointIndices: true })].map(s => [s.start, s.end, s.codePointEnd]), [
+        [0, indices[0], 3], [indices[0], indices[1], 5], [indices[1], indices[2], 7],
+    ])
+    check(`toUTF16Index in ${unit}`, checker.toUTF16Index(indices[1]), 6)
+    check(`fromUTF16Index in ${unit}`, checker.fromUTF16Index(6), indices[1])
+    if (unit === 'utf8') {
+        await checkThrows(`index inside a character in ${unit}`, () => checker.isBoundary(inside), RangeError)
+    }
+    else if (unit === 'utf16') {
+        check(`index inside a surrogate pair in ${unit}`, checker.isBoundary(inside), false)
+    }
+    if (inside !== null) {
+        for (const [name, call] of [
+            ['isPosLineBreaking', i => checker.isPosLineBreaking(i)],
+            ['explainPosition', i => checker.explainPosition(i)],
+            ['contextStart', i => checker.contextStart(i)],
+            ['following', i => checker.following(i)],
+            ['toUTF16Index', i => checker.toUTF16Index(i)],
+        ]) {
+            if (unit === 'utf8') {
+                await checkThrows(`${name} inside a character in ${unit}`, () => call(inside), RangeError)
+            }
+            for (const invalid of [1.5, NaN, '1', undefined]) {
+                await checkThrows(`${name}(${invalid}) in ${unit}`, () => call(invalid), RangeError)
+            }
+        }
+    }
+    for (const outside of [-1, indices[2] + 1]) {
+        await checkThrows(`isPosLineBreaking(${outside}) in ${unit}`, () => checker.isPosLineBreaking(outside), RangeError)
+        await checkThrows(`contextEnd(${outside}) in ${unit}`, () => checker.contextEnd(outside), RangeError)
+    }
+    check(`isPosLineBreaking after the invalid indices in ${unit}`, checker.isPosLineBreaking(indices[1]), 4)
+    // the edits take the indices in the unit too
+    checker.applyEdit(indices[0], emojiLength, 'x')
+    check(`applyEdit in ${unit}`, [checker.text, [...checker].map(s => s.index)], ['Hé x ok', edited])
+}
+const switched = await makeLBC({ version: unicodeVersion })
+switched.setText(unitText)
+switched.indexUnit = 'codepoint'
+check('index unit changed after setText', switched.following(3), { index: 5, breakType: 4 })
+await checkThrows('invalid index unit', () => { switched.indexUnit = 'bytes' }, RangeError)
+await checkThrows('invalid index unit of makeLBC', () => makeLBC({ version: unicodeVersion, indexUnit: 'bytes' }), RangeError)
+check('convertIndex from utf8 to codepoint', convertIndex(unitText, 9, 'utf8', 'codepoint'), 5)
+check('convertIndex from codepoint to utf16', convertIndex(unitText, 5, 'codepoint', 'utf16'), 6)
+check('convertIndex from utf16 to utf8', convertIndex(unitText, 6, 'utf16', 'utf8'), 9)
+
+// the text set as UTF-8 bytes, with the byte offsets of the invalid sequences
+const bytesChecker = await makeLBC({ version: unicodeVersion, indexUnit: 'codepoint' })
+bytesChecker.setBytes(new TextEncoder().encode(unitText))
+check('setBytes', [bytesChecker.indexUnit, bytesChecker.text, [...bytesChecker].map(s => s.index)], ['utf8', unitText, [4, 9, 11]])
+const invalid = Uint8Array.from([0xF0, 0x9F, 0x98, 0x20, 0xE2, 0x82, 0x61, 0xC0, 0xAF, 0x20, 0x62])
+bytesChecker.setBytes(invalid)
+check('invalid sequences decoded as TextDecoder does', bytesChecker.text, new TextDecoder().decode(invalid))
+check('breaks after invalid sequences', [...bytesChecker].map(s => [s.index, s.text]), [
+    [4, '\uFFFD '], [10, '\uFFFDa\uFFFD\uFFFD '], [11, 'b'],
+])
+check('byte offsets of the invalid sequences', [bytesChecker.toUTF16Index(3), bytesChecker.fromUTF16Index(3)], [1, 6])
+check('following after invalid sequences', bytesChecker.following(4), { index: 10, breakType: 4 })
+bytesChecker.applyEdit(10, 1, 'cd')
+check('edit after invalid sequences', [...bytesChecker].map(s => s.index), [4, 10, 12])
+// setText restores the index unit set before setBytes, unless it's set in the meantime
+bytesChecker.setBytes(invalid)
+bytesChecker.setText(unitText)
+check('index unit restored by setText', [bytesChecker.indexUnit, [...bytesChecker].map(s => s.index)], ['codepoint', [3, 5, 7]])
+bytesChecker.setBytes(invalid)
+bytesChecker.indexUnit = 'utf16'
+bytesChecker.setText(unitText)
+check('index unit set after setBytes', bytesChecker.indexUnit, 'utf16')
+await checkThrows('setBytes of a string', () => bytesChecker.setBytes('abc'), TypeError)
+
+report()
@@ -1,96 +1,152 @@
-import { argv } from 'node:process'
+/**
+ *  Conformance tests of the line breaking algorithm: runs the test cases of the
+ *  Unicode data files resources/LineBreakTest-<version>.txt with the rules and data
+ *  of their version, both interpreted and compiled (see src/rulecompiler.mjs), and reports
+ *  the failures with the rules that decided them.
+ *
+ *  Usage:
+ *    node test_line_breaking_algorithm.js [<Options>] [<Unicode Version> ...]
+ *
+ *  Exits with status 1 if any test fails, and 2 if the tests can't be run.
+ */
+
 import fs from 'node:fs/promises'
-import * as readline from 'node:readline/promises'
-import { stdin as input, stdout as output } from 'node:process'
-const rl = readline.createInterface({ input, output })
+import path from 'node:path'
+import { parseArgs } from 'node:util'
 
-import { BreakType, makeLBC } from './src/linebreakingchecker.mjs'
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import {
+    parseLineBreakTests, filterTests, runLineBreakTests, describeFailure, toJUnit, toTAP
+} from './src/conformancerunner.mjs'
 
-const args = process.argv.slice(2)
-const unicodeVersion = args[0] && !isNaN(parseInt(args[0])) ? parseInt(args[0]) : '17'
+const resourcesDir = new URL('./resources/', import.meta.url)
+const engines = ['interpreted', 'compiled']
 
-let data
-try {
-    data = await fs.readFile(`./resources/LineBreakTest-${unicodeVersion}.0.0.txt`, { encoding: 'utf8' })
-}
-catch (e) {
-    console.error(e)
-    process.exit()
+function showUsage(scriptName='<script_name>') {
+    console.log('\nScript usage:')
+    console.log(`  node ${scriptName} [<Options>] [<Unicode Version> ...]`)
+    console.log('\nRuns the tests of LineBreakTest-<Unicode Version>.0.0.txt in ./resources for the given')
+    console.log('versions (default: all the versions with a test file).')
+    console.log('\nOptions:')
+    console.log('  --line <Lines>     run only the tests at the given lines of the test files, e.g. 120 or 100-200,')
+    console.log('                     or a comma separated list of them')
+    console.log('  --grep <Regex>     run only the tests whose line matches the regular expression')
+    console.log('  --file <File>      run the tests of another file, with the rules and data of the (only) given version')
+    console.log(`  --engine <Name>    run the tests with the rules ${engines.join(' or ')} only (default: both)`)
+    console.log('  --junit <File>     write a report in the JUnit XML format')
+    console.log('  --tap <File>       write a report in the TAP format')
+    console.log('  --quiet            don\'t print the failures')
+    console.log('  -h, --help         show this message')
+    console.log('\nExamples:')
+    console.log(`  node ${scriptName} 16 --line 5000-5100`)
+    console.log(`  node ${scriptName} --grep "HYPHEN" --junit report.xml\n`)
 }
 
-const lines = data.split(/(?:\r\n|\r|\n)/)
-
-const mapToBreakType = {
-    '×': BreakType.FORBIDDEN,
-    '÷': BreakType.MANDATORY|BreakType.ALLOWED
+function parseLines(value) {
+    return value.split(',').map(part => {
+        const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part)
+        if (!match) {
+            throw Error(`Invalid line number or range: ${part}`)
+        }
+        return match[2] ? [Number(match[1]), Number(match[2])] : Number(match[1])
+    })
 }
 
-const mapToBreakChar = {
-    1: '×',
-    2: '÷',
-    4: '÷',
+async function bundledVersions() {
+    const files = await fs.readdir(resourcesDir)
+    return files
+        .map(f => /^LineBreakTest-(\d+)\.0\.0\.txt$/.exec(f)?.[1])
+        .filter(Boolean)
+        .sort((a, b) => a - b)
 }
 
-function isSurrogatePair(lead, trail) {
-    return lead >= 0xd800 && lead <= 0xdbff && trail >= 0xdc00 && trail <= 0xdfff
+const scriptName = path.parse(process.argv[1]).base
+let options, versions, lines, pattern
+try {
+    const parsed = parseArgs({
+        allowPositionals: true,
+        options: {
+            line: { type: 'string' },
+            grep: { type: 'string' },
+            file: { type: 'string' },
+            engine: { type: 'string' },
+            junit: { type: 'string' },
+            tap: { type: 'string' },
+            quiet: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    })
+    options = parsed.values
+    versions = parsed.positionals.map(v => String(parseInt(v.replace(/^v/i, ''))))
+    lines = options.line !== undefined ? parseLines(options.line) : null
+    pattern = options.grep !== undefined ? new RegExp(options.grep) : null
+}
+catch (e) {
+    console.error(`Error: ${e.message}`)
+    showUsage(scriptName)
+    process.exit(2)
 }
 
-let lbcRules = null
-let lineBreakingClassesUrl = null
-if (unicodeVersion) {
-    lbcRules = (await import('./src/linebreakingrules.mjs'))[`lineBreakingRulesV${unicodeVersion}`]
-    lineBreakingClassesUrl = `../resources/LineBreak-${unicodeVersion}.0.0.json`
+if (options.help) {
+    showUsage(scriptName)
+    process.exit(0)
+}
+if (options.engine !== undefined && !engines.includes(options.engine)) {
+    console.error(`Error: Unknown engine: ${options.engine}`)
+    showUsage(scriptName)
+    process.exit(2)
+}
+if (options.file && versions.length !== 1) {
+    console.error('Error: --file requires exactly one Unicode version')
+    showUsage(scriptName)
+    process.exit(2)
 }
-const lbc = await makeLBC(lbcRules, null, lineBreakingClassesUrl)
 
-let index = 0
-for (const line of lines) {
-    if (!line || line.startsWith('#')) { continue }
-    index++
-    const payload = line.split(/\s+#/)[0].split(' ')
-    let expectedResults = []
-    let codePoints = []
-    payload.forEach((el, i) => {
-        i % 2 === 0 ? expectedResults.push(el) : codePoints.push(String.fromCodePoint(Number('0x' + el)))
-    })
-    lbc.setText(codePoints.join(''))
-    let resultArray = []
-    let results = []
-    for (let i = 0; i <= lbc.text.length; i++) {
-        const breakType = lbc.isPosLineBreaking(i)
-        if (i === 0 || i === lbc.text.length || !isSurrogatePair(lbc.text[i - 1].codePointAt(0), lbc.text[i].codePointAt(0))) {
-            results.push(mapToBreakChar[breakType])
-            const cp = lbc.text.codePointAt(i)
-            resultArray.push(mapToBreakChar[breakType] + ' ' + (!isNaN(cp) ? String.fromCodePoint(cp) : '') + ' ')
-        }
-    }
-    let error = false
-    if (expectedResults.length !== results.length) {
-        error = true
+const suites = []
+try {
+    if (!versions.length) {
+        versions = await bundledVersions()
     }
-    else {
-        for (let i = 0; i < expectedResults.length; i++) {
-            if (expectedResults[i] !== results[i]) {
-                error = true
-                break
-            }
+    for (const version of versions) {
+        const file = options.file ?? new URL(`LineBreakTest-${version}.0.0.txt`, resourcesDir)
+        const name = options.file ? path.basename(options.file) : `LineBreakTest-${version}.0.0`
+        const tests = filterTests(parseLineBreakTests(await fs.readFile(file, { encoding: 'utf8' })), { lines, pattern })
+        for (const engine of options.engine ? [options.engine] : engines) {
+            const lbc = await makeLBC({ version, compiled: engine === 'compiled' })
+            suites.push({ name: `${name} (${engine})`, version, engine, results: runLineBreakTests(lbc, tests) })
         }
     }
-    if (error) {
-        console.error("ERROR!\nExpected results: ", expectedResults)
-        console.error('Got instead: ', resultArray)
-        console.error('Test nr. ' + (index+1))
-        // console.error(lbc.classes)
-        // console.error(codePoints.map(c => /\p{Extended_Pictographic}/u.test(c) ? 'ExtPict' : 'Not ExtPict'))
-        // console.error(lbc.origClasses)
-        // console.error(lbc.codePoints)
-        // // console.error(codePoints.map(c => getGeneralCategory(c.codePointAt(0))))
-        // console.error(codePoints)
-        // console.error(payload)
-        await rl.question('> ')
+}
+catch (e) {
+    console.error(`Error: ${e.message}`)
+    process.exit(2)
+}
+
+let failures = 0
+for (const { name, version, engine, results } of suites) {
+    const failed = results.filter(r => !r.passed)
+    failures += failed.length
+    if (!options.quiet) {
+        for (const result of failed) {
+            console.error(`FAILED! ${name} ${describeFailure(result)}`)
+        }
     }
+    console.log(`Unicode ${version}, ${engine} rules: ${results.length} tests completed, ${failed.length} failures.`)
 }
 
-console.log((index + 1) + ' tests completed.')
+try {
+    if (options.junit) {
+        await fs.writeFile(options.junit, toJUnit(suites))
+    }
+    if (options.tap) {
+        await fs.writeFile(options.tap, toTAP(suites))
+    }
+}
+catch (e) {
+    console.error(`Error: Unable to write the report: ${e.message}`)
+    process.exit(2)
+}
 
-rl.close();
+if (failures) {
+    process.exit(1)
+}
@@ -0,0 +1,90 @@
+/**
+ *  Tests of the locale tailorings (src/localetailorings.mjs): the built-in ones
+ *  and the registration of new ones.
+ *
+ *  In the expected results, | marks the break opportunities between the characters
+ *  (the positions at the start and at the end of the text are not checked).
+ */
+
+import { makeLBC, registerLocaleTailoring, getLocaleTailoring } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, checkThrows, breaks, report } from './testhelpers.js'
+
+// qaa-qtz are reserved for private use
+registerLocaleTailoring('qaa', {
+    rules: {
+        LB28: [
+            [ 'AL ÷ \\u0071', null, null, 'qaa' ],
+        ],
+    },
+})
+registerLocaleTailoring('qab', {
+    // the apostrophe is a letter
+    criteria: (cls, gc, codePoint) => codePoint === 0x27 ? 'AL' : undefined,
+    wordBreak: 'break-all',
+})
+
+const tests = [
+    // French: opening guillemets followed by spaces
+    [{}, ['dit |«\u2009|Bonjour\u2009»', 'dit |« Bonjour »']],
+    [{ locale: 'fr' }, ['dit |«\u2009Bonjour\u2009»', 'dit |«\u2009Bonjour\u2009» !', 'dit |‹\u2009Bonjour\u2009›', 'dit |« Bonjour »', 'a |b']],
+    [{ locale: 'fr-CA' }, ['dit |«\u2009Bonjour\u2009»']],
+    [{ locale: 'en' }, ['dit |«\u2009|Bonjour\u2009»']],
+    // Japanese and Chinese: small kana, prolonged sound mark and CJK hyphen-like characters
+    // (the tailoring of Japanese is the default resolution of CJ)
+    [{}, ['あぁ', 'カー', '漢〜', '漢゠', '漢|字']],
+    [{ locale: 'ja' }, ['あぁ', 'カー', '漢〜', '漢゠', '漢|字']],
+    [{ locale: 'zh' }, ['あ|ぁ', 'カ|ー', '漢〜', '漢|字']],
+    [{ locale: 'zh-Hant-TW' }, ['あ|ぁ']],
+    // the values of the CSS properties given explicitly prevail on the locale ones
+    [{ locale: 'ja', lineBreak: 'normal' }, ['あ|ぁ', '漢|〜']],
+    [{ locale: 'zh', lineBreak: 'strict' }, ['あぁ']],
+    // Korean: breaks between words only
+    [{}, ['한|국|어 |문|장']],
+    [{ locale: 'ko' }, ['한국어 |문장', '漢字 |한국어']],
+    [{ locale: 'ko-KR' }, ['한국어 |문장']],
+    [{ locale: 'ko', wordBreak: 'normal' }, ['한|국|어 |문|장']],
+    // registered tailorings
+    [{ locale: 'qaa' }, ['ab|q', 'q|q', 'qa']],
+    [{ locale: 'qab' }, ['a|\'|b']],
+    [{ locale: 'QAB-Latn' }, ['a|\'|b']],
+]
+
+for (const [options, cases] of tests) {
+    const lbc = await makeLBC({ version: unicodeVersion, ...options })
+    for (const expected of cases) {
+        check(JSON.stringify(options), breaks(lbc, expected.replaceAll('|', '')), expected)
+    }
+}
+
+check('getLocaleTailoring of de', getLocaleTailoring('de'), null)
+check('getLocaleTailoring of ja-JP', getLocaleTailoring('ja-JP') === getLocaleTailoring('ja'), true)
+check('getLocaleTailoring of zh-Hant', getLocaleTailoring('zh-Hant') === getLocaleTailoring('zh'), true)
+
+// the characters of class CJ in Japanese and in Chinese, also with custom criteria that make
+// them ideographs
+const cj = ['あぁ', 'カー', 'ッ', 'ㇰ', 'ゃ', 'ｧ']
+const cjBreaks = async options => {
+    const lbc = await makeLBC({ version: unicodeVersion, ...options })
+    return cj.map(c => breaks(lbc, '漢' + c))
+}
+const asIdeographs = cls => cls === 'CJ' ? 'ID' : cls
+check('CJ in Japanese', await cjBreaks({ locale: 'ja' }), ['漢|あぁ', '漢|カー', '漢ッ', '漢ㇰ', '漢ゃ', '漢ｧ'])
+check('CJ in Chinese', await cjBreaks({ locale: 'zh' }), ['漢|あ|ぁ', '漢|カ|ー', '漢|ッ', '漢|ㇰ', '漢|ゃ', '漢|ｧ'])
+check('CJ in Japanese with custom criteria', await cjBreaks({ locale: 'ja', criteria: asIdeographs }), await cjBreaks({ locale: 'ja' }))
+check('CJ in Chinese with custom criteria', await cjBreaks({ locale: 'zh', criteria: asIdeographs }), await cjBreaks({ locale: 'zh' }))
+check('CJ with custom criteria', await cjBreaks({ criteria: asIdeographs }), await cjBreaks({ locale: 'zh' }))
+
+const invalid = [
+    ['an invalid language tag', () => makeLBC({ version: unicodeVersion, locale: 'not a tag' }), RangeError],
+    ['an invalid word-break value', () => registerLocaleTailoring('qac', { wordBreak: 'keep' }), RangeError],
+    ['invalid criteria', () => registerLocaleTailoring('qac', { criteria: 'ID' }), TypeError],
+    ['a missing rule label', () => {
+        registerLocaleTailoring('qac', { rules: { LB99: [[ 'AL × AL' ]] } })
+        return makeLBC({ version: unicodeVersion, locale: 'qac' })
+    }, Error],
+]
+for (const [name, fn, errorClass] of invalid) {
+    await checkThrows(name, fn, errorClass)
+}
+
+report()
@@ -0,0 +1,115 @@
+/**
+ *  Tests of the property tables (src/propertytable.mjs): the values found for the code points
+ *  of the tables built from ranges and of their serialization (fromRanges, toJSON and
+ *  fromJSON), compared with a plain lookup of the ranges, at the edges of the ranges and of
+ *  the blocks, at the last code point and out of the range of the code points.
+ */
+
+import fs from 'node:fs/promises'
+
+import { PropertyTable, isPropertyTableJSON, lineBreakTableFromJSON, engineExtendedPictographic } from './src/propertytable.mjs'
+import { check, report } from './testhelpers.js'
+
+const maxCodePoint = 0x10FFFF
+
+// a deterministic sequence of pseudo-random integers in [0, n)
+let seed = 42
+function random(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return seed % n
+}
+
+// the value of the last range with the code point, as in fromRanges
+function lookup(ranges, codePoint) {
+    for (let i = ranges.length - 1; i >= 0; i--) {
+        const [value, start, stop = start + 1] = ranges[i]
+        if (codePoint >= start && codePoint < stop) {
+            return value
+        }
+    }
+    return undefined
+}
+
+// the code points to check: the edges of the ranges and of the blocks, and a sample of the others
+function codePointsToCheck(ranges, shift) {
+    const codePoints = new Set([0, 1, maxCodePoint - 1, maxCodePoint])
+    for (const [, start, stop = start + 1] of ranges) {
+        for (const c of [start - 1, start, start + 1, stop - 1, stop]) {
+            codePoints.add(c)
+        }
+    }
+    for (let block = 1 << shift; block <= maxCodePoint; block += 1 << shift * 2) {
+        codePoints.add(block - 1).add(block)
+    }
+    for (let c = 0; c <= maxCodePoint; c += 997) {
+        codePoints.add(c)
+    }
+    return [...codePoints].filter(c => c >= 0 && c <= maxCodePoint).sort((a, b) => a - b)
+}
+
+function checkTable(description, ranges, options = {}) {
+    const shift = options.shift ?? 7
+    const table = PropertyTable.fromRanges(ranges, options)
+    const serialized = JSON.parse(JSON.stringify(table))
+    const deserialized = PropertyTable.fromJSON(serialized)
+    const key = options.key ?? (v => v)
+    const codePoints = codePointsToCheck(ranges, shift)
+    const differences = codePoints.filter(c => key(table.get(c)) !== key(lookup(ranges, c)))
+    check(`${description}: the values of the ranges`, differences, [])
+    check(`${description}: the values after the serialization`, codePoints.filter(c => key(deserialized.get(c)) !== key(table.get(c))), [])
+    check(`${description}: serialized format`, [isPropertyTableJSON(serialized), serialized.shift], [true, shift])
+    check(`${description}: the same serialization`, JSON.stringify(deserialized), JSON.stringify(table))
+    for (const codePoint of [-1, maxCodePoint + 1, NaN, Infinity, undefined]) {
+        check(`${description}: out of range ${codePoint}`, [table.get(codePoint), deserialized.get(codePoint)], [undefined, undefined])
+    }
+}
+
+// ranges of a few values, overlapping, at the edges of the blocks and at the last code point
+const values = ['A', 'B', 'C', 'D']
+const ranges = [
+    ['A', 0, 1],
+    ['B', 127, 129],
+    ['C', 256],
+    ['D', 0xFFFF, 0x10000],
+    ['A', 0x10FF80, maxCodePoint + 1],
+    ['B', maxCodePoint],
+]
+for (let i = 0; i < 200; i++) {
+    const start = random(maxCodePoint + 1)
+    ranges.push([values[random(values.length)], start, Math.min(start + 1 + random(5000), maxCodePoint + 1)])
+}
+for (const shift of [4, 7, 10]) {
+    checkTable(`ranges with shift ${shift}`, ranges, { shift })
+}
+
+// more than 256 values, interned with a key
+const pairs = []
+for (let i = 0; i < 300; i++) {
+    const start = i * 3000 + random(1000)
+    pairs.push([[`V${i % 280}`, 'Lu'], start, start + 1 + random(2000)])
+}
+checkTable('equivalent arrays as values', pairs, { key: v => v?.join() })
+const pairsTable = PropertyTable.fromRanges(pairs, { key: v => v.join() })
+check('interned values', pairsTable.values.length, 281)
+check('the same value for equivalent arrays', pairsTable.get(pairs[280][1]) === pairsTable.get(pairs[0][1]), true)
+
+checkTable('no ranges', [])
+check('no value', PropertyTable.fromRanges([]).get(0x41), undefined)
+
+// the line breaking classes in the format of the ranges and as a serialized table
+const legacy = JSON.parse(await fs.readFile(new URL('./resources/LineBreak-16.0.0.json', import.meta.url)))
+const fromRanges = lineBreakTableFromJSON(legacy)
+const fromTable = lineBreakTableFromJSON(JSON.parse(JSON.stringify(fromRanges)))
+let differences = 0
+for (let c = 0; c <= maxCodePoint; c++) {
+    if (fromRanges.get(c)?.join() !== fromTable.get(c)?.join()) {
+        differences++
+    }
+}
+check('line breaking classes of both the formats', differences, 0)
+check('line breaking class', fromTable.get(0x41), ['AL', 'Lu'])
+check('format of the ranges', isPropertyTableJSON(legacy), false)
+
+check('Extended_Pictographic of the engine', [engineExtendedPictographic.get(0x1F600), engineExtendedPictographic.get(0x41)], [true, undefined])
+
+report()
@@ -0,0 +1,78 @@
+/**
+ *  Tests of the rule engine of the line breaking checker: the interpretation of the rules
+ *  (src/linebreakingchecker.mjs) and their compilation (src/rulecompiler.mjs), that must
+ *  find the same breaks, and the explanations of the break types (explainPosition).
+ *
+ *  In the expected results, | marks the break opportunities between the characters
+ *  (the positions at the start and at the end of the text are not checked).
+ */
+
+import { BreakType, makeLBC } from './src/linebreakingchecker.mjs'
+import { unicodeVersion, check, breaks, report } from './testhelpers.js'
+
+const interpreted = await makeLBC({ version: unicodeVersion })
+const compiled = await makeLBC({ version: unicodeVersion, compiled: true })
+
+// the repetitions of a sequence (* [ ... ]) don't skip the code point after every match:
+// the runs of regional indicators are paired from their start by LB30a, at any length
+const ri = '\u{1F1EF}'
+for (let n = 1; n <= 9; n++) {
+    const pairs = Array.from({ length: Math.ceil(n / 2) }, (_, i) => ri.repeat(Math.min(2, n - 2 * i)))
+    for (const [name, lbc] of [['interpreted', interpreted], ['compiled', compiled]]) {
+        check(`${n} regional indicators after a letter, ${name}`, breaks(lbc, 'a' + ri.repeat(n)), 'a|' + pairs.join('|'))
+        check(`${n} regional indicators at the start, ${name}`, breaks(lbc, ri.repeat(n)), pairs.join('|'))
+    }
+}
+
+// the repetitions of a sequence in custom rules, up to the start of the text
+const rules = [
+    [ '[ sot * [ AL NU ] ] × AL', null, null, 'x1' ],
+    [ 'any ÷ any', null, null, 'x2' ],
+]
+for (const options of [{}, { compiled: true }]) {
+    const lbc = await makeLBC({ version: unicodeVersion, rules, ...options })
+    const name = options.compiled ? 'compiled' : 'interpreted'
+    check(`repeated sequences, ${name}`, breaks(lbc, 'a1a1a1a'), 'a|1a|1a|1a')
+    check(`repeated sequences not from the start, ${name}`, breaks(lbc, '1a1a1a'), '1|a|1|a|1|a')
+}
+
+// the explanations of the break types: the rule that decided them (also with the compiled
+// rules, since explainPosition uses the interpreter), the classes around the position
+// and the side effects applied
+function explain(lbc, text, i) {
+    lbc.setText(text)
+    const { breakType, rule, classes, sideEffects } = lbc.explainPosition(i)
+    return { breakType, label: rule?.label ?? null, classes, sideEffects }
+}
+const { FORBIDDEN, MANDATORY, ALLOWED } = BreakType
+const noCM = ['std_remove_cm_sequences']
+for (const [name, lbc] of [['interpreted', interpreted], ['compiled', compiled]]) {
+    for (const [description, text, i, expected] of [
+        ['start of the text', 'Hello, breaker', 0, { breakType: FORBIDDEN, label: 'LB2', classes: { before: 'sot', after: 'AL' }, sideEffects: [] }],
+        ['end of the text', 'Hello, breaker', 14, { breakType: MANDATORY, label: 'LB3', classes: { before: 'AL', after: 'eot' }, sideEffects: [] }],
+        ['after a space', 'Hello, breaker', 7, { breakType: ALLOWED, label: 'LB18', classes: { before: 'SP', after: 'AL' }, sideEffects: noCM }],
+        ['before a comma', 'Hello, breaker', 5, { breakType: FORBIDDEN, label: 'LB15d', classes: { before: 'AL', after: 'IS' }, sideEffects: noCM }],
+        ['after a line feed', 'a\nb', 2, { breakType: MANDATORY, label: 'LB5', classes: { before: 'LF', after: 'AL' }, sideEffects: [] }],
+        // LB9: the combining marks take the class of their base
+        ['before a combining mark', 'a\u0301b', 1, { breakType: FORBIDDEN, label: 'LB9', classes: { before: 'AL', after: 'CM' }, sideEffects: [] }],
+        ['after a combining mark', 'a\u0301b', 2, { breakType: FORBIDDEN, label: 'LB28', classes: { before: 'AL', after: 'AL' }, sideEffects: noCM }],
+        // LB10: the combining marks without a base are AL
+        ['before a combining mark after a space', ' \u0301a', 1, { breakType: ALLOWED, label: 'LB18', classes: { before: 'SP', after: 'AL' }, sideEffects: noCM }],
+        ['after a combining mark after a space', ' \u0301a', 2, { breakType: FORBIDDEN, label: 'LB28', classes: { before: 'AL', after: 'AL' }, sideEffects: noCM }],
+    ]) {
+        check(`explanation ${description}, ${name}`, explain(lbc, text, i), expected)
+    }
+}
+interpreted.setText('Hello, breaker')
+const { rule, rejected } = interpreted.explainPosition(7)
+check('rule of the explanation', rule, { index: 22, label: 'LB18', name: null, source: 'SP ÷ any' })
+check('rules rejected', rejected.map(r => r.index), Array.from({ length: 22 }, (_, i) => i))
+interpreted.setText('\u{1F600}a')
+check('explanation inside a surrogate pair', interpreted.explainPosition(1).breakType, FORBIDDEN)
+const inCodePoints = await makeLBC({ version: unicodeVersion, indexUnit: 'codepoint' })
+check('explanation in code points', explain(inCodePoints, '\u{1F600} a', 2).label, 'LB18')
+const complexContext = await makeLBC({ version: unicodeVersion, complexContext: true })
+complexContext.setText('\u0E20\u0E32\u0E29\u0E32\u0E44\u0E17\u0E22')
+check('explanation of the complex context breaks', complexContext.explainPosition(4).rule, { index: null, label: 'LB1', name: 'complex_context', source: null })
+
+report()
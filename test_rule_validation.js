@@ -0,0 +1,128 @@
+/**
+ *  Tests of the validation of the rules (validateRules and formatRuleProblem of
+ *  src/ruleparser.mjs): the unknown classes, general categories and tokens, the modifiers
+ *  without their arguments, the unbalanced sets and sequences, the break symbols, the
+ *  elements of the rules other than the rule string, and the messages of the problems.
+ */
+
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import { lineBreakingRulesV16, default as lineBreakingRulesV17 } from './src/linebreakingrules.mjs'
+import { validateRules, formatRuleProblem } from './src/ruleparser.mjs'
+import { check, checkThrows, report } from './testhelpers.js'
+
+check('rules of v16', validateRules(lineBreakingRulesV16), [])
+check('rules of v17', validateRules(lineBreakingRulesV17), [])
+
+// [rule string, the messages of the problems]
+const rules = [
+    ['^ ( AL | BB ) × * CM', []],
+    ['( AL & ^ BB ) ÷ any', []],
+    ['sot × eastasian', []],
+    ['extpict ! eot', []],
+    ['\\u0041 × gc(Lu)', []],
+    // unknown classes, general categories and tokens
+    ['AL × XY', ['rule 0, token 2 "XY": Unknown class']],
+    ['gc(Xx) × AL', ['rule 0, token 0 "gc(Xx)": Unknown general category']],
+    ['\\u110000 × AL', ['rule 0, token 0 "\\u110000": Invalid code point']],
+    ['al × AL', ['rule 0, token 0 "al": Unrecognized token']],
+    [' AL × BB', ['rule 0, token 0 "": Empty token (the rule starts or ends with whitespace)']],
+    ['AL × BB ', ['rule 0, token 3 "": Empty token (the rule starts or ends with whitespace)']],
+    // modifiers
+    ['AL × ^', [
+        'rule 0, token 2 "^": The modifier ^ is not followed by its argument',
+        'rule 0, token 1 "×": The break symbol must be followed by at least one token',
+    ]],
+    ['* × AL', [
+        'rule 0, token 0 "*": The modifier * is not followed by its argument',
+        'rule 0, token 1 "×": The break symbol must be preceded by at least one token',
+    ]],
+    ['AL | BB × CM', ['rule 0, token 1 "|": The binary modifier | can be used only inside sets']],
+    ['( | AL ) × BB', ['rule 0, token 1 "|": The binary modifier | must follow an element of the set']],
+    ['( AL | ) × BB', ['rule 0, token 2 "|": The modifier | is not followed by its argument']],
+    ['( AL - - BB ) × CM', ['rule 0, token 3 "-": The binary modifier - must follow an element of the set']],
+    ['AL × [ ^ ]', [
+        'rule 0, token 3 "^": The modifier ^ is not followed by its argument',
+        'rule 0, token 4 "]": Empty sequence',
+    ]],
+    // sets and sequences
+    ['( ) × AL', ['rule 0, token 1 ")": Empty set']],
+    ['[ ] × AL', ['rule 0, token 1 "]": Empty sequence']],
+    ['AL × BB )', ['rule 0, token 3 ")": Unbalanced ), without a matching (']],
+    ['AL ] × BB', ['rule 0, token 1 "]": Unbalanced ], without a matching [']],
+    ['( AL ] × BB', [
+        'rule 0, token 2 "]": Unbalanced ], the set opened at token 0 is not closed',
+        'rule 0, token 3 "×": Break symbol inside a set',
+        'rule 0, token 0 "(": The set is not closed',
+        'rule 0: Missing break symbol (×, ! or ÷)',
+    ]],
+    ['[ AL ) × BB', [
+        'rule 0, token 2 ")": Unbalanced ), the sequence opened at token 0 is not closed',
+        'rule 0, token 3 "×": Break symbol inside a sequence',
+        'rule 0, token 0 "[": The sequence is not closed',
+        'rule 0: Missing break symbol (×, ! or ÷)',
+    ]],
+    ['[ AL ( BB × CM ) ]', [
+        'rule 0, token 4 "×": Break symbol inside a set',
+        'rule 0: Missing break symbol (×, ! or ÷)',
+    ]],
+    // break symbols
+    ['AL BB', ['rule 0: Missing break symbol (×, ! or ÷)']],
+    ['AL × BB × CM', ['rule 0, token 3 "×": More than one break symbol in the rule']],
+    ['× AL', ['rule 0, token 0 "×": The break symbol must be preceded by at least one token']],
+    ['AL ÷', ['rule 0, token 1 "÷": The break symbol must be followed by at least one token']],
+    // the example of the README
+    ['( AL | XY × any', [
+        'rule 0, token 3 "XY": Unknown class',
+        'rule 0, token 4 "×": Break symbol inside a set',
+        'rule 0, token 0 "(": The set is not closed',
+        'rule 0: Missing break symbol (×, ! or ÷)',
+    ]],
+]
+for (const [rule, messages] of rules) {
+    check(`problems of ${JSON.stringify(rule)}`, validateRules([[rule]]).map(formatRuleProblem), messages)
+}
+
+// the problems, with the index and the label of the rule
+check('problem', validateRules([['AL × BB'], ['AL × XY', null, 'name', 'LB99']]), [
+    { rule: 1, label: 'LB99', position: 2, token: 'XY', message: 'Unknown class' },
+])
+check('message with the label', validateRules([['AL × XY', null, null, 'LB99']]).map(formatRuleProblem), [
+    'rule 0 (LB99), token 2 "XY": Unknown class',
+])
+check('rules not in an array', validateRules('AL × BB'), [
+    { rule: null, label: null, position: null, token: null, message: 'The rules must be an array' },
+])
+check('message of the rules not in an array', validateRules('AL × BB').map(formatRuleProblem), ['The rules must be an array'])
+check('elements of the rules', validateRules([['AL × BB', 1, 2, 3], 'AL × BB', [], [null]]).map(formatRuleProblem), [
+    'rule 0: The side effect must be a function or null',
+    'rule 0: The name must be a string or null',
+    'rule 0: The label must be a string or null',
+    'rule 1: A rule must be an array whose first element is the rule string',
+    'rule 2: A rule must be an array whose first element is the rule string',
+    'rule 3: A rule must be an array whose first element is the rule string',
+])
+
+// the classes accepted
+check('any class', validateRules([['AL × XY']], { classes: null }), [])
+check('custom classes', validateRules([['AL × XY']], { classes: ['AL', 'XY'] }), [])
+check('class not in the custom classes', validateRules([['AL × BB']], { classes: ['AL', 'XY'] }).map(formatRuleProblem), [
+    'rule 0, token 2 "BB": Unknown class',
+])
+
+// the checkers refuse the invalid rules, with all their problems
+try {
+    await makeLBC({ rules: [['AL × BB'], ['( AL × XY', null, null, 'T2']] })
+    check('invalid rules', 'no error', 'an error')
+}
+catch (e) {
+    check('error of the invalid rules', e.message, [
+        'Invalid rules:',
+        'rule 1 (T2), token 2 "×": Break symbol inside a set',
+        'rule 1 (T2), token 3 "XY": Unknown class',
+        'rule 1 (T2), token 0 "(": The set is not closed',
+        'rule 1 (T2): Missing break symbol (×, ! or ÷)',
+    ].join('\n'))
+}
+await checkThrows('invalid rules with custom classes', () => makeLBC({ rules: [['AL × ']], criteria: () => 'AL' }), Error)
+
+report()
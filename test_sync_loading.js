@@ -0,0 +1,63 @@
+/**
+ *  Tests of the synchronous construction of the line breaking checker from data already
+ *  loaded (makeLBCSync with the data modules of src/data), and of the data files loaded by
+ *  makeLBC relative to the module, whatever the working directory.
+ */
+
+import { spawnSync } from 'node:child_process'
+import os from 'node:os'
+import { pathToFileURL } from 'node:url'
+
+import { makeLBC, makeLBCSync } from './src/linebreakingchecker.mjs'
+import unicode16 from './src/data/unicode16.mjs'
+import unicode17 from './src/data/unicode17.mjs'
+import { check, checkThrows, breaks, report } from './testhelpers.js'
+
+const text = 'Hello, world!\r\nA \u{1F600} b-c. \u65E5\u672C\u8A9E\u3002 x \u2010\u05D0\u05D1'
+
+// the same breaks as the checkers of makeLBC, with the data of both the formats
+// (the property table of the bundle of v17 and the ranges of LineBreak-16.0.0.json)
+for (const data of [unicode16, unicode17]) {
+    const lbc = makeLBCSync({ data })
+    const fromMakeLBC = await makeLBC({ version: data.version })
+    check(`breaks of v${data.version}`, breaks(lbc, text), breaks(fromMakeLBC, text))
+    check(`segments of v${data.version}`, [...lbc], [...fromMakeLBC])
+    check(`compiled rules of v${data.version}`, breaks(makeLBCSync({ data, compiled: true }), text), breaks(lbc, text))
+}
+check('breaks of the versions', breaks(makeLBCSync({ data: unicode16 }), 'x \u2010\u05D0'), 'x |\u2010|\u05D0')
+check('breaks of the versions', breaks(makeLBCSync({ data: unicode17 }), 'x \u2010\u05D0'), 'x |\u2010\u05D0')
+
+// the options
+check('locale', breaks(makeLBCSync({ data: unicode17, locale: 'fr' }), '\xAB a \xBB'), '\xAB a \xBB')
+check('lineBreak', breaks(makeLBCSync({ data: unicode17, lineBreak: 'loose' }), '\u3001\u3041'), '\u3001|\u3041')
+check('wordBreak', breaks(makeLBCSync({ data: unicode17, wordBreak: 'break-all' }), 'ab'), 'a|b')
+check('rules', breaks(makeLBCSync({ data: unicode17, rules: [['any ÷ any']] }), 'abc'), 'a|b|c')
+const inCodePoints = makeLBCSync({ data: unicode17, indexUnit: 'codepoint' })
+inCodePoints.setText('\u{1F600} a')
+check('indexUnit', inCodePoints.following(0).index, 2)
+check('without data of the version', breaks(makeLBCSync({ data: { ...unicode17, version: undefined } }), 'a b'), 'a |b')
+
+// the data missing
+for (const [description, options] of [
+    ['no options', undefined],
+    ['no data', {}],
+    ['empty data', { data: {} }],
+    ['data without lineBreak', { data: { eastAsianChars: unicode17.eastAsianChars } }],
+    ['data without eastAsianChars', { data: { lineBreak: unicode17.lineBreak } }],
+]) {
+    await checkThrows(description, () => makeLBCSync(options), TypeError)
+}
+await checkThrows('unsupported version', () => makeLBCSync({ data: { ...unicode17, version: '15' } }), RangeError)
+
+// makeLBC finds the data files from another working directory
+const moduleURL = pathToFileURL('./src/linebreakingchecker.mjs').href
+const script = `
+    const { makeLBC } = await import(${JSON.stringify(moduleURL)})
+    const lbc = await makeLBC({ version: '16' })
+    lbc.setText('a b')
+    console.log(JSON.stringify([...lbc]))
+`
+const { status, stdout } = spawnSync(process.execPath, ['--input-type=module', '-e', script], { cwd: os.tmpdir(), encoding: 'utf8' })
+check('data files relative to the module', [status, stdout], [0, '[{"index":2,"breakType":4,"text":"a "},{"index":3,"breakType":2,"text":"b"}]\n'])
+
+report()
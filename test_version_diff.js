@@ -0,0 +1,50 @@
+/**
+ *  Tests of the comparison of the break types found by two versions of the Unicode rules
+ *  and data (diffVersions and diffCheckers of src/versiondiff.mjs).
+ */
+
+import { makeLBC } from './src/linebreakingchecker.mjs'
+import { diffVersions, diffCheckers } from './src/versiondiff.mjs'
+import { check, checkThrows, report } from './testhelpers.js'
+
+const summary = differences => differences.map(({ index, from, to }) => [index, from.breakType, from.rule?.label, to.breakType, to.rule?.label])
+
+// the example of the README: the hyphen U+2010 is HH in v17, and LB20a doesn't break after it
+// at the start of a word
+const differences = await diffVersions('x \u2010\u05D0\u05D1', 'v16', 'v17')
+check('example of the README', differences.map(({ index, from, to }) => ({
+    index,
+    from: { breakType: from.breakType, label: from.rule.label, classes: from.classes },
+    to: { breakType: to.breakType, label: to.rule.label, classes: to.classes },
+})), [{
+    index: 3,
+    from: { breakType: 4, label: 'LB31', classes: { before: 'BA', after: 'HL' } },
+    to: { breakType: 1, label: 'LB20a', classes: { before: 'HH', after: 'HL' } },
+}])
+check('rule of the difference', differences[0].to.rule.source, '[ ( sot | BK | CR | LF | NL | SP | ZW | CB | GL ) ( HY | HH ) ] × ( AL | HL )')
+
+// the versions in every format, and in reverse
+for (const [from, to] of [['16', '17'], [16, 17], ['16.0.0', '17.0.0'], ['V16', 'v17.0']]) {
+    check(`versions ${from} and ${to}`, summary(await diffVersions('x \u2010\u05D0', from, to)), [[3, 4, 'LB31', 1, 'LB20a']])
+}
+check('versions in reverse', summary(await diffVersions('x \u2010\u05D0', '17', '16')), [[3, 1, 'LB20a', 4, 'LB31']])
+check('the same version', await diffVersions('x \u2010\u05D0', '17', 'v17'), [])
+check('no differences', await diffVersions('Hello, world!', '16', '17'), [])
+check('empty text', await diffVersions('', '16', '17'), [])
+await checkThrows('unsupported version', () => diffVersions('x', '15', '17'), RangeError)
+
+// the options of the checkers, and the indices in their unit
+check('indices in code points', summary(await diffVersions('\u{1F600} \u2010\u05D0', '16', '17', { indexUnit: 'codepoint' })), [[3, 4, 'LB31', 1, 'LB20a']])
+check('indices in UTF-8', summary(await diffVersions('\u{1F600} \u2010\u05D0', '16', '17', { indexUnit: 'utf8' })), [[8, 4, 'LB31', 1, 'LB20a']])
+// with word-break: break-all, both the versions break between the letters
+check('tailored checkers', await diffVersions('x \u2010\u05D0', '16', '17', { wordBreak: 'break-all' }), [])
+
+// the checkers given
+const lbc16 = await makeLBC({ version: '16' })
+const lbc17 = await makeLBC({ version: '17' })
+check('checkers', summary(diffCheckers('a \u2010\u05D0 b \u2010\u05D1', lbc16, lbc17)), [[3, 4, 'LB31', 1, 'LB20a'], [8, 4, 'LB31', 1, 'LB20a']])
+check('text of the checkers', lbc17.text, 'a \u2010\u05D0 b \u2010\u05D1')
+const anywhere = await makeLBC({ version: '17', lineBreak: 'anywhere' })
+check('checkers with different options', summary(diffCheckers('ab', lbc17, anywhere)), [[1, 1, 'LB28', 4, 'LB31']])
+
+report()
@@ -0,0 +1,77 @@
+/**
+ *  The helpers shared by the test scripts test_*.js: the Unicode version given as their
+ *  first argument, the counters of the tests and of the errors, and the report that ends
+ *  every script (with exit status 1 if any test failed).
+ */
+
+import { BreakType } from './src/breaktypes.mjs'
+
+const args = process.argv.slice(2)
+export const unicodeVersion = args[0] && !isNaN(parseInt(args[0])) ? String(parseInt(args[0])) : '17'
+
+let count = 0
+let errors = 0
+
+/**
+ * Counts a test whose result is actual, failing if it's different from expected
+ * (compared as JSON).
+ */
+export function check(description, actual, expected) {
+    count++
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        error(`${description}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+    }
+}
+
+/**
+ * Counts a test that calls fn (awaiting its result), failing if it doesn't throw
+ * an instance of errorClass.
+ */
+export async function checkThrows(description, fn, errorClass) {
+    count++
+    try {
+        await fn()
+        error(`${description}: expected a ${errorClass.name}`)
+    }
+    catch (e) {
+        if (!(e instanceof errorClass)) {
+            error(`${description}: expected a ${errorClass.name}, got ${e}`)
+        }
+    }
+}
+
+/**
+ * Reports an error of the test being counted.
+ */
+export function error(message) {
+    errors++
+    console.error('ERROR! ' + message)
+}
+
+/**
+ * Returns text with a | at the break opportunities found by the LineBreakingChecker lbc
+ * between its characters (the positions at the start and at the end of the text are not
+ * marked), e.g. 'a |b' for 'a b'.
+ */
+export function breaks(lbc, text) {
+    lbc.setText(text)
+    let result = ''
+    for (const [i, c] of Array.from(text).entries()) {
+        const index = result.replaceAll('|', '').length
+        if (i > 0 && (lbc.isPosLineBreaking(index) & (BreakType.MANDATORY|BreakType.ALLOWED)) !== 0) {
+            result += '|'
+        }
+        result += c
+    }
+    return result
+}
+
+/**
+ * Prints the number of tests and errors, exiting with status 1 if there are errors.
+ */
+export function report() {
+    console.log(`${count} tests completed, ${errors} errors.`)
+    if (errors) {
+        process.exit(1)
+    }
+}
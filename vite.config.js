@@ -19,7 +19,11 @@ export default defineConfig({
     ],
     build: {
         lib: {
-            entry: {'src/linebreakingchecker': 'src/linebreakingchecker.mjs'},
+            entry: {
+                'src/linebreakingchecker': 'src/linebreakingchecker.mjs',
+                'src/data/unicode16': 'src/data/unicode16.mjs',
+                'src/data/unicode17': 'src/data/unicode17.mjs',
+            },
             formats: ['es'],
         },
         minify: true,